@@ -16,19 +16,28 @@
 
 const bodyParser = require('body-parser');
 const compression = require('compression');
-// Use our custom webservice client or the local in-memory service. If a
+// Use our custom webservice client or the local service. If a
 // webservice URL is provided in the configuration the dashboard will
 // connect via HTTP using `webservice-client.js`. Otherwise we fall back
-// to the local in-memory implementation (`local-webservice.js`) which
-// stores tasks and results in memory and runs analyses using Pa11y.
+// to the local implementation (`local-webservice.js`) which stores tasks
+// and results in the configured store and runs analyses using Pa11y.
 const createClient = require('./webservice-client');
 const createLocalWebservice = require('./local-webservice');
+const createWebhooks = require('./notify/webhooks');
+const createDigests = require('./notify/digests');
+const createSubscriptionStore = require('./notify/subscriptions');
+const createRunQueue = require('./run-queue');
+const createScorer = require('./score');
+const createStore = require('./store');
+const createTriageStore = require('./triage');
+const initAuth = require('./auth');
 const {EventEmitter} = require('events');
 const express = require('express');
 const hbs = require('express-hbs');
 const morgan = require('morgan');
 const {nanoid} = require('nanoid');
 const http = require('http');
+const {red} = require('kleur');
 const pkg = require('./package.json');
 
 module.exports = initApp;
@@ -48,17 +57,40 @@ function initApp(config, callback) {
     app.express = express();
     app.server = http.createServer(app.express);
 
+    // All pa11y runs, whether for a task or through the API, go through
+    // one queue so that only `numWorkers` browsers are open at once
+    app.runQueue = createRunQueue({concurrency: config.numWorkers});
+
+    // Triage records of issues, which runs of the local webservice close
+    // once their issues are fixed
+    app.triage = loadTriage(config);
+
+    // Weighted accessibility scores of results
+    app.scorer = createScorer(config.score);
+
     // Decide which webservice backend to use. If a URL is provided,
     // connect to the external Pa11y Webservice via HTTP. Otherwise use
-    // our in-memory service which does not require MongoDB.
+    // our local service which does not require MongoDB.
     if (webserviceUrl && typeof webserviceUrl === 'string' && webserviceUrl.trim() !== '') {
-        app.webservice = createClient(webserviceUrl);
+        app.webservice = createClient(webserviceUrl, {token: config.webserviceToken});
     } else {
-        app.webservice = createLocalWebservice();
+        app.webhooks = loadWebhooks(config);
+        app.webservice = createLocalWebservice({
+            store: createStore(config.store),
+            schedule: config.schedule,
+            queue: app.runQueue,
+            onRun: run => handleRun(app, run)
+        });
     }
 
 	loadMiddleware(app);
 
+	// Sign in, API tokens and role-based access
+	loadAuth(app, config);
+
+	// Email digests of task results
+	loadDigests(app, config);
+
 	// View engine
 	loadViewEngine(app, config);
 
@@ -79,6 +111,39 @@ function defaultConfig(config) {
 	return config;
 }
 
+function loadTriage(config) {
+	const options = {
+		file: './storage/triage.json',
+		...config.triage
+	};
+	return createTriageStore(options.file);
+}
+
+// Runs of the local webservice are sent to webhooks, and close the triage
+// records of issues which they didn't find
+function handleRun(app, run) {
+	if (app.webhooks) {
+		app.webhooks.notify(run).catch(error => {
+			console.error(red('Failed to send webhooks for %s: %s'), run.task.id, error.message);
+		});
+	}
+	if (run.status === 'finished') {
+		const issues = run.results.reduce((all, result) => all.concat(result.results || []), []);
+		app.triage.update(run.task.id, issues);
+	}
+}
+
+// Webhooks are sent by the local webservice when a run finishes or fails
+function loadWebhooks(config) {
+	if (!config.webhooks) {
+		return null;
+	}
+	return createWebhooks({
+		...config.webhooks,
+		dashboardUrl: config.url
+	});
+}
+
 function loadMiddleware(app) {
 	app.express.use(compression());
 
@@ -108,7 +173,9 @@ function loadMiddleware(app) {
 	// General express config
 	app.express.disable('x-powered-by');
 	app.express.use(bodyParser.urlencoded({
-		extended: true
+		extended: true,
+		// Importing URLs posts up to 500 pages at once
+		limit: '1mb'
 	}));
 
 	// Parse JSON bodies for API endpoints. This allows clients to POST
@@ -116,6 +183,42 @@ function loadMiddleware(app) {
 	app.express.use(bodyParser.json());
 }
 
+function loadAuth(app, config) {
+	// Auth is only enabled if a users file is configured, see `auth/`
+	app.auth = initAuth(config);
+	if (app.auth.enabled) {
+		app.express.use(app.auth.session);
+		// API tokens let scripts and CI pipelines call the API
+		app.express.use('/api', app.auth.checkApiToken);
+	}
+	app.express.use(app.auth.loadUser);
+}
+
+// Digests need an SMTP server to send them, and users to subscribe
+function loadDigests(app, config) {
+	app.digests = null;
+	if (!app.auth.enabled || !config.smtp || !config.smtp.host) {
+		return;
+	}
+	const options = {
+		file: './storage/digests.json',
+		...config.digests
+	};
+	app.digests = createDigests({
+		...options,
+		subscriptions: createSubscriptionStore(options.file),
+		webservice: app.webservice,
+		smtp: config.smtp,
+		dashboardUrl: config.url,
+		render: (view, locals) => new Promise((resolve, reject) => {
+			app.express.render(view, locals, (error, html) => {
+				return (error ? reject(error) : resolve(html));
+			});
+		})
+	});
+	app.digests.start();
+}
+
 function loadViewEngine(app, config) {
 	app.express.engine('html', hbs.express4({
 		extname: '.html',
@@ -142,6 +245,10 @@ function loadViewEngine(app, config) {
 		bugtracker: pkg.bugs,
 		noindex: config.noindex,
 		readonly: config.readonly,
+		webhooksEnabled: Boolean(app.webhooks),
+		digestsEnabled: Boolean(app.digests),
+		// Ignored issues are stored on tasks by the local webservice
+		ignoreIssuesEnabled: Boolean(app.webservice.projects),
 		siteMessage: config.siteMessage,
 		settings: {}
 	};
@@ -153,16 +260,59 @@ function loadViewEngine(app, config) {
 	});
 }
 
+function loadProjectRoutes(app, config) {
+	if (!config.readonly) {
+		require('./route/project/new')(app);
+		require('./route/project/edit')(app);
+		require('./route/project/delete')(app);
+		require('./route/project/run')(app);
+	}
+	require('./route/project/index')(app);
+}
+
+function loadSettingsRoutes(app, config) {
+	if (app.auth.enabled) {
+		require('./route/settings/tokens')(app);
+	}
+	if (app.digests) {
+		require('./route/settings/digests')(app);
+	}
+	// Webhooks are only supported by the local webservice, and are
+	// left out in read-only mode like the other write routes
+	if (app.webhooks && !config.readonly) {
+		require('./route/settings/webhooks')(app);
+	}
+}
+
 function loadRoutes(app, config) {
 	// Because there's some overlap between the different routes,
 	//  they have to be loaded in a specific order in order to avoid
 	//  passing mongo the wrong id which would result in
 	//  "ObjectID generation failed." errors (e.g. #277)
 	require('./route/index')(app);
+	if (app.auth.enabled) {
+		require('./route/login')(app);
+	}
+	loadSettingsRoutes(app, config);
+	require('./route/portfolio')(app, config);
+	require('./route/rule')(app);
+	require('./route/history')(app);
 	require('./route/result/download')(app);
+	require('./route/result/compare')(app);
+	require('./route/result/matrix')(app);
+	require('./route/result/screenshot')(app);
+
+	// Projects are only supported by the local webservice
+	if (app.webservice.projects) {
+		loadProjectRoutes(app, config);
+	}
+	require('./route/task/job')(app);
 
+	// Write routes check the user's role on each request, see `auth/`.
+	// Read-only mode drops them for everyone.
 	if (!config.readonly) {
 		require('./route/new')(app);
+		require('./route/import')(app);
 		require('./route/task/delete')(app);
 		require('./route/task/run')(app);
 		require('./route/task/edit')(app);
@@ -173,6 +323,7 @@ function loadRoutes(app, config) {
 	// Needs to be loaded after `/route/new`
 	require('./route/task/index')(app);
 	// Needs to be loaded after `/route/task/edit`
+	require('./route/task/triage')(app, config);
 	require('./route/result/index')(app);
 
 	// API routes for running analyses without the Pa11y Webservice. This
@@ -181,6 +332,10 @@ function loadRoutes(app, config) {
 	// and results are not persisted on the server; clients should store
 	// them in IndexedDB or another browser‑side database.
 	require('./route/api')(app);
+
+	// Versioned JSON API for scripting tasks and results. Write endpoints
+	// are left out in read-only mode, like the write routes above.
+	require('./route/api/v1')(app, config);
 }
 
 function loadErrorHandling(app, config, callback) {
@@ -0,0 +1,27 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+// Print a password hash for the users file, e.g.
+//   npm run hash-password -- "correct horse battery staple"
+
+const {hashPassword} = require('./password');
+
+const password = process.argv[2];
+if (!password) {
+	console.error('Usage: npm run hash-password -- <password>');
+	process.exit(1);
+}
+console.log(hashPassword(password));
@@ -0,0 +1,208 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const crypto = require('crypto');
+const cookieSession = require('cookie-session');
+const createTokenStore = require('./tokens');
+const createUserStore = require('./users');
+
+// Roles in order of increasing access. Each role can do everything the
+// roles before it can: viewers can see tasks and results, editors can
+// also add, edit, run and ignore rules on tasks, and admins can also
+// delete tasks.
+const roles = ['viewer', 'editor', 'admin'];
+
+module.exports = initAuth;
+module.exports.roles = roles;
+
+/**
+ * Set up sign in, API tokens and role-based access for the dashboard.
+ * Auth is only enabled when a users file is configured. When it's
+ * disabled everyone has full access, as before.
+ *
+ * The returned middleware is added to the app in `app.js`.
+ *
+ * @param {object} config The dashboard config
+ * @returns {object} The auth helpers and middleware
+ */
+function initAuth(config) {
+	const options = config.auth || {};
+	const enabled = Boolean(options.usersFile);
+	const anonymousRole = getAnonymousRole(options);
+	const users = (enabled ? createUserStore(options.usersFile, roles) : null);
+	const tokens = (enabled ? createTokenStore(options.tokensFile) : null);
+	const sessionMaxAge = getSessionMaxAge(options);
+
+	// API token requests already have a user, see `checkApiToken`. The
+	// signed in user is looked up again on every request, so that users
+	// who are removed or given a new role don't keep their old access.
+	// The cookie's expiry date is only a hint to the browser, so the
+	// sign in time saved in the session is checked as well
+	function getUser(request) {
+		if (request.user) {
+			return request.user;
+		}
+		if (!enabled || !request.session.user) {
+			return null;
+		}
+		const signedInAt = Number(request.session.signedInAt);
+		const hasExpired = !(Date.now() - signedInAt < sessionMaxAge);
+		const user = (hasExpired ? null : users.find(request.session.user.username));
+		if (!user) {
+			request.session = null;
+		}
+		return user;
+	}
+
+	function getRole(request) {
+		if (!enabled) {
+			return 'admin';
+		}
+		if (request.user) {
+			return request.user.role;
+		}
+		return (anonymousRole === 'none' ? null : anonymousRole);
+	}
+
+	return {
+		enabled,
+		users,
+		tokens,
+
+		session: cookieSession({
+			name: 'pa11y-dashboard',
+			// Without a configured secret, sessions end on restart
+			keys: [options.secret || crypto.randomBytes(32).toString('hex')],
+			sameSite: 'lax',
+			httpOnly: true,
+			maxAge: sessionMaxAge
+		}),
+
+		// Authenticate API requests which send a token in an
+		// `Authorization: Bearer <token>` header. The request acts as
+		// the token's owner, limited to the token's scopes.
+		checkApiToken(request, response, next) {
+			const match = /^Bearer\s+(\S+)$/i.exec(request.get('Authorization') || '');
+			if (!match) {
+				return next();
+			}
+			const token = tokens.verify(match[1]);
+			const owner = (token ? users.find(token.owner) : null);
+			if (!owner) {
+				return response.status(401).json({error: 'Invalid or expired API token'});
+			}
+			request.token = token;
+			request.user = owner;
+			next();
+		},
+
+		// Work out who is making the request and what they can do
+		loadUser(request, response, next) {
+			request.user = getUser(request);
+			request.role = getRole(request);
+			response.locals.authEnabled = enabled;
+			response.locals.user = request.user;
+			// Hide the controls for anything the user isn't allowed to do
+			response.locals.readonly = (config.readonly || !hasRole(request.role, 'editor'));
+			response.locals.canDelete = hasRole(request.role, 'admin');
+			if (!request.role && request.path !== '/login') {
+				return deny(request, response);
+			}
+			next();
+		},
+
+		// Only let through users who have signed in, for pages about
+		// the user's own things such as their API tokens
+		requireSignIn(request, response, next) {
+			if (!request.user) {
+				return response.redirect(`/login?next=${encodeURIComponent(request.originalUrl)}`);
+			}
+			next();
+		},
+
+		/**
+		 * Create middleware which only lets through users with the given
+		 * role, or a role with more access. Requests made with an API
+		 * token also need the token to have the given scope.
+		 * @param {string} role The role required
+		 * @param {string} [scope] The token scope required
+		 * @returns {function} The middleware
+		 */
+		require(role, scope) {
+			return (request, response, next) => {
+				if (allows(request, role, scope)) {
+					return next();
+				}
+				deny(request, response);
+			};
+		},
+
+		/**
+		 * Check whether a request has the given role, or a role with
+		 * more access, and the given scope if it uses an API token.
+		 * @param {object} request The request
+		 * @param {string} role The role required
+		 * @param {string} [scope] The token scope required
+		 * @returns {boolean} Whether the request is allowed
+		 */
+		allows
+	};
+}
+
+// The role of users who haven't signed in, `none` means that everyone
+// has to sign in to see anything
+function getAnonymousRole(options) {
+	const anonymousRole = options.anonymousRole || 'viewer';
+	if (anonymousRole !== 'none' && !roles.includes(anonymousRole)) {
+		const expected = ['none'].concat(roles).join(', ');
+		throw new Error(`Unknown anonymous role "${anonymousRole}", expected one of: ${expected}`);
+	}
+	return anonymousRole;
+}
+
+// How long users stay signed in, in hours
+function getSessionMaxAge(options) {
+	const hours = Number(options.sessionHours || 24);
+	if (!Number.isFinite(hours) || hours <= 0) {
+		throw new Error(`Invalid session length "${options.sessionHours}", expected hours`);
+	}
+	return hours * 60 * 60 * 1000;
+}
+
+function allows(request, role, scope) {
+	const hasScope = (!request.token || request.token.scopes.includes(scope));
+	return hasRole(request.role, role) && hasScope;
+}
+
+function hasRole(role, requiredRole) {
+	return roles.indexOf(role) >= roles.indexOf(requiredRole) && roles.includes(role);
+}
+
+// API requests get a JSON error, anyone who isn't signed in is sent to
+// sign in, and signed in users without access get a 403 page
+function deny(request, response) {
+	const status = (request.user ? 403 : 401);
+	if (request.path.startsWith('/api/')) {
+		return response.status(status).json({
+			error: (request.user ? 'Forbidden' : 'Unauthorized')
+		});
+	}
+	if (!request.user) {
+		return response.redirect(`/login?next=${encodeURIComponent(request.originalUrl)}`);
+	}
+	response.status(status);
+	response.render('403');
+}
@@ -0,0 +1,51 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const crypto = require('crypto');
+
+const keyLength = 64;
+
+module.exports = {
+	hashPassword,
+	verifyPassword
+};
+
+/**
+ * Hash a password for storing in the users file.
+ * @param {string} password The plain-text password
+ * @returns {string} The hash, in the format `scrypt:<salt>:<hash>`
+ */
+function hashPassword(password) {
+	const salt = crypto.randomBytes(16).toString('hex');
+	const hash = crypto.scryptSync(password, salt, keyLength).toString('hex');
+	return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a hash created by `hashPassword`.
+ * @param {string} password The plain-text password
+ * @param {string} storedHash The stored hash
+ * @returns {boolean} Whether the password matches
+ */
+function verifyPassword(password, storedHash) {
+	const [algorithm, salt, hash] = String(storedHash).split(':');
+	if (algorithm !== 'scrypt' || !salt || !hash) {
+		return false;
+	}
+	const expected = Buffer.from(hash, 'hex');
+	const actual = crypto.scryptSync(String(password), salt, expected.length);
+	return (expected.length === actual.length && crypto.timingSafeEqual(expected, actual));
+}
@@ -0,0 +1,151 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {nanoid} = require('nanoid');
+
+const scopes = ['read', 'write', 'run'];
+
+// Saving every use of a token would mean a write to disk on every API
+// request, so the last-used time is only saved once it's this stale
+const lastUsedResolution = 60 * 1000;
+
+module.exports = createTokenStore;
+module.exports.scopes = scopes;
+
+/**
+ * Create a store for API tokens. Tokens belong to a user, have a set of
+ * scopes which limit what they can be used for, and can expire. Only a
+ * hash of each token is kept, in a JSON file, so a token can only be
+ * seen when it's created.
+ *
+ * @param {string} filePath The path of the tokens file
+ * @returns {object} The token store
+ */
+function createTokenStore(filePath) {
+	filePath = path.resolve(filePath);
+	let tokens = (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : []);
+
+	function save() {
+		fs.mkdirSync(path.dirname(filePath), {recursive: true});
+		const temporaryPath = `${filePath}.tmp`;
+		fs.writeFileSync(temporaryPath, JSON.stringify(tokens, null, '\t'));
+		fs.renameSync(temporaryPath, filePath);
+	}
+
+	return {
+
+		/**
+		 * List the tokens which belong to a user, or all tokens.
+		 * @param {string} [owner] The username to list tokens for
+		 * @returns {Array} The tokens, without their hashes
+		 */
+		list(owner) {
+			return tokens
+				.filter(token => !owner || token.owner === owner)
+				.map(presentToken);
+		},
+
+		/**
+		 * Create a token.
+		 * @param {object} details The token details
+		 * @param {string} details.name A name to recognise the token by
+		 * @param {string} details.owner The username of the token's owner
+		 * @param {Array} details.scopes What the token can be used for
+		 * @param {string} [details.expires] When the token expires (ISO 8601)
+		 * @returns {object} The token, including its `secret` which is the
+		 *          only time that it's available
+		 */
+		create(details) {
+			if (!details.name) {
+				throw new Error('Please give the token a name');
+			}
+			const tokenScopes = [].concat(details.scopes || []);
+			if (!tokenScopes.length || tokenScopes.some(scope => !scopes.includes(scope))) {
+				throw new Error(`Token scopes must be one or more of: ${scopes.join(', ')}`);
+			}
+			const secret = `pa11y_${crypto.randomBytes(24).toString('hex')}`;
+			const token = {
+				id: nanoid(),
+				name: details.name,
+				owner: details.owner,
+				scopes: tokenScopes,
+				created: new Date().toISOString(),
+				expires: details.expires || null,
+				lastUsed: null,
+				hash: hashSecret(secret)
+			};
+			tokens.push(token);
+			save();
+			return {
+				...presentToken(token),
+				secret
+			};
+		},
+
+		/**
+		 * Revoke a token.
+		 * @param {string} id The token ID
+		 * @param {string} [owner] Only revoke the token if it has this owner
+		 * @returns {boolean} Whether a token was revoked
+		 */
+		revoke(id, owner) {
+			const remaining = tokens.filter(token => {
+				return token.id !== id || (owner && token.owner !== owner);
+			});
+			const revoked = (remaining.length !== tokens.length);
+			tokens = remaining;
+			if (revoked) {
+				save();
+			}
+			return revoked;
+		},
+
+		/**
+		 * Find the token for a secret, and record that it has been used.
+		 * @param {string} secret The secret sent with a request
+		 * @returns {object|null} The token, or `null` if the secret is
+		 *          unknown or the token has expired
+		 */
+		verify(secret) {
+			const hash = hashSecret(String(secret));
+			const token = tokens.find(candidate => candidate.hash === hash);
+			if (!token || (token.expires && new Date(token.expires) < new Date())) {
+				return null;
+			}
+			const now = new Date();
+			if (!token.lastUsed || now - new Date(token.lastUsed) > lastUsedResolution) {
+				token.lastUsed = now.toISOString();
+				save();
+			}
+			return presentToken(token);
+		}
+	};
+}
+
+// Tokens are long and random, so a fast hash is enough to protect them
+function hashSecret(secret) {
+	return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function presentToken(token) {
+	const copy = {...token};
+	delete copy.hash;
+	copy.expired = Boolean(token.expires && new Date(token.expires) < new Date());
+	return copy;
+}
@@ -0,0 +1,124 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {red} = require('kleur');
+const {verifyPassword} = require('./password');
+
+module.exports = createUserStore;
+
+/**
+ * Create a store for the users who can sign in to the dashboard. Users
+ * are read from a JSON file containing an array of users, e.g.
+ *
+ *   [{"username": "alice", "password": "scrypt:...", "role": "editor"}]
+ *
+ * Passwords are hashed with `npm run hash-password`. The file is read
+ * again whenever it changes so that users can be changed without a
+ * restart. If a changed file can't be read, the last good copy is used
+ * until it's fixed.
+ *
+ * @param {string} filePath The path of the users file
+ * @param {Array} roles The valid roles
+ * @returns {object} The user store
+ */
+function createUserStore(filePath, roles) {
+	filePath = path.resolve(filePath);
+	let cache = null;
+
+	function loadUsers() {
+		const users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		if (!Array.isArray(users)) {
+			throw new Error(`The users file ${filePath} must contain an array of users`);
+		}
+		users.forEach(user => {
+			if (!roles.includes(user.role)) {
+				throw new Error(`User "${user.username}" has an unknown role "${user.role}"`);
+			}
+		});
+		return users;
+	}
+
+	function getVersion() {
+		const stats = fs.statSync(filePath);
+		return `${stats.mtimeMs}:${stats.size}`;
+	}
+
+	// Users are looked up on every request, so the file is only read
+	// when it has changed
+	function readUsers() {
+		let version;
+		try {
+			version = getVersion();
+			if (version !== cache.version) {
+				cache = {
+					version,
+					users: loadUsers()
+				};
+			}
+		} catch (error) {
+			if (version !== cache.failedVersion) {
+				console.error(red('Failed to read the users file: %s'), error.message);
+				cache.failedVersion = version;
+			}
+		}
+		return cache.users;
+	}
+
+	// Fail early if the file is missing or invalid
+	cache = {
+		version: getVersion(),
+		users: loadUsers()
+	};
+
+	return {
+
+		/**
+		 * Find a user by their username.
+		 * @param {string} username The username
+		 * @returns {object|null} The user's `username` and `role`, or `null`
+		 *          if there's no such user
+		 */
+		find(username) {
+			const user = readUsers().find(candidate => candidate.username === username);
+			return (user ? presentUser(user) : null);
+		},
+
+		/**
+		 * Find a user by their username and password.
+		 * @param {string} username The username
+		 * @param {string} password The plain-text password
+		 * @returns {object|null} The user's `username` and `role`, or `null`
+		 *          if the username or password is incorrect
+		 */
+		authenticate(username, password) {
+			const user = readUsers().find(candidate => candidate.username === username);
+			if (!user || !verifyPassword(password, user.password)) {
+				return null;
+			}
+			return presentUser(user);
+		}
+	};
+}
+
+// Never pass password hashes around
+function presentUser(user) {
+	return {
+		username: user.username,
+		role: user.role
+	};
+}
@@ -29,11 +29,87 @@ if (fs.existsSync(jsonPath)) {
         port: Number(env('PORT', '4000')),
         noindex: env('NOINDEX', 'true') === 'true',
         readonly: env('READONLY', 'false') === 'true',
+        // How many pa11y runs can happen at once
+        numWorkers: Number(env('NUM_WORKERS', '2')),
         // The default `webservice` configuration is now undefined, meaning
         // the dashboard will run with the in-memory service. If you
         // specify WEBSERVICE_URL, its value will be used to connect to
         // an external Pa11y Webservice instance.
-        webservice: env('WEBSERVICE_URL', undefined)
+        webservice: env('WEBSERVICE_URL', undefined),
+        // An API token for the webservice, for when it's another
+        // dashboard with sign in turned on
+        webserviceToken: env('WEBSERVICE_TOKEN', undefined),
+        // Where the local webservice keeps tasks and results. The default
+        // `memory` store loses everything on restart; set STORE_TYPE to
+        // `file` to persist them to STORE_PATH instead.
+        store: {
+            type: env('STORE_TYPE', 'memory'),
+            path: env('STORE_PATH', './storage/pa11y-dashboard.jsonl')
+        },
+        // Sign in and role-based access. Auth is only enabled when
+        // AUTH_USERS_FILE points to a JSON file of users, see the README.
+        auth: {
+            usersFile: env('AUTH_USERS_FILE', undefined),
+            secret: env('SESSION_SECRET', undefined),
+            tokensFile: env('AUTH_TOKENS_FILE', './storage/tokens.json'),
+            anonymousRole: env('AUTH_ANONYMOUS_ROLE', 'viewer'),
+            sessionHours: Number(env('SESSION_HOURS', '24'))
+        },
+        // Run every task on a cron schedule (e.g. `0 30 0 * * *` for
+        // 00:30 daily). Tasks can override this with their own schedule.
+        // CATCH_UP decides whether runs missed while the dashboard was
+        // down are run `once` on startup, or not at all (`none`).
+        schedule: {
+            cron: env('CRON', undefined),
+            catchUp: env('CATCH_UP', 'once')
+        },
+        // The public URL of the dashboard, used to link to results from
+        // webhook messages
+        url: env('DASHBOARD_URL', undefined),
+        // Outgoing webhooks for finished, failed and regressed runs.
+        // Failed deliveries are retried WEBHOOK_RETRIES times, waiting
+        // WEBHOOK_RETRY_DELAY milliseconds (doubling each time) between them.
+        webhooks: {
+            file: env('WEBHOOKS_FILE', './storage/webhooks.json'),
+            retries: Number(env('WEBHOOK_RETRIES', '3')),
+            retryDelay: Number(env('WEBHOOK_RETRY_DELAY', '5000'))
+        },
+        // Email digests are sent through this SMTP server, and are
+        // turned off unless SMTP_HOST is set. They go out on the
+        // DIGEST_CRON schedule, weekly ones only on DIGEST_WEEKDAY
+        // (0 for Sunday to 6 for Saturday).
+        smtp: {
+            host: env('SMTP_HOST', undefined),
+            port: Number(env('SMTP_PORT', '587')),
+            secure: env('SMTP_SECURE', 'false') === 'true',
+            user: env('SMTP_USER', undefined),
+            password: env('SMTP_PASSWORD', undefined),
+            from: env('SMTP_FROM', 'Pa11y Dashboard <pa11y-dashboard@localhost>')
+        },
+        digests: {
+            file: env('DIGESTS_FILE', './storage/digests.json'),
+            cron: env('DIGEST_CRON', '0 0 8 * * *'),
+            weekday: Number(env('DIGEST_WEEKDAY', '1'))
+        },
+        // Triage records of issues, with their status and assignee
+        triage: {
+            file: env('TRIAGE_FILE', './storage/triage.json')
+        },
+        // Accessibility scores out of 100. Each issue costs the weight
+        // of its type times the weight of its rule (codes or the start
+        // of codes, e.g. `color-contrast:2`), and a result costing
+        // SCORE_SCALE scores 50. Averages are over SCORE_WINDOW results.
+        score: {
+            weights: env('SCORE_WEIGHTS', 'error:10,warning:3,notice:0'),
+            rules: env('SCORE_RULE_WEIGHTS', undefined),
+            scale: Number(env('SCORE_SCALE', '100')),
+            window: Number(env('SCORE_WINDOW', '5'))
+        },
+        // The portfolio overview lists tasks which haven't been run
+        // in STALE_DAYS days
+        portfolio: {
+            staleDays: Number(env('STALE_DAYS', '7'))
+        }
     };
 }
 
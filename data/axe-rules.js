@@ -0,0 +1,434 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+// Generated from the rule metadata of axe-core 4.8.4, which is the version
+// of axe that Pa11y runs
+module.exports = function getAxeRules() {
+	return {
+		accesskeys: {
+			title: 'accesskeys: accesskey attribute value should be unique',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/accesskeys'
+		},
+		'area-alt': {
+			title: 'area-alt: Active <area> elements must have alternate text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/area-alt'
+		},
+		'aria-allowed-attr': {
+			title: 'aria-allowed-attr: Elements must only use supported ARIA attributes',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-allowed-attr'
+		},
+		'aria-allowed-role': {
+			title: 'aria-allowed-role: ARIA role should be appropriate for the element',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-allowed-role'
+		},
+		'aria-braille-equivalent': {
+			title: 'aria-braille-equivalent: aria-braille attributes must have a non-braille equivalent',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-braille-equivalent'
+		},
+		'aria-command-name': {
+			title: 'aria-command-name: ARIA commands must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-command-name'
+		},
+		'aria-conditional-attr': {
+			title: 'aria-conditional-attr: ARIA attributes must be used as specified for the element\'s role',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-conditional-attr'
+		},
+		'aria-deprecated-role': {
+			title: 'aria-deprecated-role: Deprecated ARIA roles must not be used',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-deprecated-role'
+		},
+		'aria-dialog-name': {
+			title: 'aria-dialog-name: ARIA dialog and alertdialog nodes should have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-dialog-name'
+		},
+		'aria-hidden-body': {
+			title: 'aria-hidden-body: aria-hidden="true" must not be present on the document body',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-hidden-body'
+		},
+		'aria-hidden-focus': {
+			title: 'aria-hidden-focus: ARIA hidden element must not be focusable or contain focusable elements',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-hidden-focus'
+		},
+		'aria-input-field-name': {
+			title: 'aria-input-field-name: ARIA input fields must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-input-field-name'
+		},
+		'aria-meter-name': {
+			title: 'aria-meter-name: ARIA meter nodes must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-meter-name'
+		},
+		'aria-progressbar-name': {
+			title: 'aria-progressbar-name: ARIA progressbar nodes must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-progressbar-name'
+		},
+		'aria-prohibited-attr': {
+			title: 'aria-prohibited-attr: Elements must only use permitted ARIA attributes',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-prohibited-attr'
+		},
+		'aria-required-attr': {
+			title: 'aria-required-attr: Required ARIA attributes must be provided',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-required-attr'
+		},
+		'aria-required-children': {
+			title: 'aria-required-children: Certain ARIA roles must contain particular children',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-required-children'
+		},
+		'aria-required-parent': {
+			title: 'aria-required-parent: Certain ARIA roles must be contained by particular parents',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-required-parent'
+		},
+		'aria-roledescription': {
+			title: 'aria-roledescription: aria-roledescription must be on elements with a semantic role',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-roledescription'
+		},
+		'aria-roles': {
+			title: 'aria-roles: ARIA roles used must conform to valid values',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-roles'
+		},
+		'aria-text': {
+			title: 'aria-text: "role=text" should have no focusable descendants',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-text'
+		},
+		'aria-toggle-field-name': {
+			title: 'aria-toggle-field-name: ARIA toggle fields must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-toggle-field-name'
+		},
+		'aria-tooltip-name': {
+			title: 'aria-tooltip-name: ARIA tooltip nodes must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-tooltip-name'
+		},
+		'aria-treeitem-name': {
+			title: 'aria-treeitem-name: ARIA treeitem nodes should have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-treeitem-name'
+		},
+		'aria-valid-attr-value': {
+			title: 'aria-valid-attr-value: ARIA attributes must conform to valid values',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-valid-attr-value'
+		},
+		'aria-valid-attr': {
+			title: 'aria-valid-attr: ARIA attributes must conform to valid names',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/aria-valid-attr'
+		},
+		'audio-caption': {
+			title: 'audio-caption: <audio> elements must have a captions track',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/audio-caption'
+		},
+		'autocomplete-valid': {
+			title: 'autocomplete-valid: autocomplete attribute must be used correctly',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/autocomplete-valid'
+		},
+		'avoid-inline-spacing': {
+			title: 'avoid-inline-spacing: Inline text spacing must be adjustable with custom stylesheets',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/avoid-inline-spacing'
+		},
+		blink: {
+			title: 'blink: <blink> elements are deprecated and must not be used',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/blink'
+		},
+		'button-name': {
+			title: 'button-name: Buttons must have discernible text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/button-name'
+		},
+		bypass: {
+			title: 'bypass: Page must have means to bypass repeated blocks',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/bypass'
+		},
+		'color-contrast-enhanced': {
+			title: 'color-contrast-enhanced: Elements must meet enhanced color contrast ratio thresholds',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/color-contrast-enhanced'
+		},
+		'color-contrast': {
+			title: 'color-contrast: Elements must meet minimum color contrast ratio thresholds',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/color-contrast'
+		},
+		'css-orientation-lock': {
+			title: 'css-orientation-lock: CSS Media queries must not lock display orientation',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/css-orientation-lock'
+		},
+		'definition-list': {
+			title: 'definition-list: <dl> elements must only directly contain properly-ordered <dt> and <dd> groups, <script>, <template> or <div> elements',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/definition-list'
+		},
+		dlitem: {
+			title: 'dlitem: <dt> and <dd> elements must be contained by a <dl>',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/dlitem'
+		},
+		'document-title': {
+			title: 'document-title: Documents must have <title> element to aid in navigation',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/document-title'
+		},
+		'duplicate-id-active': {
+			title: 'duplicate-id-active: IDs of active elements must be unique',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/duplicate-id-active'
+		},
+		'duplicate-id-aria': {
+			title: 'duplicate-id-aria: IDs used in ARIA and labels must be unique',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/duplicate-id-aria'
+		},
+		'duplicate-id': {
+			title: 'duplicate-id: id attribute value must be unique',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/duplicate-id'
+		},
+		'empty-heading': {
+			title: 'empty-heading: Headings should not be empty',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/empty-heading'
+		},
+		'empty-table-header': {
+			title: 'empty-table-header: Table header text should not be empty',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/empty-table-header'
+		},
+		'focus-order-semantics': {
+			title: 'focus-order-semantics: Elements in the focus order should have an appropriate role',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/focus-order-semantics'
+		},
+		'form-field-multiple-labels': {
+			title: 'form-field-multiple-labels: Form field must not have multiple label elements',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/form-field-multiple-labels'
+		},
+		'frame-focusable-content': {
+			title: 'frame-focusable-content: Frames with focusable content must not have tabindex=-1',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/frame-focusable-content'
+		},
+		'frame-tested': {
+			title: 'frame-tested: Frames should be tested with axe-core',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/frame-tested'
+		},
+		'frame-title-unique': {
+			title: 'frame-title-unique: Frames must have a unique title attribute',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/frame-title-unique'
+		},
+		'frame-title': {
+			title: 'frame-title: Frames must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/frame-title'
+		},
+		'heading-order': {
+			title: 'heading-order: Heading levels should only increase by one',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/heading-order'
+		},
+		'hidden-content': {
+			title: 'hidden-content: Hidden content on the page should be analyzed',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/hidden-content'
+		},
+		'html-has-lang': {
+			title: 'html-has-lang: <html> element must have a lang attribute',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/html-has-lang'
+		},
+		'html-lang-valid': {
+			title: 'html-lang-valid: <html> element must have a valid value for the lang attribute',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/html-lang-valid'
+		},
+		'html-xml-lang-mismatch': {
+			title: 'html-xml-lang-mismatch: HTML elements with lang and xml:lang must have the same base language',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/html-xml-lang-mismatch'
+		},
+		'identical-links-same-purpose': {
+			title: 'identical-links-same-purpose: Links with the same name must have a similar purpose',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/identical-links-same-purpose'
+		},
+		'image-alt': {
+			title: 'image-alt: Images must have alternate text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/image-alt'
+		},
+		'image-redundant-alt': {
+			title: 'image-redundant-alt: Alternative text of images should not be repeated as text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/image-redundant-alt'
+		},
+		'input-button-name': {
+			title: 'input-button-name: Input buttons must have discernible text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/input-button-name'
+		},
+		'input-image-alt': {
+			title: 'input-image-alt: Image buttons must have alternate text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/input-image-alt'
+		},
+		'label-content-name-mismatch': {
+			title: 'label-content-name-mismatch: Elements must have their visible text as part of their accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/label-content-name-mismatch'
+		},
+		'label-title-only': {
+			title: 'label-title-only: Form elements should have a visible label',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/label-title-only'
+		},
+		label: {
+			title: 'label: Form elements must have labels',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/label'
+		},
+		'landmark-banner-is-top-level': {
+			title: 'landmark-banner-is-top-level: Banner landmark should not be contained in another landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-banner-is-top-level'
+		},
+		'landmark-complementary-is-top-level': {
+			title: 'landmark-complementary-is-top-level: Aside should not be contained in another landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-complementary-is-top-level'
+		},
+		'landmark-contentinfo-is-top-level': {
+			title: 'landmark-contentinfo-is-top-level: Contentinfo landmark should not be contained in another landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-contentinfo-is-top-level'
+		},
+		'landmark-main-is-top-level': {
+			title: 'landmark-main-is-top-level: Main landmark should not be contained in another landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-main-is-top-level'
+		},
+		'landmark-no-duplicate-banner': {
+			title: 'landmark-no-duplicate-banner: Document should not have more than one banner landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-no-duplicate-banner'
+		},
+		'landmark-no-duplicate-contentinfo': {
+			title: 'landmark-no-duplicate-contentinfo: Document should not have more than one contentinfo landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-no-duplicate-contentinfo'
+		},
+		'landmark-no-duplicate-main': {
+			title: 'landmark-no-duplicate-main: Document should not have more than one main landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-no-duplicate-main'
+		},
+		'landmark-one-main': {
+			title: 'landmark-one-main: Document should have one main landmark',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-one-main'
+		},
+		'landmark-unique': {
+			title: 'landmark-unique: Ensures landmarks are unique',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/landmark-unique'
+		},
+		'link-in-text-block': {
+			title: 'link-in-text-block: Links must be distinguishable without relying on color',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/link-in-text-block'
+		},
+		'link-name': {
+			title: 'link-name: Links must have discernible text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/link-name'
+		},
+		list: {
+			title: 'list: <ul> and <ol> must only directly contain <li>, <script> or <template> elements',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/list'
+		},
+		listitem: {
+			title: 'listitem: <li> elements must be contained in a <ul> or <ol>',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/listitem'
+		},
+		marquee: {
+			title: 'marquee: <marquee> elements are deprecated and must not be used',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/marquee'
+		},
+		'meta-refresh-no-exceptions': {
+			title: 'meta-refresh-no-exceptions: Delayed refresh must not be used',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/meta-refresh-no-exceptions'
+		},
+		'meta-refresh': {
+			title: 'meta-refresh: Delayed refresh under 20 hours must not be used',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/meta-refresh'
+		},
+		'meta-viewport-large': {
+			title: 'meta-viewport-large: Users should be able to zoom and scale the text up to 500%',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/meta-viewport-large'
+		},
+		'meta-viewport': {
+			title: 'meta-viewport: Zooming and scaling must not be disabled',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/meta-viewport'
+		},
+		'nested-interactive': {
+			title: 'nested-interactive: Interactive controls must not be nested',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/nested-interactive'
+		},
+		'no-autoplay-audio': {
+			title: 'no-autoplay-audio: <video> or <audio> elements must not play automatically',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/no-autoplay-audio'
+		},
+		'object-alt': {
+			title: 'object-alt: <object> elements must have alternate text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/object-alt'
+		},
+		'p-as-heading': {
+			title: 'p-as-heading: Styled <p> elements must not be used as headings',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/p-as-heading'
+		},
+		'page-has-heading-one': {
+			title: 'page-has-heading-one: Page should contain a level-one heading',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/page-has-heading-one'
+		},
+		'presentation-role-conflict': {
+			title: 'presentation-role-conflict: Ensure elements marked as presentational are consistently ignored',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/presentation-role-conflict'
+		},
+		region: {
+			title: 'region: All page content should be contained by landmarks',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/region'
+		},
+		'role-img-alt': {
+			title: 'role-img-alt: [role="img"] elements must have an alternative text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/role-img-alt'
+		},
+		'scope-attr-valid': {
+			title: 'scope-attr-valid: scope attribute should be used correctly',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/scope-attr-valid'
+		},
+		'scrollable-region-focusable': {
+			title: 'scrollable-region-focusable: Scrollable region must have keyboard access',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/scrollable-region-focusable'
+		},
+		'select-name': {
+			title: 'select-name: Select element must have an accessible name',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/select-name'
+		},
+		'server-side-image-map': {
+			title: 'server-side-image-map: Server-side image maps must not be used',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/server-side-image-map'
+		},
+		'skip-link': {
+			title: 'skip-link: The skip-link target should exist and be focusable',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/skip-link'
+		},
+		'svg-img-alt': {
+			title: 'svg-img-alt: <svg> elements with an img role must have an alternative text',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/svg-img-alt'
+		},
+		tabindex: {
+			title: 'tabindex: Elements should not have tabindex greater than zero',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/tabindex'
+		},
+		'table-duplicate-name': {
+			title: 'table-duplicate-name: tables should not have the same summary and caption',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/table-duplicate-name'
+		},
+		'table-fake-caption': {
+			title: 'table-fake-caption: Data or header cells must not be used to give caption to a data table.',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/table-fake-caption'
+		},
+		'target-size': {
+			title: 'target-size: All touch targets must be 24px large, or leave sufficient space',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/target-size'
+		},
+		'td-has-header': {
+			title: 'td-has-header: Non-empty <td> elements in larger <table> must have an associated table header',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/td-has-header'
+		},
+		'td-headers-attr': {
+			title: 'td-headers-attr: Table cells that use the headers attribute must only refer to cells in the same table',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/td-headers-attr'
+		},
+		'th-has-data-cells': {
+			title: 'th-has-data-cells: Table headers in a data table must refer to data cells',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/th-has-data-cells'
+		},
+		'valid-lang': {
+			title: 'valid-lang: lang attribute must have a valid value',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/valid-lang'
+		},
+		'video-caption': {
+			title: 'video-caption: <video> elements must have captions',
+			url: 'https://dequeuniversity.com/rules/axe/4.8/video-caption'
+		}
+	};
+};
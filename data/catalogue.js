@@ -0,0 +1,138 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const criteriaData = require('./wcag/criteria.json');
+const techniqueData = require('./wcag/techniques.json');
+const ruleData = require('./wcag/htmlcs-rules.json');
+
+// Catalogues are built once per WCAG version
+const catalogues = new Map();
+
+/**
+ * Get the catalogue of WCAG success criteria, techniques and
+ * HTML_CodeSniffer rules. The catalogue is built from the JSON files in
+ * `data/wcag`, which can be updated without changing any code:
+ *
+ *   - `criteria.json` lists the success criteria and the WCAG version
+ *     which added (or removed) each of them
+ *   - `techniques.json` lists the titles of the techniques and failures,
+ *     and the folder of the WCAG documents for each kind of technique
+ *   - `htmlcs-rules.json` lists the rules which HTML_CodeSniffer reports,
+ *     and which success criteria each of its standards tests
+ *
+ * @param {string} [version] The WCAG version which links point to, and
+ *        which decides the success criteria included. Defaults to the
+ *        newest version in `criteria.json`
+ * @returns {object} The catalogue
+ * @throws {Error} If the WCAG version isn't in the catalogue
+ */
+module.exports = function getCatalogue(version = criteriaData.version) {
+	if (!catalogues.has(version)) {
+		catalogues.set(version, buildCatalogue(version));
+	}
+	return catalogues.get(version);
+};
+
+module.exports.getCriterionId = getCriterionId;
+
+function buildCatalogue(version) {
+	if (!criteriaData.versions.includes(version)) {
+		const expected = criteriaData.versions.join(', ');
+		throw new Error(`Unknown WCAG version "${version}", expected one of: ${expected}`);
+	}
+	const baseUrl = `https://www.w3.org/WAI/WCAG${version.replace('.', '')}`;
+	const criteria = buildCriteria(version, baseUrl);
+	return {
+		version,
+		updated: criteriaData.updated,
+		htmlcs: ruleData.htmlcs,
+		criteria,
+		techniques: buildTechniques(baseUrl),
+		standards: buildStandards(criteria)
+	};
+}
+
+function buildCriteria(version, baseUrl) {
+	const criteria = {};
+	criteriaData.criteria
+		.filter(criterion => compareVersions(criterion.since, version) <= 0)
+		.forEach(criterion => {
+			// Some criteria were renamed, e.g. 2.5.5 was "Target Size" in WCAG 2.1
+			const details = Object.assign({}, criterion, (criterion.overrides || {})[version]);
+			criteria[criterion.id] = {
+				id: criterion.id,
+				title: `${criterion.id} ${details.title}`,
+				level: criterion.level,
+				since: criterion.since,
+				obsolete: Boolean(criterion.removed && compareVersions(criterion.removed, version) <= 0),
+				url: `${baseUrl}/Understanding/${details.understanding}`
+			};
+		});
+	return criteria;
+}
+
+function buildTechniques(baseUrl) {
+	const techniques = {};
+	Object.keys(techniqueData.techniques).forEach(id => {
+		const folder = techniqueData.folders[id.replace(/\d+$/, '')];
+		techniques[id] = {
+			title: `${id}: ${techniqueData.techniques[id]}`,
+			url: `${baseUrl}/Techniques/${folder}/${id}`
+		};
+	});
+	return techniques;
+}
+
+// HTML_CodeSniffer rule names are prefixed with the standard, e.g.
+// `WCAG2AA.Principle1.Guideline1_1.1_1_1.H37`, and each standard only
+// runs some of the success criteria "sniffs"
+function buildStandards(criteria) {
+	return Object.keys(ruleData.standards).map(title => {
+		const sniffs = ruleData.standards[title];
+		const rules = ruleData.rules
+			.filter(rule => sniffs.includes(rule.name.split('.').slice(0, 3).join('.')))
+			.map(rule => {
+				const criterion = criteria[getCriterionId(rule.name)] || {};
+				return {
+					name: `${title}.${rule.name}`,
+					description: rule.description,
+					criterion: criterion.title,
+					// Flag the rules for success criteria added since WCAG 2.0
+					since: (criterion.since && criterion.since !== '2.0' ? criterion.since : undefined)
+				};
+			});
+		return {
+			title,
+			rules
+		};
+	});
+}
+
+/**
+ * Get the success criterion which an HTML_CodeSniffer rule tests.
+ * @param {string} code The rule, e.g. `WCAG2AA.Principle1.Guideline1_4.1_4_3_F24.F24.FGColour`
+ * @returns {(string|null)} The success criterion, e.g. `1.4.3`
+ */
+function getCriterionId(code) {
+	const match = /(?:^|\.)(\d+)_(\d+)_(\d+)(?:_[^.]*)?(?:\.|$)/.exec(code || '');
+	return (match ? match.slice(1).join('.') : null);
+}
+
+function compareVersions(first, second) {
+	const [firstMajor, firstMinor] = first.split('.').map(Number);
+	const [secondMajor, secondMinor] = second.split('.').map(Number);
+	return (firstMajor - secondMajor) || (firstMinor - secondMinor);
+}
@@ -0,0 +1,267 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+// Device presets which tasks can emulate. Pa11y tests with a 1280x1024
+// desktop viewport and its own user agent unless a task sets its own
+const presets = {
+	'desktop-1280': {
+		title: 'Desktop 1280',
+		viewport: {
+			width: 1280,
+			height: 1024
+		}
+	},
+	'desktop-1920': {
+		title: 'Desktop 1920',
+		viewport: {
+			width: 1920,
+			height: 1080
+		}
+	},
+	ipad: {
+		title: 'iPad-like',
+		viewport: {
+			width: 820,
+			height: 1180,
+			deviceScaleFactor: 2,
+			isMobile: true,
+			hasTouch: true
+		},
+		userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+	},
+	iphone: {
+		title: 'iPhone-like',
+		viewport: {
+			width: 390,
+			height: 844,
+			deviceScaleFactor: 3,
+			isMobile: true,
+			hasTouch: true
+		},
+		userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+	},
+	android: {
+		title: 'Android-like',
+		viewport: {
+			width: 412,
+			height: 915,
+			deviceScaleFactor: 2.625,
+			isMobile: true,
+			hasTouch: true
+		},
+		userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+	}
+};
+
+const defaultViewport = {
+	width: 1280,
+	height: 1024,
+	deviceScaleFactor: 1,
+	isMobile: false,
+	hasTouch: false
+};
+
+const sizes = ['width', 'height', 'deviceScaleFactor'];
+const flags = ['isMobile', 'hasTouch'];
+
+/**
+ * Get the device choices offered when adding or editing a task.
+ * @param {string} [selected] The task's device preset
+ * @returns {Array} The choices, with the task's device selected
+ */
+module.exports = function getDevices(selected) {
+	return [{
+		title: 'Default (Desktop 1280)',
+		value: ''
+	}].concat(Object.keys(presets).map(value => ({
+		title: presets[value].title,
+		value
+	}))).map(device => {
+		device.selected = (device.value === (selected || ''));
+		return device;
+	});
+};
+
+module.exports.getFlagChoices = getFlagChoices;
+module.exports.parseEmulation = parseEmulation;
+module.exports.readEmulationForm = readEmulationForm;
+module.exports.parseViewports = parseViewports;
+module.exports.getEmulation = getEmulation;
+module.exports.getEmulationTitle = getEmulationTitle;
+
+/**
+ * Get the choices for the mobile and touch fields of the new and edit URL
+ * forms. The empty choice uses the device preset's setting.
+ * @param {(boolean|string)} [selected] The task's setting
+ * @returns {Array} The choices, with the task's setting selected
+ */
+function getFlagChoices(selected) {
+	const value = (isEmpty(selected) ? '' : String(selected));
+	return [
+		{
+			title: 'As the device',
+			value: ''
+		},
+		{
+			title: 'Yes',
+			value: 'true'
+		},
+		{
+			title: 'No',
+			value: 'false'
+		}
+	].map(choice => {
+		choice.selected = (choice.value === value);
+		return choice;
+	});
+}
+
+/**
+ * Parse a task's device emulation settings. A task can pick a `device`
+ * preset, and set a `viewport` and `userAgent` which override the
+ * preset's. Only the viewport properties which are set are kept.
+ * @param {object} settings The settings to parse
+ * @param {string} [settings.device] The name of a device preset
+ * @param {object} [settings.viewport] Any of `width`, `height`,
+ *        `deviceScaleFactor`, `isMobile` and `hasTouch`
+ * @param {string} [settings.userAgent] The user agent to send
+ * @returns {object} The `device`, `viewport` and `userAgent`, each of
+ *          which is `undefined` if it wasn't set
+ * @throws {Error} If the preset isn't known or a viewport property is invalid
+ */
+function parseEmulation({device, viewport, userAgent}) {
+	if (device && !presets[device]) {
+		throw new Error(`Unknown device "${device}", expected one of: ${Object.keys(presets).join(', ')}`);
+	}
+	return {
+		device: device || undefined,
+		viewport: parseViewport(viewport),
+		userAgent: String(userAgent || '').trim() || undefined
+	};
+}
+
+function parseViewport(value) {
+	const viewport = Object(value);
+	const parsed = {};
+	sizes.filter(name => !isEmpty(viewport[name])).forEach(name => {
+		parsed[name] = parseSize(name, viewport[name]);
+	});
+	flags.filter(name => ['true', 'false'].includes(String(viewport[name]))).forEach(name => {
+		parsed[name] = (String(viewport[name]) === 'true');
+	});
+	return (Object.keys(parsed).length ? parsed : undefined);
+}
+
+function parseSize(name, value) {
+	const size = Number(value);
+	if (!(size > 0 && size <= 10000)) {
+		throw new Error(`Invalid viewport ${name} "${value}", expected a positive number`);
+	}
+	// Only the scale factor can be fractional
+	return (name === 'deviceScaleFactor' ? size : Math.round(size));
+}
+
+function isEmpty(value) {
+	return value === undefined || value === null || value === '';
+}
+
+/**
+ * Parse the viewport widths which a task is run at, for tasks which test
+ * several breakpoints in one run.
+ * @param {(Array|string)} value The widths, as an array or a
+ *        comma-separated string, e.g. `320, 768, 1280`
+ * @returns {(Array|undefined)} The widths in ascending order, or
+ *          `undefined` if none were given
+ * @throws {Error} If any of the widths are invalid
+ */
+function parseViewports(value) {
+	const widths = (Array.isArray(value) ? value : String(value || '').split(','))
+		.map(width => String(width).trim().replace(/px$/i, ''))
+		.filter(Boolean)
+		.map(width => parseSize('width', width));
+	const unique = Array.from(new Set(widths)).sort((first, second) => first - second);
+	return (unique.length ? unique : undefined);
+}
+
+/**
+ * Read the device emulation fields of the new and edit URL forms. Empty
+ * fields are left out.
+ * @param {object} body The request body
+ * @returns {object} Settings for `parseEmulation`
+ */
+function readEmulationForm(body) {
+	const viewport = {
+		width: body.viewportWidth,
+		height: body.viewportHeight,
+		deviceScaleFactor: body.deviceScaleFactor,
+		isMobile: body.isMobile,
+		hasTouch: body.hasTouch
+	};
+	Object.keys(viewport).filter(name => isEmpty(viewport[name])).forEach(name => {
+		delete viewport[name];
+	});
+	return {
+		device: body.device || undefined,
+		viewport: (Object.keys(viewport).length ? viewport : undefined),
+		userAgent: (body.userAgent || '').trim() || undefined
+	};
+}
+
+/**
+ * Get the pa11y options which emulate a task's device.
+ * @param {object} task The task
+ * @param {number} [width] The viewport width to use instead of the
+ *        task's, for tasks which are run at several widths
+ * @returns {object} The `viewport` and `userAgent` options for pa11y, or
+ *          an empty object if the task uses pa11y's defaults
+ */
+function getEmulation(task, width) {
+	const preset = presets[task.device] || {};
+	const options = {};
+	const viewports = [preset.viewport, task.viewport, (width ? {width} : null)].filter(Boolean);
+	if (viewports.length) {
+		options.viewport = Object.assign({...defaultViewport}, ...viewports);
+	}
+	const userAgent = task.userAgent || preset.userAgent;
+	if (userAgent) {
+		options.userAgent = userAgent;
+	}
+	return options;
+}
+
+/**
+ * Get a short description of the device a task emulates, e.g.
+ * "iPhone-like 390×844 @3x, mobile, touch".
+ * @param {object} task The task
+ * @returns {string} The description, or an empty string if the task
+ *          uses pa11y's defaults
+ */
+function getEmulationTitle(task) {
+	const {viewport, userAgent} = getEmulation(task);
+	if (!viewport) {
+		return (userAgent ? 'Custom user agent' : '');
+	}
+	const preset = presets[task.device];
+	return [
+		`${preset ? preset.title : 'Custom'} ${viewport.width}×${viewport.height}${getScale(viewport)}`,
+		(viewport.isMobile ? 'mobile' : ''),
+		(viewport.hasTouch ? 'touch' : '')
+	].filter(Boolean).join(', ');
+}
+
+function getScale({deviceScaleFactor}) {
+	return (deviceScaleFactor === 1 ? '' : ` @${deviceScaleFactor}x`);
+}
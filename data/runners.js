@@ -0,0 +1,87 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const runners = {
+	htmlcs: 'HTML_CodeSniffer',
+	axe: 'axe'
+};
+
+/**
+ * Get the runner choices offered when adding or editing a task. Pa11y uses
+ * HTML_CodeSniffer when a task doesn't pick any runners, so that choice
+ * has an empty value.
+ * @param {(Array|string)} [selected] The task's runners
+ * @returns {Array} The choices, with the task's runners selected
+ */
+module.exports = function getRunners(selected) {
+	const names = toNames(selected);
+	// A task which only picks HTML_CodeSniffer uses the default
+	const value = Object.keys(runners).filter(name => names.includes(name)).join(',');
+	return [
+		{
+			title: 'HTML_CodeSniffer',
+			value: ''
+		},
+		{
+			title: 'axe',
+			value: 'axe'
+		},
+		{
+			title: 'Both',
+			value: 'htmlcs,axe'
+		}
+	].map(runner => {
+		runner.selected = (runner.value === (value === 'htmlcs' ? '' : value));
+		return runner;
+	});
+};
+
+module.exports.parseRunners = parseRunners;
+module.exports.getRunnerTitle = getRunnerTitle;
+
+/**
+ * Parse a list of runners, as an array or a comma-separated string.
+ * @param {(Array|string)} value The runners to parse
+ * @returns {(Array|undefined)} The runner names, or `undefined` if none
+ *          were given
+ * @throws {Error} If any of the runners aren't supported
+ */
+function parseRunners(value) {
+	const names = toNames(value);
+	const unknown = names.filter(name => !runners[name]);
+	if (unknown.length) {
+		throw new Error(`Unknown runner "${unknown[0]}", expected one of: ${Object.keys(runners).join(', ')}`);
+	}
+	return (names.length ? Array.from(new Set(names)) : undefined);
+}
+
+/**
+ * Get a readable name for a runner or a list of runners.
+ * @param {(Array|string)} value The runner names
+ * @returns {string} The readable name
+ */
+function getRunnerTitle(value) {
+	return toNames(value)
+		.map(name => runners[name])
+		.filter(Boolean)
+		.join(' and ');
+}
+
+function toNames(value) {
+	return (Array.isArray(value) ? value : String(value || '').split(','))
+		.map(name => String(name).trim())
+		.filter(Boolean);
+}
@@ -0,0 +1,292 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const buildJUnitReport = require('./report/junit');
+const diffResults = require('./result-diff');
+
+const types = ['error', 'warning', 'notice'];
+const gateParameters = ['gate', 'maxErrors', 'maxWarnings', 'failOnNew', 'baseline'];
+const formats = ['json', 'junit'];
+
+module.exports = evaluateGate;
+module.exports.parseGateOptions = parseGateOptions;
+module.exports.loadGate = loadGate;
+module.exports.getGateResponse = getGateResponse;
+module.exports.buildGateJUnitReport = buildGateJUnitReport;
+
+/**
+ * Read CI gate options from request parameters. The gate is turned on by
+ * any of the gate parameters, or by asking for a JUnit report.
+ *
+ * @param {object} params Request parameters
+ * @param {number} [params.maxErrors] The most errors a passing result can have
+ * @param {number} [params.maxWarnings] The most warnings a passing result can have
+ * @param {(boolean|string|Array)} [params.failOnNew] Fail if there are issues
+ *        which aren't in the baseline result: `true` for new errors, or a
+ *        list of types, e.g. `error,warning`
+ * @param {(string|object)} [params.baseline] The result to compare with
+ * @param {string} [params.format] The report format, `json` (default) or `junit`
+ * @returns {(object|null)} The gate options, or `null` if the gate isn't on
+ * @throws {Error} If a parameter is invalid
+ */
+function parseGateOptions(params = {}) {
+	const format = parseFormat(params.format);
+	const requested = gateParameters.some(name => hasValue(params[name]));
+	if (!requested && format === 'json') {
+		return null;
+	}
+	const options = {
+		format,
+		maxErrors: parseThreshold(params, 'maxErrors'),
+		maxWarnings: parseThreshold(params, 'maxWarnings'),
+		failOnNew: parseFailOnNew(params.failOnNew),
+		baseline: params.baseline || null
+	};
+	if (options.failOnNew.length && !options.baseline) {
+		throw new Error('failOnNew needs a baseline result to compare with');
+	}
+	return applyDefaultThreshold(options);
+}
+
+/**
+ * Read the gate options from request parameters and look up the baseline,
+ * so that a bad request can fail before anything is run.
+ *
+ * @param {object} params Request parameters, see `parseGateOptions`
+ * @param {function} findBaseline Called with the ID of a stored baseline
+ *        result, resolves with the result or `null` if there's no such result
+ * @returns {Promise<object>} Resolves with the gate `options` (`null` if the
+ *          gate isn't on) and the `baseline` result
+ * @throws {Error} If a parameter is invalid or the baseline isn't found
+ */
+async function loadGate(params, findBaseline) {
+	const options = parseGateOptions(params);
+	if (!options || !options.baseline) {
+		return {
+			options,
+			baseline: null
+		};
+	}
+	// A baseline is either a result sent with the request, or the ID of a
+	// stored result
+	const baseline = (typeof options.baseline === 'object' ?
+		options.baseline :
+		await findBaseline(String(options.baseline)));
+	if (!baseline) {
+		throw new Error('Baseline result not found');
+	}
+	return {
+		options,
+		baseline
+	};
+}
+
+/**
+ * Decide whether a result passes a gate loaded with `loadGate`, and build
+ * the response to send. Failing results get a 422 status, except in a
+ * JUnit report which CI servers read the verdict from.
+ *
+ * @param {object} result The Pa11y result
+ * @param {object} gate The gate `options` and `baseline` from `loadGate`
+ * @param {string} url The URL which was tested
+ * @returns {object} The response `status`, content `type` and `body`
+ */
+function getGateResponse(result, {options, baseline}, url) {
+	if (!options) {
+		return {
+			status: 200,
+			type: 'json',
+			body: result
+		};
+	}
+	const gate = evaluateGate(result, options, baseline);
+	if (options.format === 'junit') {
+		return {
+			status: 200,
+			type: 'application/xml',
+			body: buildGateJUnitReport(gate, result, url)
+		};
+	}
+	return {
+		status: (gate.passed ? 200 : 422),
+		type: 'json',
+		body: {
+			...result,
+			gate
+		}
+	};
+}
+
+// Like Pa11y CI, fail on any error unless there are other thresholds
+function applyDefaultThreshold(options) {
+	const thresholds = [options.maxErrors, options.maxWarnings].filter(value => value !== null);
+	if (!thresholds.length && !options.failOnNew.length) {
+		options.maxErrors = 0;
+	}
+	return options;
+}
+
+/**
+ * Decide whether a result passes a CI gate.
+ *
+ * @param {object} result A Pa11y result (with `issues`) or a stored
+ *        dashboard result (with `results`)
+ * @param {object} options Gate options from `parseGateOptions`
+ * @param {object} [baseline] The result to look for new issues against
+ * @returns {object} The verdict: whether the result `passed`, the
+ *          `reasons` it failed, each of the `checks` made and issue counts
+ */
+function evaluateGate(result, options, baseline) {
+	const issues = getIssues(result);
+	const count = countIssues(issues);
+	const checks = [];
+
+	if (options.maxErrors !== null) {
+		checks.push(checkMaximum('error', count.error, options.maxErrors));
+	}
+	if (options.maxWarnings !== null) {
+		checks.push(checkMaximum('warning', count.warning, options.maxWarnings));
+	}
+
+	let newCount = null;
+	if (baseline) {
+		const diff = diffResults({results: getIssues(baseline)}, {results: issues});
+		newCount = {};
+		types.forEach(type => {
+			newCount[type] = diff[type].new.length;
+		});
+		options.failOnNew.forEach(type => checks.push(checkNew(type, diff[type].new)));
+	}
+
+	return {
+		passed: checks.every(check => check.passed),
+		reasons: checks.filter(check => !check.passed).map(check => check.reason),
+		checks,
+		count,
+		new: newCount,
+		thresholds: {
+			maxErrors: options.maxErrors,
+			maxWarnings: options.maxWarnings,
+			failOnNew: options.failOnNew
+		}
+	};
+}
+
+/**
+ * Build a JUnit XML report of a gate verdict, with a test case for each check.
+ * @param {object} gate The verdict from `evaluateGate`
+ * @param {object} result The result the gate was evaluated for
+ * @param {string} url The URL which was tested
+ * @returns {string} The XML
+ */
+function buildGateJUnitReport(gate, result, url) {
+	const issues = getIssues(result);
+	return buildJUnitReport({
+		name: `Pa11y ${url}`,
+		timestamp: new Date().toISOString(),
+		testCases: gate.checks.map(check => ({
+			name: check.name,
+			classname: url,
+			failure: (check.passed ? null : {
+				message: check.reason,
+				details: describeIssues(check.issues || issues.filter(issue => {
+					return issue.type === check.type;
+				}))
+			})
+		}))
+	});
+}
+
+function checkMaximum(type, actual, maximum) {
+	return {
+		name: `No more than ${maximum} ${pluralise(type, maximum)}`,
+		type,
+		passed: (actual <= maximum),
+		reason: `${actual} ${pluralise(type, actual)}, more than the maximum of ${maximum}`
+	};
+}
+
+function checkNew(type, newIssues) {
+	return {
+		name: `No new ${type}s`,
+		type,
+		passed: !newIssues.length,
+		reason: `${newIssues.length} new ${pluralise(type, newIssues.length)} since the baseline`,
+		issues: newIssues
+	};
+}
+
+function describeIssues(issues) {
+	return issues.map(issue => {
+		return `${issue.code}\n${issue.message}\n${issue.selector}\n${issue.context}`;
+	}).join('\n\n');
+}
+
+function parseFormat(format = 'json') {
+	if (!formats.includes(format)) {
+		throw new Error(`Unknown format "${format}", expected one of: ${formats.join(', ')}`);
+	}
+	return format;
+}
+
+function parseThreshold(params, name) {
+	if (!hasValue(params[name])) {
+		return null;
+	}
+	const value = Number(params[name]);
+	if (!Number.isInteger(value) || value < 0) {
+		throw new Error(`${name} must be a whole number of 0 or more`);
+	}
+	return value;
+}
+
+function parseFailOnNew(value) {
+	if (!hasValue(value) || String(value) === 'false') {
+		return [];
+	}
+	if (String(value) === 'true') {
+		return ['error'];
+	}
+	const list = (Array.isArray(value) ? value : String(value).split(','))
+		.map(type => String(type).trim());
+	const unknown = list.filter(type => !types.includes(type));
+	if (unknown.length) {
+		throw new Error(`failOnNew must be true or a list of: ${types.join(', ')}`);
+	}
+	return list;
+}
+
+function getIssues(result) {
+	return (result.issues || result.results || []).filter(issue => {
+		return issue && types.includes(issue.type);
+	});
+}
+
+function countIssues(issues) {
+	const count = {};
+	types.forEach(type => {
+		count[type] = issues.filter(issue => issue.type === type).length;
+	});
+	return count;
+}
+
+function pluralise(type, count) {
+	return (count === 1 ? type : `${type}s`);
+}
+
+function hasValue(value) {
+	return value !== undefined && value !== null && value !== '';
+}
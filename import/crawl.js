@@ -0,0 +1,187 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const path = require('path');
+const fetchText = require('./fetch');
+const {decodeEntities} = require('./fetch');
+
+// Links to files like these are never pages, so they aren't fetched
+const skippedExtensions = [
+	'.7z', '.avi', '.css', '.doc', '.docx', '.gif', '.gz', '.ico', '.jpeg', '.jpg', '.js',
+	'.json', '.mov', '.mp3', '.mp4', '.pdf', '.png', '.ppt', '.pptx', '.rss', '.svg', '.tar',
+	'.webm', '.webp', '.xls', '.xlsx', '.xml', '.zip'
+];
+
+module.exports = crawl;
+
+/**
+ * Find the pages of a site by following links from a start page. Only
+ * links to pages on the same origin as the start page are followed. The
+ * origin is taken from the start page after any redirects, so that a
+ * site which redirects from `http:` to `https:` or to `www.` is crawled.
+ *
+ * @param {object} options Crawl options
+ * @param {string} options.url The page to start from
+ * @param {number} [options.depth] How many links away from the start page
+ *        to go (default 2)
+ * @param {Array} [options.include] Path patterns for the pages to return,
+ *        e.g. `/blog/*`. Pages which don't match are still followed
+ * @param {Array} [options.exclude] Path patterns for pages which are
+ *        neither returned nor followed
+ * @param {number} [options.limit] The most pages to return (default 100)
+ * @param {number} [options.timeLimit] Milliseconds to crawl for before
+ *        stopping with the pages found so far (default 60000)
+ * @returns {Promise<Array>} Resolves with the `url` and `title` of each page
+ * @throws {Error} If the start page can't be fetched
+ */
+async function crawl(options) {
+	const start = new URL(options.url).href;
+	const {maxDepth, limit, include, exclude, timeLimit} = parseOptions(options);
+	// Aborts the page being fetched when time runs out, as well as
+	// stopping the crawl
+	const deadline = AbortSignal.timeout(timeLimit);
+	const seen = new Set([start]);
+	const pages = [];
+
+	// Only a missing start page is an error, other broken links are skipped
+	const startPage = await fetchPage(start, true, deadline);
+	const origin = new URL(startPage.url).origin;
+	const queue = [{
+		url: start,
+		depth: 0,
+		page: startPage
+	}];
+
+	// Record a page, and queue the links on it which haven't been
+	// seen yet and may be followed
+	const visit = (page, depth) => {
+		// Links which redirect to another site aren't part of this one
+		if (!sameOrigin(page.url, origin)) {
+			return;
+		}
+		if (!include.length || matchesAny(page.url, include)) {
+			pages.push({
+				url: page.url,
+				title: page.title
+			});
+		}
+		const links = (depth < maxDepth ? page.links : []).filter(link => {
+			const isNew = !seen.has(link) && sameOrigin(link, origin) && !matchesAny(link, exclude);
+			seen.add(link);
+			return isNew;
+		});
+		queue.push(...links.map(link => ({
+			url: link,
+			depth: depth + 1
+		})));
+	};
+
+	while (queue.length && pages.length < limit && !deadline.aborted) {
+		// The start page has already been fetched
+		const {url, depth, page = await fetchPage(url, false, deadline)} = queue.shift();
+		if (page) {
+			visit(page, depth);
+		}
+	}
+	return pages;
+}
+
+function parseOptions(options) {
+	return {
+		maxDepth: (Number.isInteger(options.depth) ? options.depth : 2),
+		limit: options.limit || 100,
+		timeLimit: options.timeLimit || 60000,
+		include: (options.include || []).map(compilePattern),
+		exclude: (options.exclude || []).map(compilePattern)
+	};
+}
+
+module.exports.compilePattern = compilePattern;
+
+/**
+ * Turn a path pattern into a regular expression. `*` matches anything,
+ * and patterns are matched against a URL's path and query string.
+ * @param {string} pattern The pattern, e.g. `/blog/*`
+ * @returns {RegExp} The regular expression
+ */
+function compilePattern(pattern) {
+	const escaped = pattern.trim()
+		.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+		.replace(/\*/g, '.*');
+	return new RegExp(`^${escaped}$`, 'i');
+}
+
+async function fetchPage(url, isStartPage, signal) {
+	let response;
+	try {
+		response = await fetchText(url, {signal});
+	} catch (error) {
+		if (isStartPage) {
+			throw error;
+		}
+		return null;
+	}
+	if (!/html/i.test(response.contentType)) {
+		if (isStartPage) {
+			throw new Error(`${url} is not an HTML page`);
+		}
+		return null;
+	}
+	return {
+		url: response.url,
+		title: getTitle(response.text),
+		links: getLinks(response.text, response.url)
+	};
+}
+
+function getTitle(html) {
+	const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+	return (match ? decodeEntities(match[1].replace(/\s+/g, ' ').trim()) : '');
+}
+
+function getLinks(html, base) {
+	const pattern = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+	const links = new Set();
+	Array.from(html.matchAll(pattern)).forEach(match => {
+		const link = toPageUrl(decodeEntities(match[1] || match[2] || match[3]), base);
+		if (link) {
+			links.add(link);
+		}
+	});
+	return Array.from(links);
+}
+
+function toPageUrl(href, base) {
+	let url;
+	try {
+		url = new URL(href, base);
+	} catch (error) {
+		return null;
+	}
+	url.hash = '';
+	const extension = path.extname(url.pathname).toLowerCase();
+	const isPage = /^https?:$/.test(url.protocol) && !skippedExtensions.includes(extension);
+	return (isPage ? url.href : null);
+}
+
+function sameOrigin(url, origin) {
+	return new URL(url).origin === origin;
+}
+
+function matchesAny(url, patterns) {
+	const {pathname, search} = new URL(url);
+	return patterns.some(pattern => pattern.test(pathname + search));
+}
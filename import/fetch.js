@@ -0,0 +1,130 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const zlib = require('zlib');
+
+// How long to wait for each page or sitemap
+const fetchTimeout = 10000;
+
+// The largest page or sitemap to read, in bytes
+const maxBodySize = 10 * 1024 * 1024;
+
+module.exports = fetchText;
+
+/**
+ * Fetch a URL as text, unzipping gzipped sitemaps.
+ * @param {string} url The URL to fetch
+ * @param {object} [options] Fetch options
+ * @param {AbortSignal} [options.signal] Aborts the request, e.g. when a
+ *        crawl runs out of time
+ * @returns {Promise<object>} Resolves with the final `url` (after any
+ *          redirects), the `contentType` and the `text` of the response
+ * @throws {Error} If the request fails, the response isn't OK or the
+ *         response is too large
+ */
+async function fetchText(url, options = {}) {
+	const signals = [AbortSignal.timeout(fetchTimeout)].concat(options.signal || []);
+	const response = await fetch(url, {
+		redirect: 'follow',
+		signal: AbortSignal.any(signals),
+		headers: {
+			'User-Agent': 'pa11y-dashboard'
+		}
+	});
+	if (!response.ok) {
+		throw new Error(`Could not fetch ${url} (HTTP ${response.status})`);
+	}
+	const body = await readBody(response, url);
+	return {
+		url: response.url || url,
+		contentType: response.headers.get('content-type') || '',
+		text: gunzip(body, url).toString('utf8')
+	};
+}
+
+// Read a response's body, stopping as soon as it's larger than
+// `maxBodySize` rather than downloading all of it first
+async function readBody(response, url) {
+	const tooLarge = () => new Error(`${url} is too large to import`);
+	if (Number(response.headers.get('content-length')) > maxBodySize) {
+		await response.body.cancel();
+		throw tooLarge();
+	}
+	const chunks = [];
+	let size = 0;
+	// Leaving the loop early cancels the rest of the download
+	for await (const chunk of response.body || []) {
+		size += chunk.length;
+		if (size > maxBodySize) {
+			throw tooLarge();
+		}
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+}
+
+module.exports.gunzip = gunzip;
+
+/**
+ * Unzip a buffer if it's gzipped. The unzipped size is limited in the
+ * same way as downloads, so a small file can't unzip to fill the memory.
+ * @param {Buffer} buffer The buffer to unzip
+ * @param {string} name The URL or name of the file, for errors
+ * @returns {Buffer} The unzipped buffer, or the buffer as it was if it
+ *          isn't gzipped
+ * @throws {Error} If the unzipped buffer is too large
+ */
+function gunzip(buffer, name) {
+	if (!isGzip(buffer)) {
+		return buffer;
+	}
+	try {
+		return zlib.gunzipSync(buffer, {maxOutputLength: maxBodySize});
+	} catch (error) {
+		if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+			throw new Error(`${name} is too large to import`);
+		}
+		throw error;
+	}
+}
+
+module.exports.isGzip = isGzip;
+
+/**
+ * Check whether a buffer is gzipped.
+ * @param {Buffer} buffer The buffer to check
+ * @returns {boolean} Whether the buffer starts with the gzip magic number
+ */
+function isGzip(buffer) {
+	return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+module.exports.decodeEntities = decodeEntities;
+
+/**
+ * Decode the XML entities, and the numeric entity for `'` which
+ * is common in HTML, in a piece of text.
+ * @param {string} text The text to decode
+ * @returns {string} The decoded text
+ */
+function decodeEntities(text) {
+	return text
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#0*39;|&apos;/g, '\'')
+		.replace(/&amp;/g, '&');
+}
@@ -0,0 +1,94 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fetchText = require('./fetch');
+const {gunzip, decodeEntities} = require('./fetch');
+
+// Limits which stop a huge or looping sitemap index from running forever
+const maxSitemaps = 50;
+
+module.exports = readSitemap;
+
+/**
+ * Find the page URLs in a sitemap. Sitemap indexes are followed, so the
+ * pages of every sitemap they list are included.
+ *
+ * @param {object} source Where to read the sitemap from
+ * @param {string} [source.url] The URL of the sitemap
+ * @param {(Buffer|string)} [source.content] The content of an uploaded sitemap
+ * @param {number} [source.limit] The most URLs to return (default 500)
+ * @returns {Promise<Array>} Resolves with the page URLs, without duplicates
+ */
+async function readSitemap(source) {
+	const limit = source.limit || 500;
+	const pages = new Set();
+	const fetched = new Set();
+	const queue = [
+		source.content ? decode(source.content) : await fetchSitemap(source.url, fetched)
+	];
+
+	while (queue.length && pages.size < limit) {
+		const sitemap = parseSitemap(queue.shift());
+		sitemap.pages.forEach(page => pages.add(page));
+		const children = sitemap.sitemaps
+			.filter(url => !fetched.has(url))
+			.slice(0, Math.max(0, maxSitemaps - fetched.size));
+		for (const url of children) {
+			queue.push(await fetchSitemap(url, fetched));
+		}
+	}
+	return Array.from(pages).slice(0, limit);
+}
+
+async function fetchSitemap(url, fetched) {
+	fetched.add(url);
+	return (await fetchText(url)).text;
+}
+
+module.exports.parseSitemap = parseSitemap;
+
+/**
+ * Parse a sitemap or sitemap index. Only the `<loc>` elements are needed,
+ * so this doesn't use a full XML parser.
+ * @param {string} xml The sitemap XML
+ * @returns {object} The `pages` and child `sitemaps` listed in the sitemap
+ * @throws {Error} If the XML isn't a sitemap
+ */
+function parseSitemap(xml) {
+	const isIndex = /<sitemapindex[\s>]/i.test(xml);
+	if (!isIndex && !/<urlset[\s>]/i.test(xml)) {
+		throw new Error('This is not a sitemap, expected a <urlset> or <sitemapindex> element');
+	}
+	const locations = getLocations(xml);
+	return {
+		pages: (isIndex ? [] : locations),
+		sitemaps: (isIndex ? locations : [])
+	};
+}
+
+function getLocations(xml) {
+	const pattern = /<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi;
+	return Array.from(xml.matchAll(pattern))
+		.map(match => decodeEntities(match[1].trim()))
+		.filter(url => /^https?:\/\//i.test(url));
+}
+
+function decode(content) {
+	if (Buffer.isBuffer(content)) {
+		return gunzip(content, 'The sitemap').toString('utf8');
+	}
+	return String(content);
+}
@@ -1,28 +1,71 @@
 /*
- * Local in-memory webservice for Pa11y Dashboard
+ * Local webservice for Pa11y Dashboard
  *
  * This module reimplements a minimal subset of the Pa11y Webservice
- * interface used by Pa11y Dashboard. It stores tasks and results in
- * memory, and runs accessibility tests on demand using the `pa11y`
- * library. No database (MongoDB) or external webservice is required.
+ * interface used by Pa11y Dashboard. It stores tasks and results in a
+ * pluggable store (see `store/`), and runs accessibility tests on demand
+ * using the `pa11y` library. No database (MongoDB) or external
+ * webservice is required.
  *
- * Tasks are stored in a Map keyed by their ID. Each task has an
- * associated array of results (also keyed by the task ID in a Map).
- * Creating, editing and deleting tasks operate directly on the Map.
- * Running a task uses Pa11y to analyse the configured URL with the
- * supplied options, and stores the resulting report. The last result
+ * By default the store keeps everything in memory. Configuring a `file`
+ * store persists tasks and results to disk so that they survive a
+ * restart. Running a task uses Pa11y to analyse the configured URL with
+ * the supplied options, and stores the resulting report. The last result
  * is exposed on the task via the `last_result` property.
+ *
+ * Runs go through a queue (see `run-queue.js`) which limits how many
+ * happen at once, so running a task returns a job straight away rather
+ * than waiting for pa11y to finish. Tasks with a `schedule` (or all
+ * tasks, if a global schedule is configured) are also run automatically
+ * by `scheduler.js`.
+ *
+ * Tasks can belong to a project, which groups the pages of a site. A
+ * project's headers, hidden elements and ignored rules are shared by all
+ * of its tasks when they run, and its standard is the default for new
+ * tasks. The `projects` and `project(id)` methods are an addition to the
+ * Pa11y Webservice interface, so projects need the local webservice.
+ *
+ * Tasks with `screenshot` set are run with `screenshot.js`, which also
+ * captures an image of the page. The store keeps the image, and it's
+ * read back with `task(id).result(rid).screenshot()`, which is another
+ * local-only addition.
  */
 
 'use strict';
 
 const pa11y = require('pa11y');
 const {nanoid} = require('nanoid');
+const {grey, red} = require('kleur');
+const createRunQueue = require('./run-queue');
+const runPa11yWithScreenshot = require('./screenshot');
+const createScheduler = require('./scheduler');
+const {isValidSchedule} = require('./scheduler');
+const {parseRunners} = require('./data/runners');
+const {parseEmulation, parseViewports, getEmulation} = require('./data/devices');
+const {findPreviousResult} = require('./result-diff');
+const {compilePattern} = require('./import/crawl');
+const {withoutIgnoredIssues} = require('./view/presenter/ignore');
+const createStore = require('./store');
 
-function createLocalWebservice() {
-    // Maps to store tasks and results. The keys are task IDs.
-    const tasks = new Map();
-    const results = new Map();
+/**
+ * Create a local webservice.
+ * @param {object} [options] Webservice options
+ * @param {object} [options.store] A store created by `store/index.js`. An
+ *                 in-memory store is used if none is given
+ * @param {object} [options.schedule] Scheduler options, see `scheduler.js`
+ * @param {object} [options.queue] A queue created by `run-queue.js`. A queue
+ *                 running `options.numWorkers` jobs at once is used if none is given
+ * @param {function} [options.onRun] Called with the task, `status`, `results`
+ *                   and `error` of each run when it finishes or fails
+ * @returns {object} An object compatible with `pa11y-webservice-client-node`
+ */
+function createLocalWebservice(options = {}) {
+    const store = options.store || createStore();
+    const queue = options.queue || createRunQueue({concurrency: options.numWorkers});
+    const scheduler = createScheduler({
+        ...options.schedule,
+        onTick: runScheduledTask
+    });
 
     /**
      * Convert a Pa11y result into the format expected by the dashboard.
@@ -46,7 +89,12 @@ function createLocalWebservice() {
                 type: issue.type,
                 message: issue.message,
                 context: issue.context,
-                selector: issue.selector
+                selector: issue.selector,
+                // Tasks can use more than one runner, so each issue
+                // records which one found it
+                runner: issue.runner,
+                // Where the issue's element is in the screenshot
+                box: issue.box
             };
         });
         return {
@@ -55,10 +103,16 @@ function createLocalWebservice() {
             url: task.url,
             name: task.name,
             standard: task.standard,
+            runners: task.runners,
             date,
             count,
             results: messages,
-            ignore: task.ignore || []
+            ignore: task.ignore || [],
+            // The image itself is kept by the store, see `saveScreenshot`
+            screenshot: (pa11yResult.screenshot ? {
+                width: pa11yResult.screenshot.width,
+                height: pa11yResult.screenshot.height
+            } : undefined)
         };
     }
 
@@ -67,41 +121,361 @@ function createLocalWebservice() {
      * task properties in a flat object. This function converts those
      * properties to the options accepted by pa11y().
      * @param {object} task The task configuration
+     * @param {number} [width] The viewport width to run at, for tasks
+     *        with several `viewports`
      * @returns {object} Options for pa11y()
      */
-    function taskToPa11yOptions(task) {
-        const options = {};
-        if (task.standard) options.standard = task.standard;
-        if (task.timeout) options.timeout = Number(task.timeout);
-        if (task.wait) options.wait = Number(task.wait);
-        if (Array.isArray(task.actions) && task.actions.length) options.actions = task.actions;
-        if (task.username) options.username = task.username;
-        if (task.password) options.password = task.password;
-        if (task.hideElements) options.hideElements = task.hideElements;
-        if (task.headers) options.headers = task.headers;
-        if (Array.isArray(task.ignore) && task.ignore.length) options.ignore = task.ignore;
-        return options;
+    function taskToPa11yOptions(task, width) {
+        const pa11yOptions = {};
+        if (task.standard) pa11yOptions.standard = task.standard;
+        if (Array.isArray(task.runners) && task.runners.length) pa11yOptions.runners = task.runners;
+        if (task.timeout) pa11yOptions.timeout = Number(task.timeout);
+        if (task.wait) pa11yOptions.wait = Number(task.wait);
+        if (Array.isArray(task.actions) && task.actions.length) pa11yOptions.actions = task.actions;
+        if (task.username) pa11yOptions.username = task.username;
+        if (task.password) pa11yOptions.password = task.password;
+        if (task.hideElements) pa11yOptions.hideElements = task.hideElements;
+        if (task.headers) pa11yOptions.headers = task.headers;
+        if (Array.isArray(task.ignore) && task.ignore.length) pa11yOptions.ignore = task.ignore;
+        // The task's device preset, viewport and user agent
+        Object.assign(pa11yOptions, getEmulation(task, width));
+        return pa11yOptions;
+    }
+
+    /**
+     * Add a task's project defaults to the task, see `applyProjectDefaults`.
+     * @param {object} task The task configuration
+     * @returns {object} A copy of the task with the project defaults added
+     */
+    function withProjectDefaults(task) {
+        return applyProjectDefaults(task, task.project && store.getProject(task.project));
     }
 
     /**
      * Run a task: invoke pa11y with the task's URL and options and store
      * the resulting report. The result is appended to the task's list
-     * of results and assigned as the task's `last_result`.
+     * of results and assigned as the task's `last_result`. Tasks with
+     * `screenshot` set also have a screenshot of the page stored.
+     *
+     * Tasks with `viewports` are run once at each width, narrowest
+     * first, and each of the results records its `viewport` and a
+     * `matrix` ID which is shared by all of the results of the run.
+     *
+     * Whether the run finished or failed, `options.onRun` is told
+     * about it afterwards.
      * @param {object} task The task to run
-     * @param {function} callback Callback invoked with `(err)`
+     * @returns {Promise<string>} Resolves with the ID of the new result,
+     *          or of the last one if there are several
      */
-    async function runTask(task, callback) {
+    async function runTask(task) {
+        let results;
         try {
-            const pa11yOptions = taskToPa11yOptions(task);
-            const pa11yResult = await pa11y(task.url, pa11yOptions);
-            const result = transformResult(task.id, task, pa11yResult);
-            const list = results.get(task.id);
-            list.push(result);
-            task.last_result = result;
-            callback(null);
-        } catch (err) {
-            callback(err);
+            results = await runViewports(task);
+        } catch (error) {
+            reportRun(task, [], error);
+            throw error;
+        }
+        reportRun(task, results);
+        return (results.length ? results[results.length - 1].id : undefined);
+    }
+
+    /**
+     * Run a task at each of its viewports, or just once if it has none.
+     * @param {object} task The task to run
+     * @returns {Promise<Array>} Resolves with the stored results
+     */
+    async function runViewports(task) {
+        const matrix = (task.viewports ? nanoid() : undefined);
+        const results = [];
+        // Viewports are run one at a time so that a matrix run only
+        // takes up one of the queue's browsers
+        for (const width of task.viewports || [undefined]) {
+            const {result, screenshot} = await runViewport(task, width, matrix);
+            if (!storeResult(task, result, screenshot)) {
+                break;
+            }
+            results.push(result);
+        }
+        return results;
+    }
+
+    /**
+     * Run a task once, at a viewport width if it has one.
+     * @param {object} task The task to run
+     * @param {number} [width] The viewport width
+     * @param {string} [matrix] The ID shared by the results of a matrix run
+     * @returns {Promise<object>} Resolves with the `result` and its `screenshot`
+     */
+    async function runViewport(task, width, matrix) {
+        const run = (task.screenshot ? runPa11yWithScreenshot : pa11y);
+        const pa11yOptions = taskToPa11yOptions(withProjectDefaults(task), width);
+        const pa11yResult = await run(task.url, pa11yOptions);
+        const result = transformResult(task.id, task, pa11yResult);
+        if (matrix) {
+            result.matrix = matrix;
+            result.viewport = pa11yOptions.viewport;
+        }
+        return {
+            result,
+            screenshot: pa11yResult.screenshot
+        };
+    }
+
+    /**
+     * Tell `options.onRun` about a run which finished or failed.
+     * @param {object} task The task which was run
+     * @param {Array} results The results of the run
+     * @param {Error} [error] The error which failed the run
+     * @returns {undefined} Nothing
+     */
+    function reportRun(task, results, error) {
+        // Nothing is reported for tasks deleted while they were running
+        if (!options.onRun || (!error && !results.length)) {
+            return;
+        }
+        options.onRun({
+            task: copyTask(task),
+            status: (error ? 'failed' : 'finished'),
+            error: (error ? error.message : undefined),
+            results: addPreviousCounts(task, results)
+        });
+    }
+
+    /**
+     * Give each result the `previousCount` of the last result at the
+     * same viewport width, so that it's clear whether it regressed. Both
+     * counts leave out ignored issues, as the dashboard does, so that a
+     * newly ignored issue doesn't look like a regression. The `results`
+     * are left with every issue found, for triage.
+     * @param {object} task The task which was run
+     * @param {Array} results The results of the run
+     * @returns {Array} Copies of the results
+     */
+    function addPreviousCounts(task, results) {
+        const history = (store.getResults(task.id) || []).slice().reverse();
+        const getCount = result => withoutIgnoredIssues(copyResult(result)).count;
+        return results.map(result => {
+            const previous = findPreviousResult(history, result.id);
+            return {
+                ...result,
+                count: getCount(result),
+                previousCount: (previous ? getCount(previous) : null)
+            };
+        });
+    }
+
+    /**
+     * Store a result and its screenshot, if it has one.
+     * @param {object} task The task which was run
+     * @param {object} result The result
+     * @param {object} [screenshot] The screenshot taken by `screenshot.js`
+     * @returns {boolean} Whether the result was stored. It isn't if the
+     *          task was deleted while pa11y was running
+     */
+    function storeResult(task, result, screenshot) {
+        if (!store.getTask(task.id)) {
+            return false;
+        }
+        if (screenshot) {
+            store.saveScreenshot(task.id, result.id, screenshot.image);
+        }
+        store.addResult(task.id, result);
+        return true;
+    }
+
+    /**
+     * Add a run of a task to the queue.
+     * @param {object} task The task to run
+     * @returns {object} The queued job
+     */
+    function queueTask(task) {
+        return queue.push({task: task.id}, () => runTask(store.getTask(task.id) || task));
+    }
+
+    /**
+     * Run a task because its schedule is due. The time of the run is
+     * recorded on the task before it starts so that a run which is
+     * interrupted by a restart isn't caught up again.
+     * @param {string} id The ID of the task to run
+     */
+    function runScheduledTask(id) {
+        const task = store.getTask(id);
+        if (!task) {
+            return scheduler.unschedule(id);
+        }
+        task.lastScheduledRun = new Date().toISOString();
+        store.saveTask(task);
+        console.log(grey('Queueing scheduled pa11y task %s'), id);
+        queue.settled(queueTask(task).id).catch(error => {
+            console.error(red('Failed to finish scheduled pa11y task %s: %s'), id, error.message);
+        });
+    }
+
+    /**
+     * Copy a task so that presenters can't mutate the stored task, and
+     * add the time of its next scheduled run.
+     * @param {object} task The stored task
+     * @returns {object} A copy of the task
+     */
+    function copyTask(task) {
+        const copy = {...task};
+        const nextScheduledRun = scheduler.nextRun(task);
+        copy.nextScheduledRun = (nextScheduledRun ? nextScheduledRun.toISOString() : undefined);
+        const projectIgnoreIssues = getProjectIgnoreIssues(task);
+        if (projectIgnoreIssues.length) {
+            copy.projectIgnoreIssues = projectIgnoreIssues;
+        }
+        if (task.last_result) {
+            copy.last_result = copyResult(task.last_result);
+        }
+        return copy;
+    }
+
+    /**
+     * Get the ignored issues of a task's project which apply to the task:
+     * those without a URL pattern, and those whose pattern matches the
+     * task's URL. Each is marked with the `project` it belongs to.
+     * @param {object} task The stored task
+     * @returns {Array} Copies of the ignored issues
+     */
+    function getProjectIgnoreIssues(task) {
+        const project = task.project && store.getProject(task.project);
+        if (!project || !project.ignoreIssues) {
+            return [];
+        }
+        return project.ignoreIssues
+            .filter(entry => !entry.urlPattern || compilePattern(entry.urlPattern).test(task.url))
+            .map(entry => ({
+                ...entry,
+                project: project.id
+            }));
+    }
+
+    /**
+     * Copy a result so that presenters can't mutate the stored result,
+     * e.g. presenting its ignored rules twice.
+     * @param {object} result The stored result
+     * @returns {object} A copy of the result
+     */
+    function copyResult(result) {
+        const copy = {...result};
+        if (result.screenshot) {
+            copy.screenshot = {...result.screenshot};
         }
+        // Ignored issues are hidden when results are presented rather
+        // than when the task is run, so that they apply to past results
+        // and come back when they expire. Results get the current ones of
+        // their task and its project, see `view/presenter/ignore.js`
+        const task = store.getTask(result.task);
+        const ignoreIssues = (task ? (task.ignoreIssues || [])
+            .map(entry => ({...entry}))
+            .concat(getProjectIgnoreIssues(task)) : []);
+        if (ignoreIssues.length) {
+            copy.ignoreIssues = ignoreIssues;
+        }
+        return copy;
+    }
+
+    /**
+     * Create a new project from the fields of a request, with the
+     * defaults for any which are missing.
+     * @param {object} body The project's fields, which include a `name`
+     * @returns {object} The project, ready to be stored
+     */
+    function createProject(body) {
+        return {
+            id: nanoid(),
+            name: body.name,
+            standard: body.standard || 'WCAG2AA',
+            ignore: body.ignore || [],
+            headers: body.headers || undefined,
+            hideElements: body.hideElements || undefined,
+            created: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Get the tasks which belong to a project.
+     * @param {string} id The project ID
+     * @returns {Array} The stored tasks
+     */
+    function getProjectTasks(id) {
+        return store.getTasks().filter(task => task.project === id);
+    }
+
+    /**
+     * Copy a project so that presenters can't mutate the stored
+     * project, and add the number of tasks in it.
+     * @param {object} project The stored project
+     * @returns {object} A copy of the project
+     */
+    function copyProject(project) {
+        return {
+            ...project,
+            taskCount: getProjectTasks(project.id).length
+        };
+    }
+
+    /**
+     * Return an object representing operations on a single project.
+     * @param {string} id The project ID
+     */
+    function projectApi(id) {
+        function withProject(callback, fn) {
+            const project = store.getProject(id);
+            if (!project) {
+                return callback(new Error('Project not found'));
+            }
+            fn(project);
+        }
+        return {
+            get: (opts, callback) => {
+                withProject(callback, project => callback(null, copyProject(project)));
+            },
+            edit: (body, callback) => {
+                withProject(callback, project => {
+                    const fields = [
+                        'name', 'standard', 'ignore', 'ignoreIssues', 'headers', 'hideElements'
+                    ];
+                    fields.forEach(f => {
+                        if (typeof body[f] !== 'undefined') {
+                            project[f] = body[f];
+                        }
+                    });
+                    store.saveProject(project);
+                    callback(null, copyProject(project));
+                });
+            },
+            // Removing a project keeps its tasks, they just no longer
+            // belong to a project
+            remove: callback => {
+                withProject(callback, () => {
+                    getProjectTasks(id).forEach(task => {
+                        task.project = undefined;
+                        store.saveTask(task);
+                    });
+                    store.removeProject(id);
+                    callback(null);
+                });
+            },
+            tasks: (opts, callback) => {
+                withProject(callback, () => {
+                    callback(null, getProjectTasks(id).map(task => {
+                        const copy = copyTask(task);
+                        if (!(opts && opts.lastres)) {
+                            delete copy.last_result;
+                        }
+                        return copy;
+                    }));
+                });
+            },
+            // Queue a run of every task in the project
+            run: callback => {
+                withProject(callback, () => {
+                    callback(null, getProjectTasks(id).map(queueTask));
+                });
+            }
+        };
     }
 
     /**
@@ -113,56 +487,101 @@ function createLocalWebservice() {
         return {
             get: (opts, callback) => {
                 // Return a copy of the task with its last_result attached
-                const task = tasks.get(id);
+                const task = store.getTask(id);
                 if (!task) {
                     return callback(new Error('Task not found'));
                 }
                 // Clone to avoid mutation by presenters
-                const copy = {...task};
+                const copy = copyTask(task);
                 if (opts && opts.lastres && copy.last_result) {
                     copy.last_result = copy.last_result;
                 }
                 callback(null, copy);
             },
             edit: (body, callback) => {
-                const task = tasks.get(id);
+                const task = store.getTask(id);
                 if (!task) {
                     return callback(new Error('Task not found'));
                 }
+                if (body.schedule && !isValidSchedule(body.schedule)) {
+                    return callback(new Error('Invalid schedule'));
+                }
+                if (body.project && !store.getProject(body.project)) {
+                    return callback(new Error('Project not found'));
+                }
+                // Parse everything before changing the task, so that an
+                // invalid edit leaves it as it was
+                const changes = {};
+                try {
+                    if (typeof body.runners !== 'undefined') {
+                        changes.runners = parseRunners(body.runners);
+                    }
+                    if (typeof body.viewports !== 'undefined') {
+                        changes.viewports = parseViewports(body.viewports);
+                    }
+                    // Device settings are replaced together, as the
+                    // viewport and user agent override the preset's
+                    const deviceFields = ['device', 'viewport', 'userAgent'];
+                    if (deviceFields.some(field => typeof body[field] !== 'undefined')) {
+                        Object.assign(changes, parseEmulation(body));
+                    }
+                } catch (error) {
+                    return callback(error);
+                }
+                Object.assign(task, changes);
                 // Only update known fields
-                const fields = ['name', 'url', 'standard', 'ignore', 'timeout', 'wait', 'actions', 'username', 'password', 'headers', 'hideElements'];
+                const fields = ['name', 'url', 'standard', 'ignore', 'timeout', 'wait', 'actions', 'username', 'password', 'headers', 'hideElements', 'schedule', 'project', 'screenshot', 'ignoreIssues'];
                 fields.forEach(f => {
                     if (typeof body[f] !== 'undefined') {
                         task[f] = body[f];
                     }
                 });
+                store.saveTask(task);
+                scheduler.schedule(task);
                 callback(null);
             },
             remove: callback => {
-                tasks.delete(id);
-                results.delete(id);
+                store.removeTask(id);
+                scheduler.unschedule(id);
                 callback(null);
             },
             run: callback => {
-                const task = tasks.get(id);
+                const task = store.getTask(id);
                 if (!task) {
                     return callback(new Error('Task not found'));
                 }
-                runTask(task, callback);
+                callback(null, queueTask(task));
+            },
+            job: jobId => {
+                return {
+                    get: (opts, callback) => {
+                        const job = queue.get(jobId);
+                        if (!job || job.task !== id) {
+                            return callback(new Error('Job not found'));
+                        }
+                        callback(null, job);
+                    }
+                };
             },
             results: (opts, callback) => {
-                const list = results.get(id);
+                const list = store.getResults(id);
                 if (!list) {
                     return callback(new Error('Task not found'));
                 }
-                // Return a copy of results, latest first
-                const res = list.slice().reverse();
+                // Return a copy of results, latest first, within the
+                // `from` and `to` dates when they're given
+                const from = (opts && opts.from ? new Date(opts.from) : null);
+                const to = (opts && opts.to ? new Date(opts.to) : null);
+                const res = list.slice().reverse().filter(result => {
+                    const date = new Date(result.date);
+                    return (!from || date >= from) && (!to || date <= to);
+                }).map(copyResult);
                 callback(null, res);
             },
             result: rid => {
                 return {
                     get: (opts, callback) => {
-                        const list = results.get(id);
+                        const list = store.getResults(id);
                         if (!list) {
                             return callback(new Error('Task not found'));
                         }
@@ -172,21 +591,32 @@ function createLocalWebservice() {
                         }
                         // If opts.full is falsy we could strip the full results,
                         // but Pa11y Dashboard expects full results; so always return full
-                        callback(null, result);
+                        callback(null, copyResult(result));
+                    },
+                    // Screenshots are an addition to the Pa11y Webservice
+                    // interface. Calls back with the PNG image as a Buffer
+                    screenshot: callback => {
+                        const image = store.getScreenshot(id, rid);
+                        if (!image) {
+                            return callback(new Error('Screenshot not found'));
+                        }
+                        callback(null, image);
                     }
                 };
             }
         };
     }
 
+    scheduler.start(store.getTasks());
+
     return {
         tasks: {
             get: (opts, callback) => {
                 // Return all tasks. If opts.lastres is true, include last_result.
-                const arr = Array.from(tasks.values()).map(task => {
-                    const copy = {...task};
+                const arr = store.getTasks().map(task => {
+                    const copy = copyTask(task);
                     if (opts && opts.lastres && task.last_result) {
-                        copy.last_result = task.last_result;
+                        copy.last_result = copyResult(task.last_result);
                     }
                     // Do not include results array
                     return copy;
@@ -198,12 +628,32 @@ function createLocalWebservice() {
                 if (!body || !body.url || !body.name) {
                     return callback(new Error('Missing required fields'));
                 }
+                if (body.schedule && !isValidSchedule(body.schedule)) {
+                    return callback(new Error('Invalid schedule'));
+                }
+                const project = body.project && store.getProject(body.project);
+                if (body.project && !project) {
+                    return callback(new Error('Project not found'));
+                }
+                let runners;
+                let emulation;
+                let viewports;
+                try {
+                    runners = parseRunners(body.runners);
+                    emulation = parseEmulation(body);
+                    viewports = parseViewports(body.viewports);
+                } catch (error) {
+                    return callback(error);
+                }
                 const id = nanoid();
                 const task = {
                     id,
                     name: body.name,
                     url: body.url,
-                    standard: body.standard || 'WCAG2AA',
+                    standard: body.standard || (project && project.standard) || 'WCAG2AA',
+                    runners,
+                    ...emulation,
+                    viewports,
                     ignore: body.ignore || [],
                     timeout: body.timeout || undefined,
                     wait: body.wait || undefined,
@@ -211,15 +661,59 @@ function createLocalWebservice() {
                     username: body.username || undefined,
                     password: body.password || undefined,
                     headers: body.headers || undefined,
-                    hideElements: body.hideElements || undefined
+                    hideElements: body.hideElements || undefined,
+                    schedule: body.schedule || undefined,
+                    project: body.project || undefined,
+                    screenshot: Boolean(body.screenshot) || undefined,
+                    created: new Date().toISOString()
                 };
-                tasks.set(id, task);
-                results.set(id, []);
-                callback(null, task);
+                store.saveTask(task);
+                scheduler.schedule(task);
+                callback(null, copyTask(task));
             }
         },
-        task: id => taskApi(id)
+        task: id => taskApi(id),
+        projects: {
+            get: (opts, callback) => {
+                callback(null, store.getProjects().map(copyProject));
+            },
+            create: (body, callback) => {
+                if (!body || !body.name) {
+                    return callback(new Error('Missing required fields'));
+                }
+                const project = createProject(body);
+                store.saveProject(project);
+                callback(null, copyProject(project));
+            }
+        },
+        project: id => projectApi(id)
     };
 }
 
-module.exports = createLocalWebservice;
\ No newline at end of file
+module.exports = createLocalWebservice;
+module.exports.applyProjectDefaults = applyProjectDefaults;
+
+/**
+ * Add a project's defaults to one of its tasks. The task's own standard
+ * and headers win over the project's, and hidden elements and ignored
+ * rules are combined.
+ * @param {object} task The task configuration
+ * @param {object} [project] The task's project
+ * @returns {object} A copy of the task with the project defaults added, or
+ *          the task if it isn't in a project
+ */
+function applyProjectDefaults(task, project) {
+    if (!project) {
+        return task;
+    }
+    const headers = {...project.headers, ...task.headers};
+    const hideElements = [project.hideElements, task.hideElements].filter(Boolean);
+    const ignore = [].concat(project.ignore, task.ignore).filter(Boolean);
+    return {
+        ...task,
+        standard: task.standard || project.standard,
+        headers: (Object.keys(headers).length ? headers : undefined),
+        hideElements: hideElements.join(', ') || undefined,
+        ignore: Array.from(new Set(ignore))
+    };
+}
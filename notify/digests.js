@@ -0,0 +1,248 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {CronJob} = require('cron');
+const {grey, red} = require('kleur');
+const nodemailer = require('nodemailer');
+const presentDigest = require('../view/presenter/digest');
+
+// How far back each digest looks
+const periods = {
+	daily: 24 * 60 * 60 * 1000,
+	weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+module.exports = createDigests;
+
+/**
+ * Create the sender of email digests. On each tick of its schedule, it
+ * sends every daily subscription a digest of the last day's results,
+ * and, on the configured day of the week, every weekly subscription a
+ * digest of the last week's. Each task's counts are compared with the
+ * last result from before the period started.
+ *
+ * Digests are HTML emails rendered from `view/email/digest.html`.
+ *
+ * @param {object} options Digest options
+ * @param {object} options.subscriptions A store created by `subscriptions.js`
+ * @param {object} options.webservice The webservice to read tasks and results from
+ * @param {function} options.render Renders a view with some locals, and
+ *        returns a promise which resolves with the HTML
+ * @param {object} options.smtp The SMTP server's `host`, `port`, `secure`,
+ *        `user` and `password`, and the `from` address
+ * @param {string} [options.cron] When to send digests (default 08:00 every day)
+ * @param {number} [options.weekday] The day to send weekly digests on,
+ *        from 0 for Sunday to 6 for Saturday (default 1, Monday)
+ * @param {string} [options.dashboardUrl] The public URL of the dashboard,
+ *        used to link to results
+ * @returns {object} The digest sender
+ */
+function createDigests(options) {
+	const weekday = (options.weekday === undefined ? 1 : Number(options.weekday));
+	const transport = nodemailer.createTransport(getTransportOptions(options.smtp));
+	const webservice = promisifyWebservice(options.webservice);
+	let job = null;
+
+	// Find the tasks a subscription covers, and what to call the digest.
+	// Resolves with `null` if the task or project has been deleted
+	async function getTarget(subscription) {
+		try {
+			if (subscription.scope === 'project') {
+				const project = await webservice.project(subscription.target);
+				return {
+					title: project.name,
+					tasks: await webservice.projectTasks(subscription.target)
+				};
+			}
+			const task = await webservice.task(subscription.target);
+			return {
+				title: task.name,
+				tasks: [task]
+			};
+		} catch (error) {
+			if (isNotFound(error)) {
+				return null;
+			}
+			throw error;
+		}
+	}
+
+	async function collectTask(task, start) {
+		const results = await webservice.results(task.id);
+		const inPeriod = results.filter(result => new Date(result.date) >= start);
+		const current = inPeriod[0] || null;
+		const previous = (current ? results.find(result => {
+			return new Date(result.date) < start && getWidth(result) === getWidth(current);
+		}) : null);
+		return {
+			task,
+			runs: inPeriod.length,
+			current,
+			previous: previous || null
+		};
+	}
+
+	async function buildEmail(subscription, {title, tasks}, now) {
+		const start = new Date(now - periods[subscription.frequency]);
+		const digest = presentDigest({
+			title,
+			frequency: subscription.frequency,
+			start,
+			end: now,
+			tasks: await Promise.all(tasks.map(task => collectTask(task, start)))
+		}, options.dashboardUrl);
+		return {
+			subject: digest.subject,
+			text: digest.text,
+			html: await options.render('email/digest', {
+				...digest,
+				layout: 'email'
+			})
+		};
+	}
+
+	async function build(subscription, now) {
+		const target = await getTarget(subscription);
+		if (!target) {
+			throw new Error(`The ${subscription.scope} for this digest has been deleted`);
+		}
+		return buildEmail(subscription, target, now);
+	}
+
+	async function sendEmail(subscription, email, now) {
+		await transport.sendMail({
+			...email,
+			from: options.smtp.from,
+			to: subscription.email
+		});
+		options.subscriptions.markSent(subscription.id, now);
+	}
+
+	// Subscriptions to a task or project which has since been deleted are
+	// removed, rather than failing on every tick of the schedule
+	async function sendDigest(subscription, now) {
+		const target = await getTarget(subscription);
+		if (!target) {
+			options.subscriptions.remove(subscription.id);
+			const message = grey('Removed digest %s, its %s has been deleted');
+			console.log(message, subscription.id, subscription.scope);
+			return;
+		}
+		await sendEmail(subscription, await buildEmail(subscription, target, now), now);
+	}
+
+	// The schedule could tick more than once a day, so digests aren't
+	// sent again until most of their period has passed
+	function isDue(subscription, now) {
+		if (subscription.frequency === 'weekly' && now.getDay() !== weekday) {
+			return false;
+		}
+		const lastSent = (subscription.lastSent ? new Date(subscription.lastSent) : null);
+		return !lastSent || now - lastSent > periods[subscription.frequency] / 2;
+	}
+
+	async function sendDue(now = new Date()) {
+		const due = options.subscriptions.list().filter(subscription => isDue(subscription, now));
+		// One at a time, so that a digest for a large project doesn't
+		// overlap with the next
+		for (const subscription of due) {
+			try {
+				await sendDigest(subscription, now);
+			} catch (error) {
+				console.error(red('Failed to send digest %s: %s'), subscription.id, error.message);
+			}
+		}
+	}
+
+	return {
+		subscriptions: options.subscriptions,
+
+		/**
+		 * Build a subscription's digest without sending it.
+		 * @param {object} subscription The subscription
+		 * @param {Date} [now] The end of the digest's period
+		 * @returns {Promise<object>} Resolves with the `subject`, `html`
+		 *          and `text` of the email
+		 */
+		build(subscription, now = new Date()) {
+			return build(subscription, now);
+		},
+
+		/**
+		 * Send a subscription's digest straight away.
+		 * @param {object} subscription The subscription
+		 * @param {Date} [now] The end of the digest's period
+		 * @returns {Promise} Resolves once the email has been sent
+		 */
+		async send(subscription, now = new Date()) {
+			await sendEmail(subscription, await build(subscription, now), now);
+		},
+
+		sendDue,
+
+		start() {
+			job = new CronJob({
+				cronTime: options.cron || '0 0 8 * * *',
+				onTick: () => sendDue(),
+				start: true,
+				// Don't keep the process alive just for the schedule
+				unrefTimeout: true
+			});
+		},
+
+		stop() {
+			if (job) {
+				job.stop();
+				job = null;
+			}
+		}
+	};
+}
+
+function getTransportOptions(smtp) {
+	return {
+		host: smtp.host,
+		port: smtp.port,
+		secure: Boolean(smtp.secure),
+		auth: (smtp.user ? {
+			user: smtp.user,
+			pass: smtp.password
+		} : undefined)
+	};
+}
+
+// The webservice calls back, and digests need a handful of its methods
+function promisifyWebservice(service) {
+	const call = fn => new Promise((resolve, reject) => {
+		fn((error, value) => (error ? reject(error) : resolve(value)));
+	});
+	return {
+		task: id => call(done => service.task(id).get({}, done)),
+		results: id => call(done => service.task(id).results({full: true}, done)),
+		project: id => call(done => service.project(id).get({}, done)),
+		projectTasks: id => call(done => service.project(id).tasks({}, done))
+	};
+}
+
+// Webservice errors don't carry a status code, so deleted tasks and
+// projects are recognised by their message
+function isNotFound(error) {
+	return /not found/i.test(error.message);
+}
+
+function getWidth(result) {
+	return (result.viewport ? result.viewport.width : null);
+}
@@ -0,0 +1,187 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const types = ['error', 'warning', 'notice'];
+
+// What can happen to a run. A run which has more issues of any type than
+// the previous run at the same width is `regressed` rather than `finished`
+const events = ['finished', 'regressed', 'failed'];
+
+// Card colours for Teams, matching the dashboard's own
+const colours = {
+	finished: '5cb85c',
+	regressed: 'd9534f',
+	failed: 'f0ad4e',
+	test: '337ab7'
+};
+
+module.exports.events = events;
+module.exports.getEvent = getEvent;
+module.exports.formatPayload = formatPayload;
+
+/**
+ * Work out which event a run is. Runs are reported by `local-webservice.js`
+ * with a `status` and `results` which each have a `previousCount`. Both
+ * counts already leave out the task's ignored issues.
+ * @param {object} run The run
+ * @returns {string} One of `events`
+ */
+function getEvent(run) {
+	if (run.status === 'failed') {
+		return 'failed';
+	}
+	return (run.results.some(hasRegressed) ? 'regressed' : 'finished');
+}
+
+function hasRegressed(result) {
+	return Boolean(result.previousCount) && types.some(type => {
+		return result.count[type] > result.previousCount[type];
+	});
+}
+
+/**
+ * Build the body of a webhook request.
+ * @param {string} format The hook's format: `json`, `slack` or `teams`
+ * @param {string} event The event, one of `events` or `test`
+ * @param {object} run The run, see `getEvent`
+ * @param {string} [dashboardUrl] The public URL of the dashboard, used
+ *        to link to the task and its results
+ * @returns {object} The body, ready to be sent as JSON
+ */
+function formatPayload(format, event, run, dashboardUrl) {
+	const summary = summariseRun(event, run, dashboardUrl);
+	if (format === 'slack') {
+		return formatSlack(summary);
+	}
+	if (format === 'teams') {
+		return formatTeams(event, summary);
+	}
+	return formatJson(event, run, summary);
+}
+
+// A title, lines of detail and a link which Slack and Teams messages
+// are both built from
+function summariseRun(event, run, dashboardUrl) {
+	if (event === 'test') {
+		return {
+			title: 'Test notification from Pa11y Dashboard',
+			lines: ['This webhook is set up correctly.'],
+			link: dashboardUrl || null
+		};
+	}
+	const task = run.task;
+	const titles = {
+		finished: `${task.name} was tested`,
+		regressed: `${task.name} has more accessibility issues than before`,
+		failed: `Pa11y couldn't test ${task.name}`
+	};
+	const lines = (event === 'failed' ? [run.error] : run.results.map(summariseResult));
+	const results = run.results || [];
+	return {
+		title: titles[event],
+		lines: [task.url].concat(lines),
+		link: getLink(dashboardUrl, task, results.length === 1 ? results[0] : null),
+		results: results.map(result => ({
+			result,
+			link: getLink(dashboardUrl, task, result)
+		}))
+	};
+}
+
+// E.g. "320px: 5 errors (+2), 3 warnings, 10 notices"
+function summariseResult(result) {
+	const counts = types.map(type => {
+		const count = result.count[type];
+		const change = (result.previousCount ? count - result.previousCount[type] : 0);
+		const plural = (count === 1 ? type : `${type}s`);
+		return `${count} ${plural}${change > 0 ? ` (+${change})` : ''}`;
+	});
+	const width = (result.viewport ? `${result.viewport.width}px: ` : '');
+	return `${width}${counts.join(', ')}`;
+}
+
+function getLink(dashboardUrl, task, result) {
+	if (!dashboardUrl) {
+		return null;
+	}
+	const base = dashboardUrl.replace(/\/+$/, '');
+	return (result ? `${base}/${task.id}/${result.id}` : `${base}/${task.id}`);
+}
+
+function formatJson(event, run, summary) {
+	const task = run.task;
+	return {
+		event,
+		date: new Date().toISOString(),
+		text: [summary.title].concat(summary.lines).join('\n'),
+		task: (task ? {
+			id: task.id,
+			name: task.name,
+			url: task.url,
+			standard: task.standard,
+			link: summary.link
+		} : null),
+		error: run.error || null,
+		results: (summary.results || []).map(({result, link}) => ({
+			id: result.id,
+			date: result.date,
+			viewport: (result.viewport ? result.viewport.width : null),
+			count: result.count,
+			previousCount: result.previousCount || null,
+			link
+		}))
+	};
+}
+
+// Slack (and Mattermost, Rocket.Chat etc.) incoming webhooks take `text`
+// in their own markup, where only `&`, `<` and `>` need escaping
+function formatSlack(summary) {
+	const title = escapeSlack(summary.title);
+	const heading = (summary.link ? `*<${summary.link}|${title}>*` : `*${title}*`);
+	return {
+		text: [heading].concat(summary.lines.map(escapeSlack)).join('\n')
+	};
+}
+
+function escapeSlack(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+}
+
+// Teams incoming webhooks take a legacy actionable message card
+function formatTeams(event, summary) {
+	const card = {
+		'@type': 'MessageCard',
+		'@context': 'https://schema.org/extensions',
+		summary: summary.title,
+		themeColor: colours[event],
+		title: summary.title,
+		text: summary.lines.join('\n\n')
+	};
+	if (summary.link) {
+		card.potentialAction = [{
+			'@type': 'OpenUri',
+			name: 'View in Pa11y Dashboard',
+			targets: [{
+				os: 'default',
+				uri: summary.link
+			}]
+		}];
+	}
+	return card;
+}
@@ -0,0 +1,167 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {nanoid} = require('nanoid');
+
+const frequencies = ['daily', 'weekly'];
+const scopes = ['task', 'project'];
+
+module.exports = createSubscriptionStore;
+module.exports.frequencies = frequencies;
+module.exports.scopes = scopes;
+
+/**
+ * Create a store for email digest subscriptions. Each subscription
+ * belongs to a user, and sends a `daily` or `weekly` digest of the
+ * results of a task or a project to an email address. Subscriptions
+ * are kept in a JSON file.
+ *
+ * @param {string} filePath The path of the subscriptions file
+ * @returns {object} The subscription store
+ */
+function createSubscriptionStore(filePath) {
+	filePath = path.resolve(filePath);
+	let subscriptions = [];
+	if (fs.existsSync(filePath)) {
+		subscriptions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	}
+
+	function save() {
+		fs.mkdirSync(path.dirname(filePath), {recursive: true});
+		const temporaryPath = `${filePath}.tmp`;
+		fs.writeFileSync(temporaryPath, JSON.stringify(subscriptions, null, '\t'));
+		fs.renameSync(temporaryPath, filePath);
+	}
+
+	return {
+
+		/**
+		 * List the subscriptions which belong to a user, or all subscriptions.
+		 * @param {string} [owner] The username to list subscriptions for
+		 * @returns {Array} The subscriptions
+		 */
+		list(owner) {
+			return subscriptions
+				.filter(subscription => !owner || subscription.owner === owner)
+				.map(subscription => ({...subscription}));
+		},
+
+		/**
+		 * Get a subscription.
+		 * @param {string} id The subscription ID
+		 * @param {string} [owner] Only get the subscription if it has this owner
+		 * @returns {object|null} The subscription, or `null` if it isn't known
+		 */
+		get(id, owner) {
+			const subscription = subscriptions.find(candidate => {
+				return candidate.id === id && (!owner || candidate.owner === owner);
+			});
+			return (subscription ? {...subscription} : null);
+		},
+
+		/**
+		 * Create a subscription.
+		 * @param {object} details The subscription details
+		 * @param {string} details.owner The username of the subscription's owner
+		 * @param {string} details.email Where to send the digest
+		 * @param {string} details.frequency One of `frequencies`
+		 * @param {string} details.scope One of `scopes`
+		 * @param {string} details.target The ID of the task or project
+		 * @returns {object} The subscription
+		 */
+		create(details) {
+			validateSubscription(details);
+			const subscription = {
+				id: nanoid(),
+				owner: details.owner,
+				email: details.email,
+				frequency: details.frequency,
+				scope: details.scope,
+				target: details.target,
+				created: new Date().toISOString(),
+				lastSent: null
+			};
+			subscriptions.push(subscription);
+			save();
+			return {...subscription};
+		},
+
+		/**
+		 * Record that a subscription's digest has been sent.
+		 * @param {string} id The subscription ID
+		 * @param {Date} date When the digest was sent
+		 * @returns {undefined} Nothing
+		 */
+		markSent(id, date) {
+			const subscription = subscriptions.find(candidate => candidate.id === id);
+			if (subscription) {
+				subscription.lastSent = date.toISOString();
+				save();
+			}
+		},
+
+		/**
+		 * Remove a subscription.
+		 * @param {string} id The subscription ID
+		 * @param {string} [owner] Only remove the subscription if it has this owner
+		 * @returns {boolean} Whether a subscription was removed
+		 */
+		remove(id, owner) {
+			const remaining = subscriptions.filter(subscription => {
+				return subscription.id !== id || (owner && subscription.owner !== owner);
+			});
+			const removed = (remaining.length !== subscriptions.length);
+			subscriptions = remaining;
+			if (removed) {
+				save();
+			}
+			return removed;
+		},
+
+		/**
+		 * Remove every subscription to a task or project, e.g. because
+		 * it's been deleted.
+		 * @param {string} scope One of `scopes`
+		 * @param {string} target The ID of the task or project
+		 * @returns {number} How many subscriptions were removed
+		 */
+		removeTarget(scope, target) {
+			const remaining = subscriptions.filter(subscription => {
+				return subscription.scope !== scope || subscription.target !== target;
+			});
+			const removed = subscriptions.length - remaining.length;
+			subscriptions = remaining;
+			if (removed) {
+				save();
+			}
+			return removed;
+		}
+	};
+}
+
+function validateSubscription(details) {
+	if (!/^[^\s@]+@[^\s@]+$/.test(details.email || '')) {
+		throw new Error('Please enter the email address to send the digest to');
+	}
+	if (!frequencies.includes(details.frequency)) {
+		throw new Error(`Digest frequency must be one of: ${frequencies.join(', ')}`);
+	}
+	if (!scopes.includes(details.scope) || !details.target) {
+		throw new Error('Please choose a task or project for the digest');
+	}
+}
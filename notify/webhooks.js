@@ -0,0 +1,296 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {setTimeout: delay} = require('timers/promises');
+const {nanoid} = require('nanoid');
+const {events, getEvent, formatPayload} = require('./messages');
+
+const formats = ['json', 'slack', 'teams'];
+
+// How many deliveries to remember for each hook
+const deliveryLogLength = 20;
+
+// How long to wait for each delivery attempt
+const deliveryTimeout = 10000;
+
+module.exports = createWebhooks;
+module.exports.formats = formats;
+module.exports.events = events;
+
+/**
+ * Create a store of outgoing webhooks, which are sent when a run of a
+ * task finishes, fails or regresses. Hooks and a log of their recent
+ * deliveries are kept in a JSON file.
+ *
+ * Hooks in the `json` format are sent the run as JSON, signed with the
+ * hook's secret in an `X-Pa11y-Signature` header (`sha256=` followed by
+ * the hex HMAC-SHA256 of the body). The `slack` and `teams` formats
+ * send a message which those services' incoming webhooks understand.
+ *
+ * A delivery which fails, or gets a response which isn't a 2xx, is
+ * retried with an exponential backoff.
+ *
+ * @param {object} options Webhook options
+ * @param {string} options.file The path of the webhooks file
+ * @param {number} [options.retries] How many times to retry a failed delivery (default 3)
+ * @param {number} [options.retryDelay] Milliseconds before the first retry,
+ *        which doubles for each retry after it (default 5000)
+ * @param {string} [options.dashboardUrl] The public URL of the dashboard,
+ *        used to link to results in messages
+ * @returns {object} The webhook store
+ */
+function createWebhooks(options) {
+	const filePath = path.resolve(options.file);
+	const retries = getNumber(options.retries, 3);
+	const retryDelay = getNumber(options.retryDelay, 5000);
+	let hooks = (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : []);
+
+	function save() {
+		fs.mkdirSync(path.dirname(filePath), {recursive: true});
+		const temporaryPath = `${filePath}.tmp`;
+		fs.writeFileSync(temporaryPath, JSON.stringify(hooks, null, '\t'));
+		fs.renameSync(temporaryPath, filePath);
+	}
+
+	// Add a delivery to the top of a hook's log
+	function logDelivery(hook, event) {
+		const delivery = {
+			id: nanoid(),
+			event,
+			date: new Date().toISOString(),
+			status: 'pending',
+			attempts: []
+		};
+		hook.deliveries = [delivery].concat(hook.deliveries).slice(0, deliveryLogLength);
+		save();
+		return delivery;
+	}
+
+	// Send an event to a hook, logging each attempt as it's made
+	async function deliver(hook, event, run, maxRetries) {
+		const delivery = logDelivery(hook, event);
+		const body = JSON.stringify(formatPayload(hook.format, event, run, options.dashboardUrl));
+		const headers = getHeaders(hook, event, delivery, body);
+		for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+			if (attempt) {
+				await delay(retryDelay * (2 ** (attempt - 1)));
+			}
+			// Stop retrying if the hook was removed in the meantime
+			if (!hooks.includes(hook)) {
+				break;
+			}
+			const outcome = await post(hook.url, headers, body);
+			delivery.attempts.push(outcome);
+			delivery.status = getDeliveryStatus(outcome, attempt < maxRetries);
+			save();
+			if (delivery.status === 'delivered') {
+				break;
+			}
+		}
+		return {...delivery};
+	}
+
+	return {
+
+		/**
+		 * List the webhooks.
+		 * @returns {Array} The webhooks, each with its `lastDelivery`
+		 */
+		list() {
+			return hooks.map(presentHook);
+		},
+
+		/**
+		 * Get a webhook.
+		 * @param {string} id The webhook ID
+		 * @returns {object|null} The webhook and its `deliveries`, newest
+		 *          first, or `null` if it isn't known
+		 */
+		get(id) {
+			const hook = hooks.find(candidate => candidate.id === id);
+			return (hook ? {
+				...presentHook(hook),
+				deliveries: hook.deliveries.map(delivery => ({...delivery}))
+			} : null);
+		},
+
+		/**
+		 * Create a webhook.
+		 * @param {object} details The webhook details
+		 * @param {string} details.name A name to recognise the hook by
+		 * @param {string} details.url The URL to POST to
+		 * @param {string} details.format One of `formats`
+		 * @param {Array} details.events Which of `events` to send
+		 * @param {string} [details.secret] The secret to sign `json` hooks
+		 *        with. A random secret is used if none is given
+		 * @returns {object} The webhook
+		 */
+		create(details) {
+			validateHook(details);
+			const hook = {
+				id: nanoid(),
+				name: details.name,
+				url: details.url,
+				format: details.format,
+				events: [].concat(details.events),
+				secret: (details.format === 'json' ? getSecret(details.secret) : null),
+				created: new Date().toISOString(),
+				deliveries: []
+			};
+			hooks.push(hook);
+			save();
+			return presentHook(hook);
+		},
+
+		/**
+		 * Remove a webhook.
+		 * @param {string} id The webhook ID
+		 * @returns {boolean} Whether a webhook was removed
+		 */
+		remove(id) {
+			const remaining = hooks.filter(hook => hook.id !== id);
+			const removed = (remaining.length !== hooks.length);
+			hooks = remaining;
+			if (removed) {
+				save();
+			}
+			return removed;
+		},
+
+		/**
+		 * Send a run to every webhook which wants its event. Hooks which
+		 * want `finished` runs are also sent `regressed` ones, as those
+		 * finished too.
+		 * @param {object} run The run, as reported by `local-webservice.js`
+		 * @returns {Promise<Array>} Resolves with the deliveries once all
+		 *          of them have succeeded or run out of retries
+		 */
+		notify(run) {
+			const event = getEvent(run);
+			const wanted = hooks.filter(hook => {
+				return hook.events.includes(event) ||
+					(event === 'regressed' && hook.events.includes('finished'));
+			});
+			return Promise.all(wanted.map(hook => deliver(hook, event, run, retries)));
+		},
+
+		/**
+		 * Send a test event to a webhook, without any retries.
+		 * @param {string} id The webhook ID
+		 * @returns {Promise<object|null>} Resolves with the delivery, or
+		 *          `null` if the webhook isn't known
+		 */
+		test(id) {
+			const hook = hooks.find(candidate => candidate.id === id);
+			return Promise.resolve(hook ? deliver(hook, 'test', {status: 'test'}, 0) : null);
+		}
+	};
+}
+
+function getNumber(value, defaultValue) {
+	const number = Number(value);
+	return (value === undefined || isNaN(number) ? defaultValue : Math.max(0, number));
+}
+
+function validateHook(details) {
+	if (!details.name) {
+		throw new Error('Please give the webhook a name');
+	}
+	if (!isHttpUrl(details.url)) {
+		throw new Error('The webhook URL must be an http or https URL');
+	}
+	if (!formats.includes(details.format)) {
+		throw new Error(`Webhook format must be one of: ${formats.join(', ')}`);
+	}
+	validateEvents(details.events);
+}
+
+function validateEvents(value) {
+	const hookEvents = [].concat(value || []);
+	if (!hookEvents.length || hookEvents.some(event => !events.includes(event))) {
+		throw new Error(`Webhook events must be one or more of: ${events.join(', ')}`);
+	}
+}
+
+function isHttpUrl(url) {
+	try {
+		return ['http:', 'https:'].includes(new URL(url).protocol);
+	} catch (error) {
+		return false;
+	}
+}
+
+function getSecret(secret) {
+	return secret || crypto.randomBytes(24).toString('hex');
+}
+
+function getHeaders(hook, event, delivery, body) {
+	const headers = {
+		'Content-Type': 'application/json',
+		'User-Agent': 'pa11y-dashboard',
+		'X-Pa11y-Event': event,
+		'X-Pa11y-Delivery': delivery.id
+	};
+	if (hook.secret) {
+		const signature = crypto.createHmac('sha256', hook.secret).update(body).digest('hex');
+		headers['X-Pa11y-Signature'] = `sha256=${signature}`;
+	}
+	return headers;
+}
+
+// Make one delivery attempt. Failures are recorded rather than thrown,
+// as they're expected and will be retried
+async function post(url, headers, body) {
+	const attempt = {
+		date: new Date().toISOString(),
+		status: null,
+		error: null
+	};
+	try {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers,
+			body,
+			signal: AbortSignal.timeout(deliveryTimeout)
+		});
+		// The response body isn't needed, but has to be read to free the connection
+		await response.arrayBuffer();
+		attempt.status = response.status;
+		if (!response.ok) {
+			attempt.error = `HTTP ${response.status}`;
+		}
+	} catch (error) {
+		attempt.error = error.message;
+	}
+	return attempt;
+}
+
+function getDeliveryStatus(attempt, willRetry) {
+	if (!attempt.error) {
+		return 'delivered';
+	}
+	return (willRetry ? 'retrying' : 'failed');
+}
+
+function presentHook(hook) {
+	const copy = {...hook};
+	delete copy.deliveries;
+	copy.lastDelivery = (hook.deliveries[0] ? {...hook.deliveries[0]} : null);
+	return copy;
+}
@@ -67,6 +67,7 @@
                     $('#new-task-headers').val('');
                 }
                 setVal('#new-task-hide-elements', task.hideElements || '');
+                setVal('#new-task-schedule', task.schedule || '');
                 // Check ignore checkboxes based on task.ignore array
                 if (Array.isArray(task.ignore)) {
                     $('input[name="ignore[]"]').each(function() {
@@ -132,6 +133,7 @@
                 }
                 const hideElements = getVal('#new-task-hide-elements');
                 task.hideElements = hideElements ? hideElements : undefined;
+                task.schedule = getVal('#new-task-schedule').trim();
                 // Gather ignored rules
                 const ignore = [];
                 form.find('input[name="ignore[]"]:checked').each(function() {
@@ -0,0 +1,66 @@
+/*
+ * Run status for Pa11y Dashboard
+ *
+ * When a task is run on the server, the run is queued and the task page
+ * is shown with a `?running&job=<id>` query string. This script polls
+ * the job status endpoint (`/:id/runs/:jobId`) and updates the
+ * "New results incoming!" banner to show whether the run is queued,
+ * running, finished or has failed. Once the run has finished the page
+ * is reloaded without the query string so that the new result shows.
+ */
+
+/* global $ */
+
+(function() {
+    'use strict';
+
+    // How often to check on the job, in milliseconds
+    const pollInterval = 2000;
+
+    $(document).ready(function() {
+        const banner = $('[data-role="run-status"]');
+        if (!banner.length) {
+            return;
+        }
+        const statusUrl = banner.attr('data-status-url');
+        const taskUrl = banner.attr('data-task-url');
+        const message = banner.find('[data-role="run-status-message"]');
+
+        function formatTime(isoDate) {
+            return new Date(isoDate).toLocaleTimeString();
+        }
+
+        function showJob(job) {
+            if (job.status === 'queued') {
+                message.text('This run is queued behind ' + (job.position - 1) + ' other run(s) and will start shortly.');
+                return true;
+            }
+            if (job.status === 'running') {
+                message.text('Pa11y has been testing this URL since ' + formatTime(job.started) + '.');
+                return true;
+            }
+            if (job.status === 'failed') {
+                banner.removeClass('alert-success').addClass('alert-danger');
+                banner.find('strong').text('The run failed!');
+                message.text(job.error || 'Pa11y could not test this URL.');
+                return false;
+            }
+            message.text('New results are ready, loading them now.');
+            window.location.href = taskUrl;
+            return false;
+        }
+
+        function poll() {
+            $.getJSON(statusUrl).done(function(job) {
+                if (showJob(job)) {
+                    setTimeout(poll, pollInterval);
+                }
+            }).fail(function() {
+                // The job is unknown, e.g. because the dashboard was
+                // restarted, so leave the generic message in place
+            });
+        }
+
+        poll();
+    });
+})();
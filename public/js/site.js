@@ -198,6 +198,30 @@ $(document).ready(function(){
                 lines: { show: false },
                 dashes: { show: true, dashLength: 5 }
             }
+        ].concat(getScoreData());
+    }
+
+    // Scores are out of 100, and are only in the table when the
+    // server has scored the results
+    function getScoreData() {
+        if (typeof data.score === 'undefined') {
+            return [];
+        }
+        return [
+            {
+                color: 'rgb(0, 96, 83)',
+                label: 'Score',
+                type: 'score',
+                data: data.score
+            },
+            {
+                color: 'rgb(97, 109, 110)',
+                label: 'Average',
+                type: 'average',
+                data: data.average,
+                lines: { show: false },
+                dashes: { show: true, dashLength: [10, 5] }
+            }
         ];
     }
 
@@ -260,7 +284,7 @@ $(document).ready(function(){
     var datasets = getData();
 
     $.each(datasets, function(key, val) {
-        var lowerCaseValue = (val.label.substring(0, val.label.length - 1)).toLowerCase();
+        var lowerCaseValue = val.type || (val.label.substring(0, val.label.length - 1)).toLowerCase();
         choiceContainer.append(
             '<li class="text-center ' + lowerCaseValue + '">' +
                 '<div class="series-checkbox-container">' +
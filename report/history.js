@@ -0,0 +1,199 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const moment = require('moment');
+
+const types = ['error', 'warning', 'notice'];
+
+// The content type of each export format
+const formats = {
+	csv: 'text/csv',
+	json: 'application/json',
+	ndjson: 'application/x-ndjson'
+};
+
+const columns = [
+	'date',
+	'taskId',
+	'taskName',
+	'url',
+	'resultId',
+	'viewport',
+	'type',
+	'code',
+	'message',
+	'context',
+	'selector',
+	'runner'
+];
+
+module.exports = buildHistory;
+module.exports.parseHistoryOptions = parseHistoryOptions;
+module.exports.formatHistory = formatHistory;
+module.exports.formats = formats;
+
+/**
+ * Read history export options from request parameters.
+ *
+ * @param {object} params Request parameters
+ * @param {string} [params.format] The export format: `csv` (default), `json` or `ndjson`
+ * @param {string} [params.from] The earliest run to include, as a date or ISO 8601 time
+ * @param {string} [params.to] The latest run to include. A date includes the whole day
+ * @param {(string|Array)} [params.type] Only include issues of these types,
+ *        e.g. `error,warning`
+ * @param {(string|Array)} [params.code] Only include issues with these rule codes
+ * @returns {object} The export options
+ * @throws {Error} If a parameter is invalid
+ */
+function parseHistoryOptions(params = {}) {
+	const options = {
+		format: parseFormat(params.format),
+		from: parseDate(params.from, 'from'),
+		to: parseDate(params.to, 'to'),
+		types: parseList(params.type),
+		codes: parseList(params.code)
+	};
+	const unknownType = options.types.find(type => !types.includes(type));
+	if (unknownType) {
+		const expected = types.join(', ');
+		throw new Error(`Unknown issue type "${unknownType}", expected one of: ${expected}`);
+	}
+	if (options.from && options.to && options.from > options.to) {
+		throw new Error('The "from" date must be before the "to" date');
+	}
+	return options;
+}
+
+/**
+ * Build the rows of a history export, one for each issue found by each
+ * run in the date range which matches the filters. Rows are in the order
+ * the runs happened, so that the data can go straight into a spreadsheet.
+ *
+ * @param {Array} entries The tasks to export, each with a `task` and its `results`
+ * @param {object} options Export options from `parseHistoryOptions`
+ * @returns {Array} The rows
+ */
+function buildHistory(entries, options) {
+	const runs = [];
+	entries.forEach(({task, results}) => {
+		results.filter(result => isInRange(new Date(result.date), options)).forEach(result => {
+			runs.push({
+				task,
+				result
+			});
+		});
+	});
+	runs.sort((runA, runB) => new Date(runA.result.date) - new Date(runB.result.date));
+	return runs.reduce((rows, {task, result}) => {
+		const issues = (result.results || []).filter(issue => matchesFilters(issue, options));
+		return rows.concat(issues.map(issue => buildRow(task, result, issue)));
+	}, []);
+}
+
+/**
+ * Serialise the rows of a history export.
+ *
+ * @param {Array} rows The rows from `buildHistory`
+ * @param {string} format The export format: `csv`, `json` or `ndjson`
+ * @returns {string} The export
+ */
+function formatHistory(rows, format) {
+	if (format === 'json') {
+		return JSON.stringify(rows, null, '\t');
+	}
+	if (format === 'ndjson') {
+		return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+	}
+	return [columns]
+		.concat(rows.map(row => columns.map(column => row[column])))
+		.map(values => `${values.map(formatCsvValue).join(',')}\r\n`)
+		.join('');
+}
+
+function buildRow(task, result, issue) {
+	return {
+		date: new Date(result.date).toISOString(),
+		taskId: task.id,
+		taskName: task.name,
+		url: task.url,
+		resultId: result.id,
+		viewport: (result.viewport ? result.viewport.width : null),
+		type: issue.type,
+		code: issue.code,
+		message: issue.message,
+		context: issue.context,
+		selector: issue.selector,
+		runner: issue.runner || null
+	};
+}
+
+function isInRange(date, options) {
+	return (!options.from || date >= options.from) && (!options.to || date <= options.to);
+}
+
+function matchesFilters(issue, options) {
+	const typeMatches = (!options.types.length || options.types.includes(issue.type));
+	return typeMatches && (!options.codes.length || options.codes.includes(issue.code));
+}
+
+function parseFormat(value) {
+	const format = value || 'csv';
+	if (!formats[format]) {
+		const expected = Object.keys(formats).join(', ');
+		throw new Error(`Unknown format "${format}", expected one of: ${expected}`);
+	}
+	return format;
+}
+
+// A date on its own means the start of the day for `from` and the end of
+// the day for `to`, so that `from=2024-01-01&to=2024-01-31` is all of January.
+// Days are in UTC, as they are in the API
+function parseDate(value, name) {
+	if (!value) {
+		return null;
+	}
+	const date = moment.utc(value, moment.ISO_8601, true);
+	if (!date.isValid()) {
+		throw new Error(`Invalid "${name}" date "${value}", expected e.g. 2024-01-31`);
+	}
+	if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+		date.endOf('day');
+	}
+	return date.toDate();
+}
+
+function parseList(value) {
+	if (!value) {
+		return [];
+	}
+	return [].concat(value)
+		.reduce((list, item) => list.concat(String(item).split(',')), [])
+		.map(item => item.trim())
+		.filter(Boolean);
+}
+
+// Page content ends up in messages and contexts, so values which a
+// spreadsheet would treat as a formula are quoted to keep them as text
+function formatCsvValue(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	let text = String(value);
+	if (/^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+	return `"${text.replace(/"/g, '""')}"`;
+}
@@ -0,0 +1,97 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+module.exports = buildJUnitReport;
+
+/**
+ * Build a JUnit XML report, the format which CI servers such as Jenkins
+ * and GitLab understand natively.
+ *
+ * @param {object} suite The test suite
+ * @param {string} suite.name The name of the test suite
+ * @param {string} [suite.timestamp] When the tests were run, as an ISO 8601 date
+ * @param {Array} suite.testCases The test cases, each with a `name`, a
+ *        `classname` and, if the test case failed, a `failure` with a
+ *        `message` and optional longer `details`
+ * @returns {string} The XML
+ */
+function buildJUnitReport(suite) {
+	const failures = suite.testCases.filter(testCase => testCase.failure).length;
+	const suiteAttributes = attributes({
+		name: suite.name,
+		tests: suite.testCases.length,
+		failures,
+		errors: 0,
+		timestamp: suite.timestamp
+	});
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites>`,
+		`\t<testsuite${suiteAttributes}>`,
+		...suite.testCases.map(buildTestCase),
+		'\t</testsuite>',
+		'</testsuites>',
+		''
+	].join('\n');
+}
+
+function buildTestCase(testCase) {
+	const caseAttributes = attributes({
+		name: testCase.name,
+		classname: testCase.classname
+	});
+	if (!testCase.failure) {
+		return `\t\t<testcase${caseAttributes}/>`;
+	}
+	const failureAttributes = attributes({
+		message: testCase.failure.message,
+		type: testCase.failure.type || 'failure'
+	});
+	const details = escapeXml(testCase.failure.details || testCase.failure.message);
+	return [
+		`\t\t<testcase${caseAttributes}>`,
+		`\t\t\t<failure${failureAttributes}>${details}</failure>`,
+		'\t\t</testcase>'
+	].join('\n');
+}
+
+// Build an attribute string, leaving out attributes with no value
+function attributes(values) {
+	return Object.keys(values)
+		.filter(name => values[name] !== undefined && values[name] !== null)
+		.map(name => ` ${name}="${escapeXml(values[name])}"`)
+		.join('');
+}
+
+function escapeXml(value) {
+	return removeInvalidCharacters(String(value))
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+// Control characters other than tabs and line breaks aren't allowed
+// in XML 1.0 at all
+function removeInvalidCharacters(value) {
+	return Array.from(value).filter(character => {
+		const code = character.charCodeAt(0);
+		return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+	}).join('');
+}
+
+module.exports.escapeXml = escapeXml;
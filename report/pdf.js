@@ -0,0 +1,51 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const puppeteer = require('puppeteer');
+
+module.exports = renderPdf;
+
+/**
+ * Print an HTML page to a PDF with a headless browser. The page is
+ * loaded from a string, so it has to be standalone: anything it links
+ * to, such as stylesheets, won't load.
+ *
+ * @param {string} html The HTML to print
+ * @param {object} [options] PDF options
+ * @param {object} [options.chromeLaunchConfig] Options for launching the browser
+ * @returns {Promise<Buffer>} Resolves with the PDF
+ */
+async function renderPdf(html, options = {}) {
+	const browser = await puppeteer.launch(options.chromeLaunchConfig || {});
+	try {
+		const page = await browser.newPage();
+		await page.setContent(html, {
+			waitUntil: 'load'
+		});
+		return await page.pdf({
+			format: 'A4',
+			printBackground: true,
+			margin: {
+				top: '15mm',
+				right: '15mm',
+				bottom: '15mm',
+				left: '15mm'
+			}
+		});
+	} finally {
+		await browser.close();
+	}
+}
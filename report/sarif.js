@@ -0,0 +1,117 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const sarifVersion = '2.1.0';
+const sarifSchema = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF has no notice level, the closest is a note
+const levels = {
+	error: 'error',
+	warning: 'warning',
+	notice: 'note'
+};
+
+module.exports = buildSarifLog;
+
+/**
+ * Build a SARIF log, the format which GitHub code scanning and other
+ * static analysis tools understand. Each issue becomes a result of the
+ * rule with the issue's code.
+ *
+ * @param {object} run The test run
+ * @param {object} run.tool The `name`, `version` and `informationUri` of the tool
+ * @param {string} run.url The URL which was tested
+ * @param {string} [run.date] When the URL was tested, as an ISO 8601 date
+ * @param {Array} run.issues The issues, each with a `code`, `type`,
+ *        `message`, `selector`, `context` and a list of `solutions` with
+ *        a `title` and `url`
+ * @returns {object} The SARIF log
+ */
+function buildSarifLog(run) {
+	const rules = buildRules(run.issues);
+	const ruleIds = rules.map(rule => rule.id);
+	return {
+		$schema: sarifSchema,
+		version: sarifVersion,
+		runs: [{
+			tool: {
+				driver: {
+					...run.tool,
+					rules
+				}
+			},
+			invocations: [{
+				executionSuccessful: true,
+				endTimeUtc: run.date
+			}],
+			artifacts: [{
+				location: {uri: run.url}
+			}],
+			results: run.issues.map(issue => buildResult(issue, run.url, ruleIds))
+		}]
+	};
+}
+
+// One rule per issue code, described by the first issue with that code
+function buildRules(issues) {
+	const rules = new Map();
+	issues.forEach(issue => {
+		if (rules.has(issue.code)) {
+			return;
+		}
+		const solutions = issue.solutions || [];
+		rules.set(issue.code, {
+			id: issue.code,
+			shortDescription: {text: issue.message},
+			helpUri: (solutions.length ? solutions[0].url : undefined),
+			help: {
+				text: solutions.map(solution => `${solution.title}: ${solution.url}`).join('\n') ||
+					issue.message
+			},
+			defaultConfiguration: {level: getLevel(issue)},
+			properties: {runner: issue.runner}
+		});
+	});
+	return Array.from(rules.values());
+}
+
+function buildResult(issue, url, ruleIds) {
+	return {
+		ruleId: issue.code,
+		ruleIndex: ruleIds.indexOf(issue.code),
+		level: getLevel(issue),
+		message: {text: issue.message},
+		locations: [{
+			physicalLocation: {
+				artifactLocation: {
+					uri: url,
+					index: 0
+				},
+				region: {
+					snippet: {text: issue.context || ''}
+				}
+			},
+			logicalLocations: [{
+				fullyQualifiedName: issue.selector,
+				kind: 'element'
+			}]
+		}]
+	};
+}
+
+function getLevel(issue) {
+	return levels[issue.type] || 'none';
+}
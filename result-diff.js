@@ -0,0 +1,116 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const types = ['error', 'warning', 'notice'];
+
+module.exports = diffResults;
+
+/**
+ * Compare the issues in two results. Issues are matched on their code,
+ * selector and context, so an issue which appears several times on a page
+ * is only counted as unchanged as many times as it appears in both results.
+ *
+ * @param {object} base The result to compare from, usually the older one
+ * @param {object} head The result to compare to, usually the newer one
+ * @returns {object} The new, fixed and unchanged issues keyed by type, e.g.
+ *          `diff.error.new`, and a `count` of each, e.g. `diff.count.error.new`
+ */
+function diffResults(base, head) {
+	const diff = {count: {}};
+	types.forEach(type => {
+		diff[type] = {
+			new: [],
+			fixed: [],
+			unchanged: []
+		};
+	});
+
+	const remaining = new Map();
+	getIssues(base).forEach(issue => {
+		const key = getIssueKey(issue);
+		remaining.set(key, (remaining.get(key) || []).concat(issue));
+	});
+
+	getIssues(head).forEach(issue => {
+		const matches = remaining.get(getIssueKey(issue)) || [];
+		const bucket = (matches.shift() ? 'unchanged' : 'new');
+		diff[issue.type][bucket].push(issue);
+	});
+
+	remaining.forEach(issues => {
+		issues.forEach(issue => diff[issue.type].fixed.push(issue));
+	});
+
+	types.forEach(type => {
+		diff.count[type] = {
+			new: diff[type].new.length,
+			fixed: diff[type].fixed.length,
+			unchanged: diff[type].unchanged.length
+		};
+	});
+	return diff;
+}
+
+module.exports.getIssueKey = getIssueKey;
+module.exports.getIssues = getIssues;
+module.exports.findPreviousResult = findPreviousResult;
+
+/**
+ * Find the result which was run before one of a task's results. For
+ * tasks which are run at several viewport widths, this is the previous
+ * result at the same width.
+ * @param {Array} results The task's results, latest first
+ * @param {string} resultId The ID of the result
+ * @returns {(object|null)} The previous result, or `null` if there isn't one
+ */
+function findPreviousResult(results, resultId) {
+	const index = results.findIndex(result => result.id === resultId);
+	if (index === -1) {
+		return null;
+	}
+	const width = getViewportWidth(results[index]);
+	return results.slice(index + 1).find(result => getViewportWidth(result) === width) || null;
+}
+
+function getViewportWidth(result) {
+	return (result.viewport ? result.viewport.width : null);
+}
+
+/**
+ * Get the key which identifies an issue across results.
+ * @param {object} issue The issue
+ * @returns {string} The key
+ */
+function getIssueKey(issue) {
+	return JSON.stringify([issue.code, issue.selector, issue.context]);
+}
+
+/**
+ * Get the errors, warnings and notices in a result.
+ * @param {object} result The result
+ * @returns {Array} Copies of the issues
+ */
+function getIssues(result) {
+	return (result.results || []).filter(issue => {
+		return issue && types.includes(issue.type);
+	}).map(issue => ({
+		code: issue.code,
+		type: issue.type,
+		message: issue.message,
+		selector: issue.selector,
+		context: issue.context
+	}));
+}
@@ -5,41 +5,67 @@
 // describing the task and returns the full Pa11y result as JSON. No
 // results are stored on the server; clients are expected to persist
 // data (for example, in IndexedDB).
+//
+// Passing any of the CI gate parameters (see `gate.js`) turns on gate
+// mode: the result gets a pass/fail `gate` verdict, failing results are
+// sent with a 422 status so that `curl --fail` exits with an error, and
+// `format=junit` sends the verdict as a JUnit XML report instead.
 
 'use strict';
 
 const pa11y = require('pa11y');
+const {loadGate, getGateResponse} = require('../gate');
+const {parseRunners} = require('../data/runners');
+const {parseEmulation, getEmulation} = require('../data/devices');
 
 module.exports = function api(app) {
-    app.express.post('/api/run', async (request, response, next) => {
-        const {
-            url,
-            standard,
-            timeout,
-            wait,
-            actions,
-            username,
-            password,
-            headers,
-            hideElements,
-            ignore
-        } = request.body || {};
-        if (!url) {
+    // A stored baseline is a task ID (for the task's latest result) or
+    // `<task-id>/<result-id>`. Reading it needs the same access as
+    // reading results through the API
+    function findBaseline(request, id) {
+        if (request.token && !request.token.scopes.includes('read')) {
+            const error = new Error('A stored baseline needs a token with the read scope');
+            error.status = 403;
+            return Promise.reject(error);
+        }
+        const [taskId, resultId] = id.split('/');
+        return new Promise(resolve => {
+            const done = (error, result) => resolve(error ? null : result || null);
+            if (resultId) {
+                app.webservice.task(taskId).result(resultId).get({full: true}, done);
+            } else {
+                app.webservice.task(taskId).results({full: true}, (error, results) => {
+                    done(error, results && results[0]);
+                });
+            }
+        });
+    }
+
+    app.express.post('/api/run', app.auth.require('editor', 'run'), async (request, response, next) => {
+        const body = request.body || {};
+        if (!body.url) {
             return response.status(400).json({error: 'Missing url'});
         }
+        let options;
+        let gate;
         try {
-            const options = {};
-            if (standard) options.standard = standard;
-            if (timeout) options.timeout = Number(timeout);
-            if (wait) options.wait = Number(wait);
-            if (Array.isArray(actions)) options.actions = actions;
-            if (username) options.username = username;
-            if (password) options.password = password;
-            if (hideElements) options.hideElements = hideElements;
-            if (headers) options.headers = headers;
-            if (ignore) options.ignore = ignore;
-            const result = await pa11y(url, options);
-            response.json(result);
+            options = getRunOptions(body);
+            // The gate is read and its baseline looked up before running,
+            // so that a bad request fails straight away
+            gate = await loadGate({
+                ...request.query,
+                ...body
+            }, id => findBaseline(request, id));
+        } catch (error) {
+            return response.status(error.status || 400).json({error: error.message});
+        }
+        try {
+            // Queue the run so that API calls share the limit on how
+            // many browsers are open at once, then wait for it
+            const job = app.runQueue.push({url: body.url}, () => pa11y(body.url, options));
+            const result = await app.runQueue.settled(job.id);
+            const {status, type, body: responseBody} = getGateResponse(result, gate, body.url);
+            response.status(status).type(type).send(responseBody);
         } catch (err) {
             // Pass errors to the default error handler. This will render
             // a 500 page in development. In production, the client
@@ -47,4 +73,39 @@ module.exports = function api(app) {
             next(err);
         }
     });
-};
\ No newline at end of file
+};
+
+// Read the pa11y options for a run from the request body
+function getRunOptions(body) {
+    const {
+        standard,
+        timeout,
+        wait,
+        actions,
+        username,
+        password,
+        headers,
+        hideElements,
+        ignore
+    } = body;
+    const options = {};
+    if (standard) options.standard = standard;
+    // Runners are an array or a comma-separated string, e.g. `htmlcs,axe`
+    const runners = parseRunners(body.runners);
+    if (runners) options.runners = runners;
+    if (timeout) options.timeout = Number(timeout);
+    if (wait) options.wait = Number(wait);
+    if (Array.isArray(actions)) options.actions = actions;
+    if (username) options.username = username;
+    if (password) options.password = password;
+    if (hideElements) options.hideElements = hideElements;
+    if (headers) options.headers = headers;
+    if (ignore) options.ignore = ignore;
+    // A device preset, with an optional viewport and user agent to
+    // override it, e.g. `{"device": "iphone"}`
+    return Object.assign(options, getEmulation(parseEmulation({
+        device: body.device,
+        viewport: body.viewport,
+        userAgent: body.userAgent
+    })));
+}
@@ -0,0 +1,204 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+// A versioned JSON API for tasks and results, backed by `app.webservice`.
+// Requests and responses have the same shape as the Pa11y Webservice API
+// which `webservice-client.js` consumes, so another dashboard can use
+// this one as its webservice by setting `WEBSERVICE_URL` to the
+// `/api/v1/` URL of this dashboard.
+
+const base = '/api/v1/tasks';
+
+module.exports = function apiV1(app, config) {
+	loadReadRoutes(app);
+	if (!config.readonly) {
+		loadWriteRoutes(app);
+	}
+};
+
+// Requests need a role, and an API token scope if they use a token
+function loadReadRoutes(app) {
+	const canRead = app.auth.require('viewer', 'read');
+
+	// A task's password and headers are only sent to those who could
+	// change them, as they're often credentials for the site
+	const presentTask = (request, task) => {
+		return (app.auth.allows(request, 'editor', 'write') ? task : withoutCredentials(task));
+	};
+
+	app.express.get(base, canRead, (request, response, next) => {
+		app.webservice.tasks.get(getOptions(request), (error, tasks) => {
+			if (error) {
+				return next(error);
+			}
+			response.json(tasks.map(task => presentTask(request, task)));
+		});
+	});
+
+	app.express.get(`${base}/:id`, canRead, (request, response, next) => {
+		app.webservice.task(request.params.id).get(getOptions(request), (error, task) => {
+			if (error) {
+				return sendError(response, next, error);
+			}
+			response.json(presentTask(request, task));
+		});
+	});
+
+	app.express.get(`${base}/:id/results`, canRead, (request, response, next) => {
+		let range;
+		try {
+			range = getDateRange(request);
+		} catch (error) {
+			return sendError(response, next, error, 400);
+		}
+		const options = {
+			...getOptions(request),
+			...range
+		};
+		app.webservice.task(request.params.id).results(options, (error, results) => {
+			if (error) {
+				return sendError(response, next, error);
+			}
+			response.json(results);
+		});
+	});
+
+	app.express.get(`${base}/:id/results/:rid`, canRead, (request, response, next) => {
+		app.webservice
+			.task(request.params.id)
+			.result(request.params.rid)
+			.get(getOptions(request), (error, result) => {
+				if (error) {
+					return sendError(response, next, error);
+				}
+				response.json(result);
+			});
+	});
+
+	app.express.get(`${base}/:id/runs/:jobId`, canRead, (request, response, next) => {
+		app.webservice
+			.task(request.params.id)
+			.job(request.params.jobId)
+			.get({}, (error, job) => {
+				if (error) {
+					return sendError(response, next, error);
+				}
+				response.json(job);
+			});
+	});
+
+}
+
+function loadWriteRoutes(app) {
+	const canWrite = app.auth.require('editor', 'write');
+	const canDelete = app.auth.require('admin', 'write');
+	const canRun = app.auth.require('editor', 'run');
+
+	app.express.post(base, canWrite, (request, response) => {
+		app.webservice.tasks.create(request.body || {}, (error, task) => {
+			if (error) {
+				return response.status(400).json({error: error.message});
+			}
+			response.status(201).json(task);
+		});
+	});
+
+	app.express.patch(`${base}/:id`, canWrite, (request, response, next) => {
+		const task = app.webservice.task(request.params.id);
+		task.edit(request.body || {}, error => {
+			if (error) {
+				return sendError(response, next, error, 400);
+			}
+			task.get({}, (webserviceError, editedTask) => {
+				if (webserviceError) {
+					return sendError(response, next, webserviceError);
+				}
+				response.json(editedTask);
+			});
+		});
+	});
+
+	app.express.delete(`${base}/:id`, canDelete, (request, response, next) => {
+		app.webservice.task(request.params.id).remove(error => {
+			if (error) {
+				return sendError(response, next, error);
+			}
+			app.triage.removeTask(request.params.id);
+			if (app.digests) {
+				app.digests.subscriptions.removeTarget('task', request.params.id);
+			}
+			response.status(204).send();
+		});
+	});
+
+	app.express.post(`${base}/:id/run`, canRun, (request, response, next) => {
+		app.webservice.task(request.params.id).run((error, job) => {
+			if (error) {
+				return sendError(response, next, error);
+			}
+			response.status(202).json(job || null);
+		});
+	});
+}
+
+// Pass the supported query string flags on to the webservice
+function getOptions({query}) {
+	return {
+		lastres: (query.lastres === 'true'),
+		full: (query.full === 'true')
+	};
+}
+
+function withoutCredentials(task) {
+	const copy = {...task};
+	delete copy.password;
+	delete copy.headers;
+	return copy;
+}
+
+// Read the `from` and `to` query string dates for a results list. A `to`
+// date without a time includes the whole of that day.
+function getDateRange({query}) {
+	const range = {};
+	['from', 'to'].forEach(name => {
+		if (!query[name]) {
+			return;
+		}
+		const date = new Date(query[name]);
+		if (isNaN(date)) {
+			throw new Error(`The ${name} date must be a valid date`);
+		}
+		if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[name])) {
+			date.setUTCDate(date.getUTCDate() + 1);
+			date.setTime(date.getTime() - 1);
+		}
+		range[name] = date.toISOString();
+	});
+	return range;
+}
+
+// Webservice errors don't carry a status code, so missing tasks, results
+// and jobs are recognised by their message. Anything else is either a
+// bad request (when `status` is given) or passed on to the error handler.
+function sendError(response, next, error, status) {
+	if (/not found/i.test(error.message)) {
+		return response.status(404).json({error: error.message});
+	}
+	if (status) {
+		return response.status(status).json({error: error.message});
+	}
+	next(error);
+}
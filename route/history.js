@@ -0,0 +1,110 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const moment = require('moment');
+const buildHistory = require('../report/history');
+const {withoutIgnoredIssues} = require('../view/presenter/ignore');
+
+const {parseHistoryOptions, formatHistory, formats} = buildHistory;
+
+// Export the issues found by every run of a task, or of all the tasks in
+// a project, for spreadsheets and BI tools. See `report/history.js` for
+// the filters
+module.exports = function history(app) {
+	function parseOptions(request, response, next) {
+		try {
+			response.locals.historyOptions = parseHistoryOptions(request.query);
+		} catch (error) {
+			return response.status(400).json({error: error.message});
+		}
+		next();
+	}
+
+	// The Pa11y Webservice only sends the last 30 days of results
+	// unless it's asked for a date range
+	function getResults(task, options) {
+		const query = {
+			full: true,
+			from: (options.from || new Date(0)).toISOString(),
+			to: (options.to || new Date()).toISOString()
+		};
+		return new Promise((resolve, reject) => {
+			app.webservice.task(task.id).results(query, (error, results) => {
+				// Ignored issues are left out, in the same way as on the result pages
+				return (error ? reject(error) : resolve({
+					task,
+					results: results.map(result => withoutIgnoredIssues(result))
+				}));
+			});
+		});
+	}
+
+	function sendHistory(response, next, {name, tasks}) {
+		const options = response.locals.historyOptions;
+		Promise.all(tasks.map(task => getResults(task, options)))
+			.then(entries => {
+				const rows = buildHistory(entries, options);
+				response.attachment(getFileName(name, options.format));
+				response.type(formats[options.format]);
+				response.send(formatHistory(rows, options.format));
+			})
+			.catch(next);
+	}
+
+	app.express.get('/:id/history', parseOptions, (request, response, next) => {
+		app.webservice.task(request.params.id).get({}, (error, task) => {
+			if (error) {
+				return next();
+			}
+			sendHistory(response, next, {
+				name: task.url.replace(/^https?:\/\//i, ''),
+				tasks: [task]
+			});
+		});
+	});
+
+	// Projects are only supported by the local webservice
+	if (!app.webservice.projects) {
+		return;
+	}
+
+	app.express.get('/projects/:pid/history', parseOptions, (request, response, next) => {
+		const project = app.webservice.project(request.params.pid);
+		project.get({}, (error, details) => {
+			if (error) {
+				return next();
+			}
+			project.tasks({}, (webserviceError, tasks) => {
+				if (webserviceError) {
+					return next(webserviceError);
+				}
+				sendHistory(response, next, {
+					name: details.name,
+					tasks
+				});
+			});
+		});
+	});
+};
+
+function getFileName(name, extension) {
+	return [
+		'pa11y',
+		name.replace(/\/$/, '').replace(/[^a-z0-9.\-_]+/gi, '-'),
+		'history',
+		`${moment().format('YYYY-MM-DD')}.${extension}`
+	].join('--');
+}
@@ -0,0 +1,218 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const multer = require('multer');
+const getStandards = require('../data/standards');
+const httpHeaders = require('http-headers');
+const crawl = require('../import/crawl');
+const readSitemap = require('../import/sitemap');
+const {getProjectOptions} = require('./project/form');
+
+// The most pages a single import can create
+const maxPages = 500;
+const maxCrawlDepth = 5;
+
+// How long a crawl can take, as it happens while the request waits
+const crawlTimeLimit = 60 * 1000;
+
+const upload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: 10 * 1024 * 1024,
+		files: 1
+	}
+});
+
+module.exports = function route(app) {
+	const canImport = app.auth.require('editor');
+
+	function render(request, response, locals) {
+		getProjectOptions(app, request.body.project || request.query.project, (error, projects) => {
+			response.render('import', {
+				standards: getStandards().map(standard => ({
+					title: standard.title,
+					selected: standard.title === (request.body.standard || 'WCAG2AA')
+				})),
+				projects,
+				form: request.body,
+				isCrawl: (request.body.source === 'crawl'),
+				isImportPage: true,
+				...locals
+			});
+		});
+	}
+
+	app.express.get('/import', canImport, (request, response) => {
+		render(request, response, {});
+	});
+
+	// Find the pages to import and show them for review
+	app.express.post('/import', canImport, upload.single('sitemapFile'), (request, response) => {
+		discoverPages(request.body, request.file)
+			.then(pages => markExistingPages(app, pages))
+			.then(pages => {
+				if (!pages.length) {
+					return render(request, response, {
+						error: 'No pages were found to import'
+					});
+				}
+				render(request, response, {
+					pages,
+					newPageCount: pages.filter(page => !page.exists).length
+				});
+			})
+			.catch(error => render(request, response, {
+				error: error.message
+			}));
+	});
+
+	// Create a task for each of the chosen pages
+	app.express.post('/import/create', canImport, (request, response) => {
+		const pages = parsePages(request.body.pages);
+		if (!pages.length) {
+			return render(request, response, {
+				error: 'Please choose at least one page to import'
+			});
+		}
+		const options = getTaskOptions(request.body);
+		createTasks(app, pages, options).then(failures => {
+			const created = pages.length - failures.length;
+			if (!failures.length) {
+				return response.redirect(`/?imported=${created}`);
+			}
+			render(request, response, {
+				created,
+				failures
+			});
+		});
+	});
+};
+
+function discoverPages(body, file) {
+	const limit = maxPages;
+	if (body.source === 'crawl') {
+		return crawl({
+			url: body.crawlUrl,
+			depth: Math.min(maxCrawlDepth, Math.max(0, parseInt(body.depth, 10) || 0)),
+			include: splitLines(body.include),
+			exclude: splitLines(body.exclude),
+			limit,
+			timeLimit: crawlTimeLimit
+		});
+	}
+	const source = (file ? {content: file.buffer} : {url: body.sitemapUrl});
+	if (!source.content && !source.url) {
+		return Promise.reject(new Error('Please upload a sitemap or enter its URL'));
+	}
+	return readSitemap({
+		...source,
+		limit
+	}).then(urls => urls.map(url => ({url})));
+}
+
+// Pages which already have a task with the same URL aren't imported by default
+function markExistingPages(app, pages) {
+	return new Promise((resolve, reject) => {
+		app.webservice.tasks.get({}, (error, tasks) => {
+			if (error) {
+				return reject(error);
+			}
+			const existing = new Set(tasks.map(task => task.url));
+			resolve(pages.map(page => {
+				const name = page.title || getPageName(page.url);
+				return {
+					url: page.url,
+					name,
+					value: JSON.stringify({
+						url: page.url,
+						name
+					}),
+					exists: existing.has(page.url)
+				};
+			}));
+		});
+	});
+}
+
+// Each chosen page is sent as JSON, so that the form only needs one
+// field for each page however many pages there are
+function parsePages(pages) {
+	return [].concat(pages || []).map(page => {
+		try {
+			return JSON.parse(page);
+		} catch (error) {
+			return null;
+		}
+	}).filter(page => page && /^https?:\/\//i.test(page.url)).slice(0, maxPages);
+}
+
+// The same options as the new URL form, see `route/new.js`
+function getTaskOptions(body) {
+	return {
+		standard: body.standard,
+		timeout: optional(body.timeout),
+		wait: optional(body.wait),
+		headers: (body.headers ? httpHeaders(body.headers, true) : undefined),
+		hideElements: optional(body.hideElements),
+		schedule: optional((body.schedule || '').trim()),
+		project: optional(body.project)
+	};
+}
+
+function optional(value) {
+	return value || undefined;
+}
+
+async function createTasks(app, pages, options) {
+	const failures = [];
+	for (const page of pages) {
+		try {
+			await createTask(app, {
+				...options,
+				name: page.name || getPageName(page.url),
+				url: page.url
+			});
+		} catch (error) {
+			failures.push({
+				url: page.url,
+				error: error.message
+			});
+		}
+	}
+	return failures;
+}
+
+function createTask(app, task) {
+	return new Promise((resolve, reject) => {
+		app.webservice.tasks.create(task, error => (error ? reject(error) : resolve()));
+	});
+}
+
+function getPageName(url) {
+	const {pathname, search} = new URL(url);
+	if (pathname === '/' && !search) {
+		return 'Home';
+	}
+	try {
+		return decodeURI(pathname + search);
+	} catch (error) {
+		return pathname + search;
+	}
+}
+
+function splitLines(value) {
+	return (value || '').split(/[\r\n]+/).map(line => line.trim()).filter(Boolean);
+}
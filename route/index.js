@@ -14,19 +14,90 @@
 // along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
 'use strict';
 
+const presentProject = require('../view/presenter/project');
+const presentScores = require('../view/presenter/score');
+const {updateRegression} = presentScores;
 const presentTask = require('../view/presenter/task');
 
 module.exports = function index(app) {
+	// Projects are only supported by the local webservice
+	function getProjects(callback) {
+		if (!app.webservice.projects) {
+			return callback(null, null);
+		}
+		app.webservice.projects.get({}, callback);
+	}
+
+	// Scoring a task needs its full history, so each task's scores are
+	// kept until it has a new result or its ignored issues change
+	const scoreCache = new Map();
+
+	function getScores(task, now) {
+		const key = getScoreKey(task, now);
+		const cached = scoreCache.get(task.id);
+		if (cached && cached.key === key) {
+			return Promise.resolve(cached.scores);
+		}
+		return new Promise(resolve => {
+			app.webservice.task(task.id).results({full: true}, (error, results) => {
+				// Errors aren't cached, so that the next request tries again
+				if (error) {
+					return resolve(null);
+				}
+				const scores = presentScores(app.scorer, results);
+				scoreCache.set(task.id, {
+					key,
+					scores
+				});
+				resolve(scores);
+			});
+		});
+	}
+
+	// Score each task which has been run, for the task cards
+	function addScores(tasks) {
+		const now = new Date();
+		const ids = new Set(tasks.map(task => task.id));
+		Array.from(scoreCache.keys())
+			.filter(id => !ids.has(id))
+			.forEach(id => scoreCache.delete(id));
+		return Promise.all(tasks.filter(task => task.lastResult).map(task => {
+			return getScores(task, now).then(scores => {
+				task.scores = (scores ? updateRegression(scores, now) : null);
+			});
+		}));
+	}
+
 	app.express.get('/', (request, response, next) => {
 		app.webservice.tasks.get({lastres: true}, (error, tasks) => {
 			if (error) {
 				return next(error);
 			}
-			response.render('index', {
-				tasks: tasks.map(presentTask),
-				deleted: (typeof request.query.deleted !== 'undefined'),
-				isHomePage: true
+			const presentedTasks = tasks.map(presentTask);
+			getProjects((projectsError, projects) => {
+				if (projectsError) {
+					return next(projectsError);
+				}
+				addScores(presentedTasks).then(() => response.render('index', {
+					tasks: presentedTasks,
+					projects: (projects ? projects.map(project => presentProject(project)) : null),
+					deleted: (typeof request.query.deleted !== 'undefined'),
+					imported: request.query.imported,
+					projectDeleted: (typeof request.query['project-deleted'] !== 'undefined'),
+					isHomePage: true
+				})).catch(next);
 			});
 		});
 	});
 };
+
+// Scores change when a task has a new result, or when one of its ignored
+// issues, or its project's, is added, removed or expires
+function getScoreKey(task, now) {
+	const entries = (task.ignoreIssues || []).concat(task.projectIgnoreIssues || []);
+	const ignored = entries.map(entry => ({
+		id: entry.id,
+		active: !entry.expires || new Date(entry.expires) > now
+	}));
+	return JSON.stringify([task.lastResult.id, task.lastResult.date, ignored]);
+}
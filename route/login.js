@@ -0,0 +1,60 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+module.exports = function login(app) {
+	app.express.get('/login', (request, response) => {
+		response.render('login', {
+			next: getNextUrl(request.query.next),
+			isLoginPage: true
+		});
+	});
+
+	app.express.post('/login', (request, response) => {
+		const next = getNextUrl(request.body.next);
+		const user = app.auth.users.authenticate(request.body.username, request.body.password);
+		if (!user) {
+			response.status(401);
+			return response.render('login', {
+				error: 'The username or password is incorrect',
+				username: request.body.username,
+				next,
+				isLoginPage: true
+			});
+		}
+		request.session.user = user;
+		request.session.signedInAt = Date.now();
+		response.redirect(next);
+	});
+
+	app.express.post('/logout', (request, response) => {
+		request.session = null;
+		response.redirect('/');
+	});
+};
+
+// Only redirect to paths on this dashboard after signing in. Browsers
+// treat backslashes like slashes, so `/\example.com` is another site
+function getNextUrl(next) {
+	if (typeof next !== 'string' || !/^\/(?![/\\])/.test(next)) {
+		return '/';
+	}
+	const base = 'http://dashboard.invalid';
+	const url = new URL(next, base);
+	if (url.origin !== base) {
+		return '/';
+	}
+	return `${url.pathname}${url.search}${url.hash}`;
+}
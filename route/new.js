@@ -16,24 +16,41 @@
 'use strict';
 
 const getStandards = require('../data/standards');
+const getRunners = require('../data/runners');
+const getDevices = require('../data/devices');
+const {getFlagChoices, readEmulationForm} = require('../data/devices');
 const httpHeaders = require('http-headers');
+const {getProjectOptions} = require('./project/form');
 
 module.exports = function route(app) {
-	app.express.get('/new', (request, response) => {
-		const standards = getStandards().map(
-			standard => {
-				if (standard.title === 'WCAG2AA') {
-					standard.selected = true;
-				}
-				return standard;
+	app.express.get('/new', app.auth.require('editor'), (request, response, next) => {
+		getProjectOptions(app, request.query.project, (error, projects) => {
+			if (error) {
+				return next(error);
+			}
+			// New URLs in a project default to the project's standard
+			const project = (projects || []).find(option => option.selected);
+			const defaultStandard = (project ? project.standard : 'WCAG2AA');
+			const standards = getStandards().map(
+				standard => {
+					if (standard.title === defaultStandard) {
+						standard.selected = true;
+					}
+					return standard;
+				});
+			response.render('new', {
+				standards,
+				runners: getRunners(),
+				devices: getDevices(),
+				mobileChoices: getFlagChoices(),
+				touchChoices: getFlagChoices(),
+				projects,
+				isNewTaskPage: true
 			});
-		response.render('new', {
-			standards,
-			isNewTaskPage: true
 		});
 	});
 
-	app.express.post('/new', (request, response) => {
+	app.express.post('/new', app.auth.require('editor'), (request, response) => {
 		const parsedActions = parseActions(request.body.actions);
 		const parsedHeaders = request.body.headers && httpHeaders(request.body.headers, true);
 
@@ -56,12 +73,20 @@ module.exports = function route(app) {
 				});
 				return standard;
 			});
+			const viewport = newTask.viewport || {};
 			newTask.actions = request.body.actions;
 			newTask.headers = request.body.headers;
-			response.render('new', {
-				error,
-				standards,
-				task: newTask
+			getProjectOptions(app, newTask.project, (projectsError, projects) => {
+				response.render('new', {
+					error,
+					standards,
+					runners: getRunners(newTask.runners),
+					devices: getDevices(newTask.device),
+					mobileChoices: getFlagChoices(viewport.isMobile),
+					touchChoices: getFlagChoices(viewport.hasTouch),
+					projects,
+					task: newTask
+				});
 			});
 		});
 	});
@@ -85,6 +110,9 @@ function createNewTask({body}, actions, headers) {
 		name: body.name,
 		url: body.url,
 		standard: body.standard,
+		runners: body.runners || undefined,
+		...readEmulationForm(body),
+		viewports: body.viewports || undefined,
 		ignore: body.ignore || [],
 		timeout: body.timeout || undefined,
 		wait: body.wait || undefined,
@@ -92,6 +120,15 @@ function createNewTask({body}, actions, headers) {
 		username: body.username || undefined,
 		password: body.password || undefined,
 		headers,
-		hideElements: body.hideElements || undefined
+		hideElements: body.hideElements || undefined,
+		schedule: (body.schedule || '').trim() || undefined,
+		project: body.project || undefined,
+		screenshot: isChecked(body.screenshot) || undefined
 	};
 }
+
+// Checkboxes come with a hidden "false" field so that unchecking them is
+// submitted too, which means the value can be an array
+function isChecked(value) {
+	return [].concat(value).includes('true');
+}
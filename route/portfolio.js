@@ -0,0 +1,67 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const presentPortfolio = require('../view/presenter/portfolio');
+const presentResult = require('../view/presenter/result');
+const presentTask = require('../view/presenter/task');
+
+// An overview of every task, see `view/presenter/portfolio.js`
+module.exports = function portfolio(app, config) {
+	const defaultStaleDays = (config.portfolio && config.portfolio.staleDays) || 7;
+
+	// The Pa11y Webservice only sends the last 30 days of results
+	// unless it's asked for a date range
+	function getResults(task) {
+		const query = {
+			full: true,
+			from: new Date(0).toISOString(),
+			to: new Date().toISOString()
+		};
+		return new Promise((resolve, reject) => {
+			app.webservice.task(task.id).results(query, (error, results) => {
+				return (error ? reject(error) : resolve({
+					task: presentTask(task),
+					results: results.map(presentResult)
+				}));
+			});
+		});
+	}
+
+	app.express.get('/portfolio', (request, response, next) => {
+		const staleDays = readStaleDays(request.query.stale, defaultStaleDays);
+		app.webservice.tasks.get({lastres: true}, (error, tasks) => {
+			if (error) {
+				return next(error);
+			}
+			Promise.all(tasks.map(getResults))
+				.then(entries => response.render('portfolio', {
+					portfolio: presentPortfolio(entries, {
+						scorer: app.scorer,
+						staleDays
+					}),
+					isPortfolioPage: true
+				}))
+				.catch(next);
+		});
+	});
+};
+
+// The number of days without a run which makes a task stale can be
+// changed with the `stale` query parameter
+function readStaleDays(value, defaultValue) {
+	const days = Number(value);
+	return (Number.isInteger(days) && days > 0 ? days : defaultValue);
+}
@@ -0,0 +1,61 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const presentProject = require('../../view/presenter/project');
+const {parseProjectForm, getFormStandards} = require('./form');
+
+module.exports = function edit(app) {
+	const canEdit = app.auth.require('editor');
+
+	app.express.get('/projects/:pid/edit', canEdit, (request, response, next) => {
+		app.webservice.project(request.params.pid).get({}, (error, project) => {
+			if (error) {
+				return next();
+			}
+			response.render('project/edit', {
+				edited: (typeof request.query.edited !== 'undefined'),
+				standards: getFormStandards(project),
+				project: presentProject(project),
+				isProjectSubPage: true
+			});
+		});
+	});
+
+	app.express.post('/projects/:pid/edit', canEdit, (request, response, next) => {
+		const id = request.params.pid;
+		app.webservice.project(id).get({}, (error, project) => {
+			if (error) {
+				return next();
+			}
+			const edits = parseProjectForm(request.body);
+			if (!edits.name) {
+				Object.assign(project, edits, {headers: request.body.headers});
+				return response.render('project/edit', {
+					error: 'Please enter a project name',
+					standards: getFormStandards(project),
+					project: presentProject(project),
+					isProjectSubPage: true
+				});
+			}
+			app.webservice.project(id).edit(edits, webserviceError => {
+				if (webserviceError) {
+					return next(webserviceError);
+				}
+				response.redirect(`/projects/${id}/edit?edited`);
+			});
+		});
+	});
+};
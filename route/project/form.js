@@ -0,0 +1,79 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const getStandards = require('../../data/standards');
+const httpHeaders = require('http-headers');
+
+// Helpers for the new and edit project forms, which share a view
+
+/**
+ * Read a project from a submitted form.
+ * @param {object} body The request body
+ * @returns {object} The project properties
+ */
+exports.parseProjectForm = function parseProjectForm(body) {
+	return {
+		name: (body.name || '').trim(),
+		standard: body.standard,
+		ignore: body.ignore || [],
+		headers: httpHeaders(body.headers || '', true),
+		hideElements: body.hideElements || ''
+	};
+};
+
+/**
+ * Get the standards for the form, with the project's standard
+ * selected and its ignored rules checked.
+ * @param {object} project The project, or form values
+ * @returns {Array} The standards
+ */
+exports.getFormStandards = function getFormStandards(project) {
+	const ignore = (project.ignore || []).map(rule => rule.name || rule);
+	return getStandards().map(standard => {
+		standard.selected = (standard.title === (project.standard || 'WCAG2AA'));
+		standard.rules = standard.rules.map(rule => {
+			rule.ignored = ignore.includes(rule.name);
+			return rule;
+		});
+		return standard;
+	});
+};
+
+/**
+ * Get the projects which a task can be added to, for the project field of
+ * the new and edit URL forms. Calls back with `null` if the webservice
+ * doesn't support projects.
+ * @param {object} app The dashboard app
+ * @param {string} [selected] The ID of the task's project
+ * @param {function} callback Called with `(error, projects)`
+ * @returns {undefined} Nothing
+ */
+exports.getProjectOptions = function getProjectOptions(app, selected, callback) {
+	if (!app.webservice.projects) {
+		return callback(null, null);
+	}
+	app.webservice.projects.get({}, (error, projects) => {
+		if (error) {
+			return callback(error);
+		}
+		callback(null, projects.map(project => ({
+			id: project.id,
+			name: project.name,
+			standard: project.standard,
+			selected: (project.id === selected)
+		})));
+	});
+};
@@ -0,0 +1,39 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const presentProject = require('../../view/presenter/project');
+
+module.exports = function projectIndex(app) {
+	app.express.get('/projects/:pid', (request, response, next) => {
+		const project = app.webservice.project(request.params.pid);
+		project.get({}, (error, details) => {
+			if (error) {
+				return next();
+			}
+			project.tasks({lastres: true}, (webserviceError, tasks) => {
+				if (webserviceError) {
+					return next(webserviceError);
+				}
+				response.render('project/index', {
+					project: presentProject(details, tasks),
+					added: (typeof request.query.added !== 'undefined'),
+					running: request.query.running,
+					isProjectPage: true
+				});
+			});
+		});
+	});
+};
@@ -0,0 +1,43 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {parseProjectForm, getFormStandards} = require('./form');
+
+module.exports = function route(app) {
+	app.express.get('/projects/new', app.auth.require('editor'), (request, response) => {
+		response.render('project/edit', {
+			standards: getFormStandards({}),
+			project: {},
+			isNewProjectPage: true
+		});
+	});
+
+	app.express.post('/projects/new', app.auth.require('editor'), (request, response) => {
+		const newProject = parseProjectForm(request.body);
+		app.webservice.projects.create(newProject, (error, project) => {
+			if (!error) {
+				return response.redirect(`/projects/${project.id}?added`);
+			}
+			newProject.headers = request.body.headers;
+			response.render('project/edit', {
+				error,
+				standards: getFormStandards(newProject),
+				project: newProject,
+				isNewProjectPage: true
+			});
+		});
+	});
+};
@@ -0,0 +1,27 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+module.exports = function run(app) {
+	app.express.get('/projects/:pid/run', app.auth.require('editor'), (request, response, next) => {
+		app.webservice.project(request.params.pid).run((error, jobs) => {
+			// Only a missing project is a 404, other errors are passed on
+			if (error) {
+				return (/not found/i.test(error.message) ? next() : next(error));
+			}
+			response.redirect(`/projects/${request.params.pid}?running=${jobs.length}`);
+		});
+	});
+};
@@ -0,0 +1,99 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const diffResults = require('../../result-diff');
+const presentTask = require('../../view/presenter/task');
+const presentResult = require('../../view/presenter/result');
+const presentResultDiff = require('../../view/presenter/result-diff');
+const {withoutIgnoredIssues} = require('../../view/presenter/ignore');
+
+module.exports = function compare(app) {
+	function getResult(taskId, resultId) {
+		return new Promise((resolve, reject) => {
+			app.webservice
+				.task(taskId)
+				.result(resultId)
+				.get({full: true}, (error, result) => {
+					return (error ? reject(error) : resolve(result));
+				});
+		});
+	}
+
+	function getTaskAndResults(request, response, next) {
+		const {id, ridA, ridB} = request.params;
+		app.webservice.task(id).get({}, (error, task) => {
+			if (error) {
+				return next('route');
+			}
+			Promise.all([getResult(id, ridA), getResult(id, ridB)])
+				.then(([base, head]) => {
+					response.locals.task = task;
+					response.locals.base = base;
+					response.locals.head = head;
+					next();
+				})
+				.catch(() => next('route'));
+		});
+	}
+
+	function summariseResult(result) {
+		return {
+			id: result.id,
+			date: new Date(result.date).toISOString(),
+			count: withoutIgnoredIssues(result).count
+		};
+	}
+
+	// Ignored issues are left out, in the same way as on the result pages
+	function compareResults(base, head) {
+		return diffResults(withoutIgnoredIssues(base), withoutIgnoredIssues(head));
+	}
+
+	// The JSON variant has to be registered first so that
+	// `.json` isn't treated as part of the second result ID
+	app.express.get('/:id/compare/:ridA/:ridB.json', getTaskAndResults, (request, response) => {
+		const {task, base, head} = response.locals;
+		const diff = compareResults(base, head);
+		response.send({
+			task: {
+				id: task.id,
+				name: task.name,
+				url: task.url,
+				standard: task.standard
+			},
+			base: summariseResult(base),
+			head: summariseResult(head),
+			...diff
+		});
+	});
+
+	app.express.get('/:id/compare/:ridA/:ridB', getTaskAndResults, (request, response) => {
+		const {task, base, head} = response.locals;
+		const diff = compareResults(base, head);
+		const presentedTask = presentTask(task);
+		const baseResult = presentResult(base);
+		const headResult = presentResult(head);
+		response.render('result/compare', {
+			task: presentedTask,
+			base: baseResult,
+			head: headResult,
+			diff: presentResultDiff(diff),
+			hrefJson: `${presentedTask.href}/compare/${base.id}/${head.id}.json`,
+			hrefSwap: `${presentedTask.href}/compare/${head.id}/${base.id}`,
+			isComparePage: true
+		});
+	});
+};
@@ -15,6 +15,15 @@
 'use strict';
 
 const moment = require('moment');
+const pkg = require('../../package.json');
+const presentResult = require('../../view/presenter/result');
+const presentTask = require('../../view/presenter/task');
+const renderPdf = require('../../report/pdf');
+const buildSarifLog = require('../../report/sarif');
+const buildJUnitReport = require('../../report/junit');
+const {withoutIgnoredIssues} = require('../../view/presenter/ignore');
+
+const {getSolutions} = presentResult;
 
 module.exports = function download(app) {
 	function getTaskAndResult(request, response, next) {
@@ -53,9 +62,22 @@ module.exports = function download(app) {
 		].join('');
 	}
 
+	// The printable report is a standalone page, which is also what the
+	// PDF is printed from
+	function renderReport(response, callback) {
+		response.render('result/report', {
+			layout: 'report',
+			task: presentTask({...response.locals.task}),
+			mainResult: presentResult({...response.locals.result}),
+			generated: new Date()
+		}, callback);
+	}
+
+	// Downloads leave out ignored issues, in the same way as the result
+	// pages. The printable report is presented like a result page anyway
 	app.express.get('/:id/:rid.csv', getTaskAndResult, (request, response) => {
 		const task = response.locals.task;
-		const result = response.locals.result;
+		const result = withoutIgnoredIssues(response.locals.result);
 		const rows = ['"code","message","type","context","selector"'];
 		result.results.forEach(msg => {
 			rows.push([
@@ -72,11 +94,102 @@ module.exports = function download(app) {
 
 	app.express.get('/:id/:rid.json', getTaskAndResult, (request, response) => {
 		const task = response.locals.task;
-		const result = response.locals.result;
+		const result = withoutIgnoredIssues(response.locals.result);
 		response.attachment(getDownloadFileName(task, result, 'json'));
 		delete task.id;
 		delete result.id;
 		result.task = task;
 		response.send(result);
 	});
+
+	// Issues with the links which explain how to fix them, for the
+	// formats which code scanning and CI tools read
+	function getIssues(result) {
+		return withoutIgnoredIssues(result).results.map(issue => ({
+			...issue,
+			solutions: getSolutions(issue)
+		}));
+	}
+
+	app.express.get('/:id/:rid.sarif', getTaskAndResult, (request, response) => {
+		const {task, result} = response.locals;
+		const sarif = buildSarifLog({
+			tool: {
+				name: 'Pa11y Dashboard',
+				version: pkg.version,
+				informationUri: pkg.homepage
+			},
+			url: task.url,
+			date: new Date(result.date).toISOString(),
+			issues: getIssues(result)
+		});
+		response.attachment(getDownloadFileName(task, result, 'sarif'));
+		response.type('application/sarif+json');
+		response.send(JSON.stringify(sarif, null, '\t'));
+	});
+
+	// Each issue is a failed test case, named after its selector and
+	// grouped by its code, with the issue type as the failure type
+	app.express.get('/:id/:rid.junit.xml', getTaskAndResult, (request, response) => {
+		const {task, result} = response.locals;
+		const xml = buildJUnitReport({
+			name: `Pa11y ${task.name} (${task.url})`,
+			timestamp: new Date(result.date).toISOString(),
+			testCases: getIssues(result).map(issue => ({
+				name: issue.selector || issue.code,
+				classname: issue.code,
+				failure: {
+					message: issue.message,
+					type: issue.type,
+					details: describeIssue(issue)
+				}
+			}))
+		});
+		response.attachment(getDownloadFileName(task, result, 'junit.xml'));
+		response.type('application/xml');
+		response.send(xml);
+	});
+
+	app.express.get('/:id/:rid.html', getTaskAndResult, (request, response, next) => {
+		renderReport(response, (error, html) => {
+			if (error) {
+				return next(error);
+			}
+			const {task, result} = response.locals;
+			response.attachment(getDownloadFileName(task, result, 'html'));
+			response.send(html);
+		});
+	});
+
+	app.express.get('/:id/:rid.pdf', getTaskAndResult, (request, response, next) => {
+		renderReport(response, (error, html) => {
+			if (error) {
+				return next(error);
+			}
+			const {task, result} = response.locals;
+			// Printing opens a headless browser, so it's queued with the
+			// pa11y runs to share their limit on how many are open at once.
+			// The PDF is kept out of the job so the queue's history doesn't
+			// hold on to it
+			let pdf;
+			const job = app.runQueue.push({report: `${task.id}/${result.id}.pdf`}, async () => {
+				pdf = await renderPdf(html);
+			});
+			app.runQueue.settled(job.id)
+				.then(() => {
+					response.attachment(getDownloadFileName(task, result, 'pdf'));
+					response.send(pdf);
+				})
+				.catch(next);
+		});
+	});
 };
+
+function describeIssue(issue) {
+	return [
+		issue.message,
+		`Selector: ${issue.selector}`,
+		`Context: ${issue.context}`,
+		...issue.solutions.map(solution => `Help: ${solution.title} ${solution.url}`)
+	].join('\n');
+}
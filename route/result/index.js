@@ -16,8 +16,20 @@
 
 const presentTask = require('../../view/presenter/task');
 const presentResult = require('../../view/presenter/result');
+const presentTriage = require('../../view/presenter/triage');
+const {findPreviousResult} = require('../../result-diff');
 
 module.exports = function resultIndex(app) {
+	// Find the result which was run before the given one, if any
+	function getPreviousResult(taskId, resultId, done) {
+		app.webservice.task(taskId).results({}, (error, results) => {
+			if (error) {
+				return done(null);
+			}
+			done(findPreviousResult(results, resultId));
+		});
+	}
+
 	app.express.get('/:id/:rid', ({params}, response, next) => {
 		app.webservice.task(params.id).get({}, (error, task) => {
 			if (error) {
@@ -30,10 +42,16 @@ module.exports = function resultIndex(app) {
 					if (webserviceError) {
 						return next();
 					}
-					response.render('result', {
-						task: presentTask(task),
-						mainResult: presentResult(result),
-						isResultPage: true
+					const triage = app.triage.list(params.id);
+					getPreviousResult(params.id, params.rid, previous => {
+						response.render('result', {
+							task: presentTask(task),
+							mainResult: presentTriage(presentResult(result), triage),
+							compareHref: (previous ?
+								`/${params.id}/compare/${previous.id}/${params.rid}` :
+								null),
+							isResultPage: true
+						});
 					});
 				});
 		});
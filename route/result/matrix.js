@@ -0,0 +1,90 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const compareViewports = require('../../viewport-matrix');
+const presentTask = require('../../view/presenter/task');
+const presentResult = require('../../view/presenter/result');
+const presentViewportMatrix = require('../../view/presenter/viewport-matrix');
+const {withoutIgnoredIssues} = require('../../view/presenter/ignore');
+
+module.exports = function matrix(app) {
+	// Get the results of a run of a task at several viewport widths
+	function getTaskAndMatrix(request, response, next) {
+		const {id, matrixId} = request.params;
+		app.webservice.task(id).get({}, (error, task) => {
+			if (error) {
+				return next('route');
+			}
+			app.webservice.task(id).results({full: true}, (webserviceError, results) => {
+				const matrixResults = (results || []).filter(result => result.matrix === matrixId);
+				if (webserviceError || !matrixResults.length) {
+					return next('route');
+				}
+				response.locals.task = task;
+				response.locals.results = matrixResults;
+				next();
+			});
+		});
+	}
+
+	function summariseResult(result) {
+		return {
+			id: result.id,
+			date: new Date(result.date).toISOString(),
+			viewport: result.viewport,
+			count: result.count
+		};
+	}
+
+	// The JSON variant has to be registered first so that
+	// `.json` isn't treated as part of the matrix ID
+	app.express.get('/:id/matrix/:matrixId.json', getTaskAndMatrix, (request, response) => {
+		const {task} = response.locals;
+		// Ignored issues are left out, in the same way as on the result pages
+		const results = response.locals.results.map(result => withoutIgnoredIssues(result));
+		const comparison = compareViewports(results);
+		response.send({
+			task: {
+				id: task.id,
+				name: task.name,
+				url: task.url,
+				standard: task.standard
+			},
+			results: results.map(summariseResult).sort(byWidth),
+			...comparison
+		});
+	});
+
+	app.express.get('/:id/matrix/:matrixId', getTaskAndMatrix, (request, response) => {
+		const {task, results} = response.locals;
+		const presentedTask = presentTask(task);
+		// Ignored issues are left out, in the same way as on the result pages
+		const visibleResults = results.map(result => withoutIgnoredIssues(result));
+		const presentedResults = results.map(presentResult).sort(byWidth);
+		response.render('result/matrix', {
+			task: presentedTask,
+			results: presentedResults,
+			date: presentedResults[0].date,
+			matrix: presentViewportMatrix(compareViewports(visibleResults)),
+			hrefJson: `${presentedTask.href}/matrix/${request.params.matrixId}.json`,
+			isMatrixPage: true
+		});
+	});
+};
+
+function byWidth(first, second) {
+	return first.viewport.width - second.viewport.width;
+}
@@ -0,0 +1,49 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const presentResult = require('../view/presenter/result');
+const presentRuleOccurrences = require('../view/presenter/rule');
+const presentTask = require('../view/presenter/task');
+
+// Every task whose last result breaks a rule, to help find issues in
+// components which are shared across pages
+module.exports = function rule(app) {
+	function getLastResult(task) {
+		const lastResult = app.webservice.task(task.id).result(task.last_result.id);
+		return new Promise((resolve, reject) => {
+			lastResult.get({full: true}, (error, result) => {
+				return (error ? reject(error) : resolve({
+					task: presentTask(task),
+					result: presentResult(result)
+				}));
+			});
+		});
+	}
+
+	app.express.get('/rules/:code', (request, response, next) => {
+		app.webservice.tasks.get({lastres: true}, (error, tasks) => {
+			if (error) {
+				return next(error);
+			}
+			Promise.all(tasks.filter(task => task.last_result).map(getLastResult))
+				.then(entries => response.render('rule', {
+					rule: presentRuleOccurrences(request.params.code, entries),
+					isRulePage: true
+				}))
+				.catch(next);
+		});
+	});
+};
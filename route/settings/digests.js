@@ -0,0 +1,132 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {frequencies, scopes} = require('../../notify/subscriptions');
+const {getProjectOptions} = require('../project/form');
+
+module.exports = function digests(app) {
+	const requireSignIn = app.auth.requireSignIn;
+	const subscriptions = app.digests.subscriptions;
+
+	// Admins can see and remove anyone's subscriptions, everyone else
+	// only their own
+	function getOwner(request) {
+		return (request.role === 'admin' ? undefined : request.user.username);
+	}
+
+	function findSubscription(request, response, next) {
+		request.subscription = subscriptions.get(request.params.subscriptionId, getOwner(request));
+		if (!request.subscription) {
+			response.status(404);
+			return response.render('404');
+		}
+		next();
+	}
+
+	app.express.get('/settings/digests', requireSignIn, (request, response, next) => {
+		renderDigests(request, response, next, {
+			sent: (typeof request.query.sent !== 'undefined'),
+			removed: (typeof request.query.removed !== 'undefined')
+		});
+	});
+
+	// Check that a task or project exists before subscribing to it
+	function findTarget(scope, id, done) {
+		if (!scopes.includes(scope) || !id) {
+			return done(null);
+		}
+		app.webservice[scope](id).get({}, (error, target) => done(error ? null : target));
+	}
+
+	app.express.post('/settings/digests', requireSignIn, (request, response, next) => {
+		// Targets are sent as `task:<id>` or `project:<id>`
+		const [scope, target] = String(request.body.target || '').split(':');
+		findTarget(scope, target, found => {
+			try {
+				subscriptions.create({
+					owner: request.user.username,
+					email: (request.body.email || '').trim(),
+					frequency: request.body.frequency,
+					scope,
+					target: (found ? target : null)
+				});
+			} catch (error) {
+				response.status(400);
+				return renderDigests(request, response, next, {
+					error: error.message
+				});
+			}
+			response.redirect('/settings/digests');
+		});
+	});
+
+	const subscriptionPath = '/settings/digests/:subscriptionId';
+	const forSubscription = [requireSignIn, findSubscription];
+
+	app.express.get(`${subscriptionPath}/preview`, forSubscription, (request, response, next) => {
+		app.digests.build(request.subscription)
+			.then(email => response.send(email.html))
+			.catch(next);
+	});
+
+	app.express.post(`${subscriptionPath}/send`, forSubscription, (request, response, next) => {
+		app.digests.send(request.subscription)
+			.then(() => response.redirect('/settings/digests?sent'))
+			.catch(error => {
+				response.status(502);
+				renderDigests(request, response, next, {
+					error: `The digest couldn't be sent: ${error.message}`
+				});
+			});
+	});
+
+	app.express.post(`${subscriptionPath}/remove`, forSubscription, (request, response) => {
+		subscriptions.remove(request.subscription.id);
+		response.redirect('/settings/digests?removed');
+	});
+
+	function renderDigests(request, response, next, locals) {
+		app.webservice.tasks.get({}, (error, tasks) => {
+			if (error) {
+				return next(error);
+			}
+			getProjectOptions(app, null, (projectsError, projects) => {
+				if (projectsError) {
+					return next(projectsError);
+				}
+				const names = getTargetNames(tasks, projects || []);
+				response.render('settings/digests', {
+					...locals,
+					subscriptions: subscriptions.list(getOwner(request)).map(subscription => ({
+						...subscription,
+						targetName: names.get(`${subscription.scope}:${subscription.target}`)
+					})),
+					tasks,
+					projects,
+					frequencies,
+					isAdmin: (request.role === 'admin'),
+					isSettingsPage: true
+				});
+			});
+		});
+	}
+};
+
+function getTargetNames(tasks, projects) {
+	return new Map([]
+		.concat(tasks.map(task => [`task:${task.id}`, task.name]))
+		.concat(projects.map(project => [`project:${project.id}`, `${project.name} (project)`])));
+}
@@ -0,0 +1,77 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {scopes} = require('../../auth/tokens');
+
+module.exports = function tokens(app) {
+	const requireSignIn = app.auth.requireSignIn;
+
+	app.express.get('/settings/tokens', requireSignIn, (request, response) => {
+		renderTokens(request, response, {
+			revoked: (typeof request.query.revoked !== 'undefined')
+		});
+	});
+
+	app.express.post('/settings/tokens', requireSignIn, (request, response) => {
+		let token;
+		try {
+			token = app.auth.tokens.create({
+				name: (request.body.name || '').trim(),
+				owner: request.user.username,
+				scopes: request.body.scopes,
+				expires: parseExpiry(request.body.expires)
+			});
+		} catch (error) {
+			response.status(400);
+			return renderTokens(request, response, {
+				error: error.message
+			});
+		}
+		renderTokens(request, response, {
+			newToken: token
+		});
+	});
+
+	app.express.post('/settings/tokens/:tokenId/revoke', requireSignIn, (request, response) => {
+		// Admins can revoke anyone's token, everyone else only their own
+		const owner = (request.role === 'admin' ? undefined : request.user.username);
+		app.auth.tokens.revoke(request.params.tokenId, owner);
+		response.redirect('/settings/tokens?revoked');
+	});
+
+	function renderTokens(request, response, locals) {
+		const isAdmin = (request.role === 'admin');
+		response.render('settings/tokens', {
+			...locals,
+			tokens: app.auth.tokens.list(isAdmin ? undefined : request.user.username),
+			scopes,
+			isAdmin,
+			isSettingsPage: true
+		});
+	}
+};
+
+// Tokens expire at the end of the chosen day, or never if no day is chosen
+function parseExpiry(expires) {
+	if (!expires) {
+		return null;
+	}
+	const date = new Date(`${expires}T23:59:59.999Z`);
+	if (isNaN(date.getTime()) || date < new Date()) {
+		throw new Error('The expiry date must be a valid date in the future');
+	}
+	return date.toISOString();
+}
@@ -0,0 +1,134 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {formats} = require('../../notify/webhooks');
+
+const eventChoices = [
+	{
+		value: 'finished',
+		label: 'Every finished run'
+	},
+	{
+		value: 'regressed',
+		label: 'Runs with more issues than the previous run'
+	},
+	{
+		value: 'failed',
+		label: 'Runs which fail'
+	}
+];
+
+// Bootstrap label classes for each delivery status
+const statusClasses = {
+	delivered: 'success',
+	pending: 'default',
+	retrying: 'warning',
+	failed: 'danger'
+};
+
+const formatChoices = {
+	json: 'JSON (signed)',
+	slack: 'Slack',
+	teams: 'Microsoft Teams'
+};
+
+module.exports = function webhooks(app) {
+	const requireAdmin = app.auth.require('admin');
+
+	app.express.get('/settings/webhooks', requireAdmin, (request, response) => {
+		renderWebhooks(response, {
+			removed: (typeof request.query.removed !== 'undefined')
+		});
+	});
+
+	app.express.post('/settings/webhooks', requireAdmin, (request, response) => {
+		let hook;
+		try {
+			hook = app.webhooks.create({
+				name: (request.body.name || '').trim(),
+				url: (request.body.url || '').trim(),
+				format: request.body.format,
+				events: request.body.events,
+				secret: (request.body.secret || '').trim()
+			});
+		} catch (error) {
+			response.status(400);
+			return renderWebhooks(response, {
+				error: error.message
+			});
+		}
+		response.redirect(`/settings/webhooks/${hook.id}?created`);
+	});
+
+	app.express.get('/settings/webhooks/:hookId', requireAdmin, (request, response) => {
+		const hook = app.webhooks.get(request.params.hookId);
+		if (!hook) {
+			response.status(404);
+			return response.render('404');
+		}
+		response.render('settings/webhook', {
+			hook: presentHook(hook),
+			created: (typeof request.query.created !== 'undefined'),
+			tested: (typeof request.query.tested !== 'undefined'),
+			isSettingsPage: true
+		});
+	});
+
+	app.express.post('/settings/webhooks/:hookId/test', requireAdmin, async (request, response) => {
+		const delivery = await app.webhooks.test(request.params.hookId);
+		if (!delivery) {
+			return response.redirect('/settings/webhooks');
+		}
+		response.redirect(`/settings/webhooks/${request.params.hookId}?tested`);
+	});
+
+	app.express.post('/settings/webhooks/:hookId/delete', requireAdmin, (request, response) => {
+		app.webhooks.remove(request.params.hookId);
+		response.redirect('/settings/webhooks?removed');
+	});
+
+	function renderWebhooks(response, locals) {
+		response.render('settings/webhooks', {
+			...locals,
+			hooks: app.webhooks.list().map(presentHook),
+			formats: formats.map(value => ({
+				value,
+				label: formatChoices[value]
+			})),
+			events: eventChoices,
+			isSettingsPage: true
+		});
+	}
+};
+
+function presentHook(hook) {
+	return {
+		...hook,
+		formatLabel: formatChoices[hook.format],
+		eventLabels: eventChoices
+			.filter(choice => hook.events.includes(choice.value))
+			.map(choice => choice.label),
+		lastDelivery: (hook.lastDelivery ? presentDelivery(hook.lastDelivery) : null),
+		deliveries: (hook.deliveries ? hook.deliveries.map(presentDelivery) : undefined)
+	};
+}
+
+function presentDelivery(delivery) {
+	return {
+		...delivery,
+		statusClass: statusClasses[delivery.status]
+	};
+}
@@ -17,7 +17,7 @@
 const presentTask = require('../../view/presenter/task');
 
 module.exports = function del(app) {
-	app.express.get('/:id/delete', ({params}, response, next) => {
+	app.express.get('/:id/delete', app.auth.require('admin'), ({params}, response, next) => {
 		const id = params.id;
 		app.webservice.task(id).get({}, (error, task) => {
 			// If the task is not found in memory (e.g. after a restart), render
@@ -37,12 +37,18 @@ module.exports = function del(app) {
 		});
 	});
 
-	app.express.post('/:id/delete', ({params}, response, next) => {
+	app.express.post('/:id/delete', app.auth.require('admin'), ({params}, response, next) => {
 		const id = params.id;
 		app.webservice.task(id).remove(error => {
 			// If the task is not found, ignore the error and still
 			// redirect. Client-side IndexedDB will remove the task when
 			// seeing the `deleted` query parameter.
+			if (!error) {
+				app.triage.removeTask(id);
+				if (app.digests) {
+					app.digests.subscriptions.removeTarget('task', id);
+				}
+			}
 			response.redirect('/?deleted');
 		});
 	});
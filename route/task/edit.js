@@ -16,10 +16,17 @@
 
 const presentTask = require('../../view/presenter/task');
 const getStandards = require('../../data/standards');
+const getRunners = require('../../data/runners');
+const getDevices = require('../../data/devices');
+const {getFlagChoices, readEmulationForm} = require('../../data/devices');
 const httpHeaders = require('http-headers');
+const {getProjectOptions} = require('../project/form');
 
 module.exports = function edit(app) {
-    app.express.get('/:id/edit', (request, response, next) => {
+    // Only the local webservice supports projects
+    const isLocal = Boolean(app.webservice.projects);
+
+    app.express.get('/:id/edit', app.auth.require('editor'), (request, response, next) => {
         const id = request.params.id;
         app.webservice.task(id).get({}, (error, task) => {
             // If the task is not found (e.g. after a restart), render a
@@ -49,11 +56,16 @@ module.exports = function edit(app) {
                     username: '',
                     password: '',
                     headers: '',
-                    hideElements: ''
+                    hideElements: '',
+                    schedule: ''
                 };
                 return response.render('task/edit', {
                     edited: (typeof request.query.edited !== 'undefined'),
                     standards,
+                    runners: getRunners(),
+                    devices: getDevices(),
+                    mobileChoices: getFlagChoices(),
+                    touchChoices: getFlagChoices(),
                     task: presentTask(placeholder),
                     isTaskSubPage: true
                 });
@@ -71,18 +83,26 @@ module.exports = function edit(app) {
                 return standard;
             });
             task.actions = (task.actions ? task.actions.join('\n') : '');
-            response.render('task/edit', {
-                edited: (typeof request.query.edited !== 'undefined'),
-                standards,
-                task: presentTask(task),
-                isTaskSubPage: true
+            getProjectOptions(app, task.project, (projectsError, projects) => {
+                if (projectsError) {
+                    return next(projectsError);
+                }
+                response.render('task/edit', {
+                    edited: (typeof request.query.edited !== 'undefined'),
+                    standards,
+                    runners: getRunners(task.runners),
+                    ...getDeviceChoices(task),
+                    projects,
+                    task: presentTask(task),
+                    isTaskSubPage: true
+                });
             });
         });
     });
 
 	/* eslint-disable complexity */
 	/* eslint-disable max-statements */
-    app.express.post('/:id/edit', (request, response, next) => {
+    app.express.post('/:id/edit', app.auth.require('editor'), (request, response, next) => {
         const id = request.params.id;
         app.webservice.task(id).get({}, (error, task) => {
             // If the task doesn't exist (e.g. after a restart), we don't
@@ -115,6 +135,25 @@ module.exports = function edit(app) {
             request.body.username = request.body.username || undefined;
             request.body.password = request.body.password || undefined;
             request.body.hideElements = request.body.hideElements || undefined;
+            // An empty schedule falls back to the global schedule, and an
+            // empty runner to the default. The local webservice is sent
+            // them even when they're empty so that they're cleared, but
+            // Pa11y Webservice rejects empty values so they're left out
+            const schedule = (request.body.schedule || '').trim();
+            setOptionalField(request.body, 'schedule', schedule, isLocal);
+            setOptionalField(request.body, 'runners', request.body.runners || '', isLocal);
+            // The screenshot checkbox has a hidden "false" field so that
+            // unchecking it is submitted. Screenshots need the local
+            // webservice, and Pa11y Webservice rejects the field
+            const screenshot = [].concat(request.body.screenshot).includes('true');
+            setOptionalField(request.body, 'screenshot', screenshot, isLocal);
+            // Empty device fields are sent so that they're cleared
+            if (typeof request.body.device !== 'undefined') {
+                const emulation = readEmulationForm(request.body);
+                request.body.device = emulation.device || '';
+                request.body.viewport = emulation.viewport || {};
+                request.body.userAgent = emulation.userAgent || '';
+            }
             request.body.headers = httpHeaders(request.body.headers || '', true);
 
             app.webservice.task(id).edit(request.body, webserviceError => {
@@ -131,6 +170,12 @@ module.exports = function edit(app) {
                     task.password = request.body.password;
                     task.headers = originalHeaders;
                     task.hideElements = request.body.hideElements;
+                    task.schedule = request.body.schedule;
+                    task.screenshot = request.body.screenshot;
+                    task.device = request.body.device;
+                    task.viewport = request.body.viewport;
+                    task.userAgent = request.body.userAgent;
+                    task.viewports = request.body.viewports;
                     const standards = getStandards().map(standard => {
                         if (standard.title === task.standard) {
                             standard.selected = true;
@@ -143,11 +188,16 @@ module.exports = function edit(app) {
                         });
                         return standard;
                     });
-                    return response.render('task/edit', {
-                        webserviceError,
-                        standards,
-                        task,
-                        isTaskSubPage: true
+                    return getProjectOptions(app, request.body.project, (projectsError, projects) => {
+                        response.render('task/edit', {
+                            webserviceError,
+                            standards,
+                            runners: getRunners(request.body.runners),
+                            ...getDeviceChoices(task),
+                            projects,
+                            task,
+                            isTaskSubPage: true
+                        });
                     });
                 }
                 response.redirect(`/${id}/edit?edited`);
@@ -155,3 +205,21 @@ module.exports = function edit(app) {
         });
     });
 };
+
+function getDeviceChoices({device, viewport = {}}) {
+    return {
+        devices: getDevices(device),
+        mobileChoices: getFlagChoices(viewport.isMobile),
+        touchChoices: getFlagChoices(viewport.hasTouch)
+    };
+}
+
+// Set a field which can be cleared, or leave it out if it's empty and
+// the webservice doesn't accept empty values
+function setOptionalField(body, name, value, isLocal) {
+    if (value || isLocal) {
+        body[name] = value;
+    } else {
+        delete body[name];
+    }
+}
@@ -1,11 +1,56 @@
 'use strict';
 
+const moment = require('moment');
+const {nanoid} = require('nanoid');
+const presentTask = require('../../view/presenter/task');
+
 module.exports = function ignore(app) {
-	app.express.post('/:id/ignore', (request, response, next) => {
+	// Issues can also be ignored on every URL in a task's project, and
+	// projects need the local webservice
+	function getProject(task, done) {
+		if (!task.project || !app.webservice.projects) {
+			return done(null);
+		}
+		app.webservice.project(task.project).get({}, (error, project) => {
+			done(error ? null : project);
+		});
+	}
+
+	function renderIgnoreForm(response, task, values, error) {
+		getProject(task, project => {
+			response.render('task/ignore', {
+				task: presentTask(task),
+				project,
+				values,
+				forProject: (values.scope === 'project'),
+				error,
+				isTaskSubPage: true
+			});
+		});
+	}
+
+	app.express.get('/:id/ignore', app.auth.require('editor'), (request, response, next) => {
 		app.webservice.task(request.params.id).get({}, (error, task) => {
 			if (error) {
 				return next();
 			}
+			renderIgnoreForm(response, task, {
+				rule: request.query.rule,
+				selector: request.query.selector
+			});
+		});
+	});
+
+	app.express.post('/:id/ignore', app.auth.require('editor'), (request, response, next) => {
+		app.webservice.task(request.params.id).get({}, (error, task) => {
+			if (error) {
+				return next();
+			}
+			// The ignore form is for one issue, the result page's buttons
+			// are for every issue with a rule
+			if (request.body.scoped) {
+				return ignoreIssue(request, response, task);
+			}
 			const edit = {
 				name: task.name,
 				ignore: task.ignore
@@ -18,4 +63,95 @@ module.exports = function ignore(app) {
 			});
 		});
 	});
+
+	function ignoreIssue(request, response, task) {
+		const forProject = (request.body.scope === 'project');
+		let entry;
+		try {
+			if (forProject && !task.project) {
+				throw new Error('This URL isn\'t in a project');
+			}
+			entry = readIgnoredIssue(request.body, request.user);
+		} catch (error) {
+			response.status(400);
+			return renderIgnoreForm(response, task, request.body, error.message);
+		}
+		const done = webserviceError => {
+			if (webserviceError) {
+				response.status(500);
+				return renderIgnoreForm(response, task, request.body, webserviceError.message);
+			}
+			response.redirect(`/${task.id}?issue-ignored`);
+		};
+		if (forProject) {
+			entry.urlPattern = optional(request.body.urlPattern);
+			return ignoreProjectIssue(task, entry, done);
+		}
+		app.webservice.task(task.id).edit({
+			name: task.name,
+			ignoreIssues: (task.ignoreIssues || []).concat(entry)
+		}, done);
+	}
+
+	// Issues ignored on a project can be limited to the URLs which match
+	// a pattern, see `local-webservice.js`
+	function ignoreProjectIssue(task, entry, done) {
+		getProject(task, project => {
+			if (!project) {
+				return done(new Error('Project not found'));
+			}
+			app.webservice.project(project.id).edit({
+				ignoreIssues: (project.ignoreIssues || []).concat(entry)
+			}, done);
+		});
+	}
 };
+
+/**
+ * Read an ignored issue from the ignore form. It's a rule plus a selector
+ * and/or a piece of the issue's context, with an optional reason and the
+ * last day that the issue should be ignored for.
+ * @param {object} body The form fields
+ * @param {object} [user] The signed in user, who is recorded as the author
+ * @returns {object} The ignored issue
+ * @throws {Error} If a field is invalid
+ */
+function readIgnoredIssue(body, user) {
+	const entry = {
+		id: nanoid(),
+		rule: trim(body.rule),
+		selector: optional(body.selector),
+		context: optional(body.context),
+		reason: optional(body.reason),
+		author: (user ? user.username : undefined),
+		created: new Date().toISOString(),
+		expires: readExpiryDate(trim(body.expires))
+	};
+	if (!entry.rule) {
+		throw new Error('Enter the code of the rule to ignore');
+	}
+	if (!entry.selector && !entry.context) {
+		throw new Error('Enter a selector or some of the context, to say which issue to ignore');
+	}
+	return entry;
+}
+
+// Issues are ignored until the end of the expiry date
+function readExpiryDate(value) {
+	if (!value) {
+		return undefined;
+	}
+	const date = moment(value, 'YYYY-MM-DD', true);
+	if (!date.isValid()) {
+		throw new Error(`Invalid expiry date "${value}", expected e.g. 2024-01-31`);
+	}
+	return date.endOf('day').toISOString();
+}
+
+function trim(value) {
+	return (typeof value === 'string' ? value.trim() : '');
+}
+
+function optional(value) {
+	return trim(value) || undefined;
+}
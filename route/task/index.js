@@ -14,11 +14,25 @@
 // along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
 'use strict';
 
+const presentProject = require('../../view/presenter/project');
 const presentTask = require('../../view/presenter/task');
 const presentResult = require('../../view/presenter/result');
 const presentResultList = require('../../view/presenter/result-list');
+const presentScores = require('../../view/presenter/score');
+const presentTriage = require('../../view/presenter/triage');
+const {findPreviousResult} = require('../../result-diff');
 
 module.exports = function taskIndex(app) {
+	// Get the project a task belongs to, if any
+	function getProject(task, callback) {
+		if (!task.project || !app.webservice.project) {
+			return callback(null);
+		}
+		app.webservice.project(task.project).get({}, (error, project) => {
+			callback(error ? null : presentProject(project));
+		});
+	}
+
 	app.express.get('/:id', (request, response, next) => {
 		const id = request.params.id;
 		app.webservice.task(id).get({lastres: true}, (error, task) => {
@@ -34,8 +48,10 @@ module.exports = function taskIndex(app) {
 					mainResult: null,
 					added: (typeof request.query.added !== 'undefined'),
 					running: (typeof request.query.running !== 'undefined'),
+					job: request.query.job,
 					ruleIgnored: (typeof request.query['rule-ignored'] !== 'undefined'),
 					ruleUnignored: (typeof request.query['rule-unignored'] !== 'undefined'),
+					issueIgnored: (typeof request.query['issue-ignored'] !== 'undefined'),
 					hasOneResult: true,
 					isTaskPage: true
 				});
@@ -45,18 +61,37 @@ module.exports = function taskIndex(app) {
 				if (webserviceError) {
 					return next(webserviceError);
 				}
-				const presentedResults = presentResultList(results.map(presentResult));
-				response.render('task', {
-					task: presentTask(task),
+				// Every result is scored, so that the averages aren't
+				// affected by the graph only showing one result a day
+				const allResults = results.map(presentResult);
+				const scores = presentScores(app.scorer, allResults);
+				const presentedResults = presentResultList(allResults);
+				// Results are latest first
+				const previous = results.length && findPreviousResult(results, results[0].id);
+				const compareHref = (previous ?
+					`/${id}/compare/${previous.id}/${results[0].id}` :
+					null);
+				const presentedTask = presentTask(task);
+				const mainResult = presentedTask.lastResult || null;
+				if (mainResult) {
+					presentTriage(mainResult, app.triage.list(id));
+				}
+				getProject(task, project => response.render('task', {
+					task: presentedTask,
+					project,
 					results: presentedResults,
-					mainResult: task.lastResult || null,
+					mainResult,
 					added: (typeof request.query.added !== 'undefined'),
 					running: (typeof request.query.running !== 'undefined'),
+					job: request.query.job,
 					ruleIgnored: (typeof request.query['rule-ignored'] !== 'undefined'),
 					ruleUnignored: (typeof request.query['rule-unignored'] !== 'undefined'),
+					issueIgnored: (typeof request.query['issue-ignored'] !== 'undefined'),
 					hasOneResult: (presentedResults.length < 2),
+					compareHref,
+					scores,
 					isTaskPage: true
-				});
+				}));
 			});
 		});
 	});
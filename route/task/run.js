@@ -15,11 +15,15 @@
 'use strict';
 
 module.exports = function run(app) {
-	app.express.get('/:id/run', (request, response, next) => {
-		app.webservice.task(request.params.id).run(error => {
+	app.express.get('/:id/run', app.auth.require('editor'), (request, response, next) => {
+		app.webservice.task(request.params.id).run((error, job) => {
 			if (error) {
 				return next();
 			}
+			// Not every webservice reports a job for the run
+			if (job && job.id) {
+				return response.redirect(`/${request.params.id}?running&job=${job.id}`);
+			}
 			response.redirect(`/${request.params.id}?running`);
 		});
 	});
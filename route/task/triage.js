@@ -0,0 +1,88 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const presentTask = require('../../view/presenter/task');
+const {presentTriageRecord, getStatusChoices} = require('../../view/presenter/triage');
+
+// Triage records track the remediation of each issue of a task, see
+// `triage.js`. Anyone can see them, editors can change them
+module.exports = function triage(app, config) {
+	function getTask(request, response, next) {
+		app.webservice.task(request.params.id).get({}, (error, task) => {
+			if (error) {
+				return next('route');
+			}
+			response.locals.task = presentTask(task);
+			next();
+		});
+	}
+
+	app.express.get('/:id/triage', getTask, (request, response) => {
+		const records = app.triage.list(request.params.id).map(presentTriageRecord);
+		response.render('task/triage', {
+			records,
+			saved: (typeof request.query.saved !== 'undefined'),
+			isTaskSubPage: true
+		});
+	});
+
+	if (config.readonly) {
+		return;
+	}
+	const requireEditor = app.auth.require('editor');
+
+	app.express.get('/:id/triage/edit', requireEditor, getTask, (request, response) => {
+		const {code, selector} = request.query;
+		const record = app.triage.get(request.params.id, code, selector);
+		renderTriageForm(response, record || {
+			code,
+			selector,
+			status: 'open'
+		});
+	});
+
+	app.express.post('/:id/triage', requireEditor, getTask, (request, response) => {
+		const details = {
+			task: request.params.id,
+			code: request.body.code,
+			selector: request.body.selector,
+			status: request.body.status,
+			assignee: trim(request.body.assignee),
+			notes: trim(request.body.notes),
+			link: trim(request.body.link)
+		};
+		try {
+			app.triage.save(details, (request.user ? request.user.username : null));
+		} catch (error) {
+			response.status(400);
+			return renderTriageForm(response, details, error.message);
+		}
+		response.redirect(`/${request.params.id}/triage?saved`);
+	});
+};
+
+function renderTriageForm(response, record, error) {
+	response.render('task/triage-edit', {
+		record,
+		statuses: getStatusChoices(record.status),
+		error,
+		isTaskSubPage: true
+	});
+}
+
+function trim(value) {
+	return (typeof value === 'string' ? value.trim() : '');
+}
@@ -3,11 +3,15 @@
 module.exports = route;
 
 function route(app) {
-	app.express.post('/:id/unignore', (request, response, next) => {
+	app.express.post('/:id/unignore', app.auth.require('editor'), (request, response, next) => {
 		app.webservice.task(request.params.id).get({}, (error, task) => {
 			if (error) {
 				return next();
 			}
+			// Ignored issues are removed by their ID, rules by their code
+			if (typeof request.body.issue === 'string') {
+				return unignoreIssue(request, response, task);
+			}
 			const edit = {
 				name: task.name,
 				ignore: task.ignore
@@ -21,4 +25,31 @@ function route(app) {
 			});
 		});
 	});
+
+	function unignoreIssue(request, response, task) {
+		const id = request.body.issue;
+		const done = () => response.redirect(`/${task.id}?rule-unignored`);
+		// Issues ignored on the task's project are removed from the
+		// project, so they come back on all of its URLs
+		const projectEntry = (task.projectIgnoreIssues || []).find(entry => entry.id === id);
+		if (projectEntry) {
+			return unignoreProjectIssue(projectEntry.project, id, done);
+		}
+		const edit = {
+			name: task.name,
+			ignoreIssues: (task.ignoreIssues || []).filter(entry => entry.id !== id)
+		};
+		app.webservice.task(task.id).edit(edit, done);
+	}
+
+	function unignoreProjectIssue(projectId, id, done) {
+		app.webservice.project(projectId).get({}, (error, project) => {
+			if (error) {
+				return done();
+			}
+			app.webservice.project(projectId).edit({
+				ignoreIssues: project.ignoreIssues.filter(entry => entry.id !== id)
+			}, done);
+		});
+	}
 }
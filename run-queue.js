@@ -0,0 +1,193 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {nanoid} = require('nanoid');
+
+// How many finished or failed jobs to remember for status requests
+const jobHistoryLength = 100;
+
+module.exports = createRunQueue;
+
+/**
+ * Create a queue which limits how many pa11y runs (and so how many
+ * headless browsers) happen at once. Each run is tracked as a job which
+ * moves through the `queued`, `running` and then `finished` or `failed`
+ * states.
+ *
+ * @param {object} [options] Queue options
+ * @param {number} [options.concurrency] How many jobs can run at once (default 2)
+ * @returns {object} The queue
+ */
+function createRunQueue(options = {}) {
+	const concurrency = Math.max(1, Number(options.concurrency) || 2);
+
+	// Jobs keyed by ID, in the order they were added
+	const jobs = new Map();
+	// Workers and settlement callbacks for each job, kept out of the
+	// job objects so that jobs can be serialised as-is
+	const internals = new Map();
+	const waiting = [];
+	let running = 0;
+
+	function next() {
+		while (running < concurrency && waiting.length) {
+			start(waiting.shift());
+		}
+	}
+
+	async function start(job) {
+		const {worker, settle} = internals.get(job.id);
+		running += 1;
+		job.status = 'running';
+		job.started = new Date().toISOString();
+		try {
+			const result = await worker(job);
+			job.status = 'finished';
+			job.result = summariseResult(result);
+			settle.resolve(result);
+		} catch (error) {
+			job.status = 'failed';
+			job.error = error.message;
+			settle.reject(error);
+		}
+		finish(job);
+	}
+
+	function finish(job) {
+		job.finished = new Date().toISOString();
+		running -= 1;
+		prune();
+		next();
+	}
+
+	// Forget the oldest settled jobs once there are too many
+	function prune() {
+		const settled = Array.from(jobs.values()).filter(isSettled);
+		settled.slice(0, Math.max(0, settled.length - jobHistoryLength)).forEach(job => {
+			jobs.delete(job.id);
+			internals.delete(job.id);
+		});
+	}
+
+	function getJob(id) {
+		const job = jobs.get(id);
+		if (!job) {
+			return null;
+		}
+		const copy = {...job};
+		if (job.status === 'queued') {
+			copy.position = waiting.indexOf(job) + 1;
+		}
+		return copy;
+	}
+
+	return {
+
+		/**
+		 * Add a job to the queue. If the job is for a task which already
+		 * has a queued or running job then that job is returned instead,
+		 * so that repeatedly running a task doesn't pile up runs.
+		 * @param {object} details Details to store on the job, e.g. `task`
+		 * @param {function} worker An async function which performs the run.
+		 *        A summary of the value it resolves with is stored as the
+		 *        job's `result`, see `summariseResult`
+		 * @returns {object} The job
+		 */
+		push(details, worker) {
+			if (details.task) {
+				const existing = Array.from(jobs.values()).find(job => {
+					return job.task === details.task && !isSettled(job);
+				});
+				if (existing) {
+					return getJob(existing.id);
+				}
+			}
+			const job = {
+				...details,
+				id: nanoid(),
+				status: 'queued',
+				queued: new Date().toISOString()
+			};
+			const settle = {};
+			const promise = new Promise((resolve, reject) => {
+				settle.resolve = resolve;
+				settle.reject = reject;
+			});
+			// Nobody has to wait on a job, so a failure mustn't
+			// become an unhandled rejection
+			promise.catch(() => null);
+			jobs.set(job.id, job);
+			internals.set(job.id, {
+				worker,
+				settle,
+				promise
+			});
+			waiting.push(job);
+			next();
+			return getJob(job.id);
+		},
+
+		/**
+		 * Get a copy of a job, including its position in the queue.
+		 * @param {string} id The job ID
+		 * @returns {object|null} The job, or `null` if it isn't known
+		 */
+		get: getJob,
+
+		/**
+		 * Wait for a job to finish.
+		 * @param {string} id The job ID
+		 * @returns {Promise} Resolves with the job's result, or rejects
+		 *          with the error which failed the job
+		 */
+		settled(id) {
+			if (!internals.has(id)) {
+				return Promise.reject(new Error('Job not found'));
+			}
+			return internals.get(id).promise;
+		}
+	};
+}
+
+function isSettled(job) {
+	return job.status === 'finished' || job.status === 'failed';
+}
+
+// Settled jobs are remembered for a while, so they only keep a summary of
+// what their worker resolved with: the ID of a stored result as it is, or
+// the counts of the issues found by a pa11y run. Anything else, such as a
+// PDF report, isn't kept at all
+function summariseResult(result) {
+	if (typeof result === 'string') {
+		return result;
+	}
+	if (result && Array.isArray(result.issues)) {
+		return {count: countIssues(result.issues)};
+	}
+	return undefined;
+}
+
+function countIssues(issues) {
+	const count = {
+		error: 0,
+		warning: 0,
+		notice: 0
+	};
+	issues.filter(issue => count[issue.type] !== undefined).forEach(issue => {
+		count[issue.type] += 1;
+	});
+	return count;
+}
@@ -0,0 +1,137 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {CronJob, CronTime} = require('cron');
+
+const catchUpPolicies = ['none', 'once'];
+
+module.exports = createScheduler;
+module.exports.isValidSchedule = isValidSchedule;
+
+/**
+ * Create a scheduler which runs tasks on a cron schedule. A task's own
+ * `schedule` takes precedence over the global `cron` schedule, and tasks
+ * are only scheduled if one of the two is set.
+ *
+ * Schedules use the six-field syntax of the `cron` module (seconds first),
+ * the same as Pa11y Webservice, e.g. `0 30 0 * * *` for 00:30 every day.
+ *
+ * @param {object} options Scheduler options
+ * @param {string} [options.cron] The global schedule for all tasks
+ * @param {string} [options.catchUp] What to do about runs which were
+ *        missed while the dashboard was down: `once` (default) runs the
+ *        task once on startup, `none` waits for the next scheduled run
+ * @param {function} options.onTick Called with a task ID when it is due
+ * @returns {object} The scheduler
+ */
+function createScheduler(options) {
+	const catchUp = options.catchUp || 'once';
+	if (!catchUpPolicies.includes(catchUp)) {
+		const expected = catchUpPolicies.join(', ');
+		throw new Error(`Unknown catch-up policy "${catchUp}", expected one of: ${expected}`);
+	}
+	if (options.cron && !isValidSchedule(options.cron)) {
+		throw new Error(`Invalid global schedule "${options.cron}"`);
+	}
+
+	// Cron jobs keyed by task ID
+	const jobs = new Map();
+
+	function getSchedule(task) {
+		return task.schedule || options.cron || null;
+	}
+
+	function nextRun(task) {
+		const cronTime = getSchedule(task);
+		if (!cronTime) {
+			return null;
+		}
+		return new CronTime(cronTime).sendAt().toJSDate();
+	}
+
+	// A run was missed if the schedule was due at some point between
+	// the last time the task was run on schedule (or was created) and now
+	function hasMissedRun(task) {
+		const cronTime = getSchedule(task);
+		const since = task.lastScheduledRun || task.created;
+		if (!cronTime || !since) {
+			return false;
+		}
+		const due = new CronTime(cronTime).getNextDateFrom(new Date(since)).toJSDate();
+		return due < new Date();
+	}
+
+	function schedule(task) {
+		unschedule(task.id);
+		const cronTime = getSchedule(task);
+		if (!cronTime) {
+			return;
+		}
+		jobs.set(task.id, new CronJob({
+			cronTime,
+			onTick: () => options.onTick(task.id),
+			start: true,
+			// Don't keep the process alive just for the schedule
+			unrefTimeout: true
+		}));
+	}
+
+	function unschedule(id) {
+		if (jobs.has(id)) {
+			jobs.get(id).stop();
+			jobs.delete(id);
+		}
+	}
+
+	return {
+		nextRun,
+		schedule,
+		unschedule,
+
+		/**
+		 * Schedule all of the given tasks, and apply the catch-up policy
+		 * to any which missed a run while the dashboard was down.
+		 * @param {Array} tasks The tasks to schedule
+		 * @returns {undefined} Nothing
+		 */
+		start(tasks) {
+			tasks.forEach(task => {
+				schedule(task);
+				if (catchUp === 'once' && hasMissedRun(task)) {
+					options.onTick(task.id);
+				}
+			});
+		},
+
+		stop() {
+			Array.from(jobs.keys()).forEach(unschedule);
+		}
+	};
+}
+
+/**
+ * Check whether a string is a valid cron schedule.
+ * @param {string} schedule The schedule to check
+ * @returns {boolean} Whether the schedule is valid
+ */
+function isValidSchedule(schedule) {
+	try {
+		// Parsing throws for invalid schedules
+		return Boolean(new CronTime(schedule));
+	} catch (error) {
+		return false;
+	}
+}
@@ -0,0 +1,183 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const moment = require('moment');
+
+const types = ['error', 'warning', 'notice'];
+
+const defaults = {
+	weights: {
+		error: 10,
+		warning: 3,
+		notice: 0
+	},
+	rules: {},
+	scale: 100,
+	window: 5
+};
+
+module.exports = createScorer;
+module.exports.parseWeights = parseWeights;
+module.exports.getDaysSince = getDaysSince;
+
+/**
+ * Create a scorer which turns results into a single accessibility score
+ * out of 100. Each issue costs the weight of its type, multiplied by the
+ * weight of its rule, and the score is `100 * scale / (scale + cost)`, so
+ * a result with no issues scores 100 and a result which costs `scale`
+ * scores 50.
+ *
+ * Rule weights are keyed by rule code, or the start of a rule code (e.g.
+ * `WCAG2AA.Principle1.Guideline1_4` or `color-contrast`), and the longest
+ * matching key wins. Rules without a weight have a weight of 1.
+ *
+ * @param {object} [options] Scorer options
+ * @param {(object|string)} [options.weights] Weights of each issue type,
+ *        e.g. `{error: 10}` or `error:10,warning:3`
+ * @param {(object|string)} [options.rules] Weights of rules, in the same format
+ * @param {number} [options.scale] The cost which halves the score (default 100)
+ * @param {number} [options.window] How many results the rolling average
+ *        is taken over (default 5)
+ * @returns {object} The scorer
+ * @throws {Error} If an option is invalid
+ */
+function createScorer(options = {}) {
+	const weights = {
+		...defaults.weights,
+		...parseWeights(options.weights)
+	};
+	const rules = parseWeights(options.rules || defaults.rules);
+	const scale = readPositive('scale', options.scale, defaults.scale);
+	const window = Math.round(readPositive('window', options.window, defaults.window));
+
+	// Longest codes first, so that the most specific rule weight is found first
+	const ruleCodes = Object.keys(rules).sort((codeA, codeB) => codeB.length - codeA.length);
+
+	function getRuleWeight(code) {
+		const match = ruleCodes.find(ruleCode => String(code).startsWith(ruleCode));
+		return (match ? rules[match] : 1);
+	}
+
+	// Results without their issues, e.g. from a remote webservice, can
+	// only be scored on their counts
+	function getCost(result) {
+		if (!Array.isArray(result.results)) {
+			const count = result.count || {};
+			return types.reduce((cost, type) => cost + ((count[type] || 0) * weights[type]), 0);
+		}
+		return result.results.reduce((cost, issue) => {
+			return cost + ((weights[issue.type] || 0) * getRuleWeight(issue.code));
+		}, 0);
+	}
+
+	function score(result) {
+		return Math.round(100 * scale / (scale + getCost(result)));
+	}
+
+	return {
+		score,
+
+		/**
+		 * Score each of a task's results, and work out the rolling average
+		 * and regressions. A result regressed if it scored lower than the
+		 * previous result at the same viewport width.
+		 * @param {Array} results The task's results, latest first
+		 * @param {Date} [now] The date to count days since the last regression to
+		 * @returns {object} The `score`, `average` and `daysSinceRegression`
+		 *          of the latest result, the `regressionDate` of the last
+		 *          result which regressed, and a `scores` map of result ID to
+		 *          the `score`, `average` and `regressed` flag of each result
+		 */
+		summarise(results, now = new Date()) {
+			const scores = new Map();
+			const previousScores = new Map();
+			const recentScores = [];
+			results.slice().reverse().forEach(result => {
+				const width = (result.viewport ? result.viewport.width : null);
+				const entry = {score: score(result)};
+				recentScores.push(entry.score);
+				entry.average = average(recentScores.slice(-window));
+				const previous = previousScores.get(width);
+				entry.regressed = (previous !== undefined && entry.score < previous);
+				previousScores.set(width, entry.score);
+				scores.set(result.id, entry);
+			});
+			const regression = results.find(result => scores.get(result.id).regressed);
+			const regressionDate = (regression ? regression.date : null);
+			const latest = (results.length ? scores.get(results[0].id) : {});
+			return {
+				score: latest.score,
+				average: latest.average,
+				daysSinceRegression: getDaysSince(regressionDate, now),
+				regressionDate,
+				scores
+			};
+		}
+	};
+}
+
+/**
+ * Parse weights, which are either an object or a comma-separated list
+ * of `key:weight` pairs, e.g. from an environment variable.
+ * @param {(object|string)} [value] The weights
+ * @returns {object} The weights keyed by type or rule code
+ * @throws {Error} If a weight isn't a number zero or above
+ */
+function parseWeights(value) {
+	if (!value) {
+		return {};
+	}
+	let pairs = Object.entries(value);
+	if (typeof value === 'string') {
+		pairs = value.split(',').filter(pair => pair.trim()).map(pair => {
+			const separator = pair.lastIndexOf(':');
+			return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+		});
+	}
+	return pairs.reduce((parsed, [key, weight]) => {
+		const number = Number(weight);
+		if (!key || weight === '' || !Number.isFinite(number) || number < 0) {
+			throw new Error(`Invalid score weight "${key}:${weight}", expected a number from zero`);
+		}
+		parsed[key] = number;
+		return parsed;
+	}, {});
+}
+
+function readPositive(name, value, defaultValue) {
+	if (value === undefined || value === null || value === '') {
+		return defaultValue;
+	}
+	const number = Number(value);
+	if (!Number.isFinite(number) || number <= 0) {
+		throw new Error(`Invalid score ${name} "${value}", expected a number above zero`);
+	}
+	return number;
+}
+
+/**
+ * Count the whole days since a date.
+ * @param {(string|Date|null)} date The date
+ * @param {Date} [now] The date to count to
+ * @returns {(number|null)} The number of days, or `null` if there's no date
+ */
+function getDaysSince(date, now = new Date()) {
+	return (date ? moment(now).diff(date, 'days') : null);
+}
+
+function average(values) {
+	return Math.round(values.reduce((total, value) => total + value, 0) / values.length);
+}
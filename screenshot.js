@@ -0,0 +1,97 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const pa11y = require('pa11y');
+const puppeteer = require('puppeteer');
+
+module.exports = runPa11yWithScreenshot;
+
+/**
+ * Run pa11y against a URL and capture a full-page screenshot of the page
+ * as it was tested. pa11y closes its own browser before returning, so we
+ * give it a browser and page of our own and close them once the
+ * screenshot has been taken.
+ *
+ * Each issue is given a `box` with the position of its element in the
+ * screenshot (in pixels, relative to the top left of the page), or `null`
+ * if the element couldn't be found.
+ *
+ * @param {string} url The URL to test
+ * @param {object} options Options for pa11y()
+ * @returns {Promise<object>} Resolves with the pa11y result, with an
+ *          added `screenshot` property of `{image, width, height}`
+ */
+async function runPa11yWithScreenshot(url, options) {
+	const browser = await puppeteer.launch(options.chromeLaunchConfig || {
+		ignoreHTTPSErrors: true
+	});
+	try {
+		const page = await browser.newPage();
+		const result = await pa11y(url, {
+			...options,
+			browser,
+			page
+		});
+		const issues = result.issues || [];
+		const boxes = await page.evaluate(getBoxes, issues.map(issue => issue.selector));
+		issues.forEach((issue, index) => {
+			issue.box = boxes[index];
+		});
+		const image = await page.screenshot({
+			fullPage: true,
+			type: 'png'
+		});
+		result.screenshot = {
+			image,
+			...getPngSize(image)
+		};
+		return result;
+	} finally {
+		await browser.close();
+	}
+}
+
+// Runs in the browser, so this can't use anything from the outer scope
+function getBoxes(selectors) {
+	return selectors.map(selector => {
+		let element;
+		try {
+			element = selector && document.querySelector(selector);
+		} catch (error) {
+			// Some runners report selectors which aren't valid CSS
+			return null;
+		}
+		if (!element) {
+			return null;
+		}
+		const rect = element.getBoundingClientRect();
+		return {
+			left: Math.round(rect.left + window.scrollX),
+			top: Math.round(rect.top + window.scrollY),
+			width: Math.round(rect.width),
+			height: Math.round(rect.height)
+		};
+	});
+}
+
+// The width and height of a PNG are stored in its IHDR chunk, which
+// always comes straight after the 8 byte signature
+function getPngSize(image) {
+	return {
+		width: image.readUInt32BE(16),
+		height: image.readUInt32BE(20)
+	};
+}
@@ -0,0 +1,198 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const createMemoryStore = require('./memory');
+const {lastResultKey} = require('./memory');
+
+module.exports = createFileStore;
+
+/**
+ * Create a store which persists tasks and results to a single
+ * JSON-lines file. Every change is appended to the file as one record,
+ * and the file is replayed into memory (then compacted) on startup, so
+ * projects, tasks, results and `last_result` survive a restart.
+ *
+ * Records have one of the following shapes:
+ *   {"type": "task", "task": {...}}
+ *   {"type": "result", "task": "<task-id>", "result": {...}}
+ *   {"type": "remove", "task": "<task-id>"}
+ *   {"type": "project", "project": {...}}
+ *   {"type": "remove-project", "project": "<project-id>"}
+ *
+ * Screenshots are too big to keep in the file, so they're saved as PNG
+ * images in a `screenshots` directory next to it, at
+ * `screenshots/<task-id>/<result-id>.png`.
+ *
+ * @param {object} options Store options
+ * @param {string} options.path The path of the JSON-lines file
+ * @returns {object} A store exposing the methods used by `local-webservice.js`
+ */
+function createFileStore(options) {
+	const filePath = path.resolve(options.path);
+	const screenshotPath = path.join(path.dirname(filePath), 'screenshots');
+	const memory = createMemoryStore();
+
+	fs.mkdirSync(path.dirname(filePath), {recursive: true});
+	load();
+	compact();
+
+	function load() {
+		if (!fs.existsSync(filePath)) {
+			return;
+		}
+		fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+			let record;
+			try {
+				record = JSON.parse(line);
+			} catch (error) {
+				// Blank lines, or a partial line left behind by a crash
+				// part way through a write, are skipped
+				return;
+			}
+			replay(record);
+		});
+	}
+
+	function replay(record) {
+		if (record.type === 'task') {
+			const existing = memory.getTask(record.task.id);
+			if (existing) {
+				record.task[lastResultKey] = existing[lastResultKey];
+			}
+			memory.saveTask(record.task);
+		} else if (record.type === 'result' && memory.getTask(record.task)) {
+			memory.addResult(record.task, record.result);
+		} else if (record.type === 'remove') {
+			memory.removeTask(record.task);
+		} else {
+			replayProject(record);
+		}
+	}
+
+	function replayProject(record) {
+		if (record.type === 'project') {
+			memory.saveProject(record.project);
+		} else if (record.type === 'remove-project') {
+			memory.removeProject(record.project);
+		}
+	}
+
+	// Rewrite the file so that it only contains the current state. The
+	// new file is written alongside the old one and renamed into place so
+	// that a crash during compaction cannot lose data.
+	function compact() {
+		const lines = memory.getProjects().map(project => serialise({
+			type: 'project',
+			project
+		}));
+		memory.getTasks().forEach(task => {
+			lines.push(serialise({
+				type: 'task',
+				task: stripLastResult(task)
+			}));
+			memory.getResults(task.id).forEach(result => {
+				lines.push(serialise({
+					type: 'result',
+					task: task.id,
+					result
+				}));
+			});
+		});
+		const temporaryPath = `${filePath}.tmp`;
+		fs.writeFileSync(temporaryPath, lines.join(''));
+		fs.renameSync(temporaryPath, filePath);
+	}
+
+	function append(record) {
+		fs.appendFileSync(filePath, serialise(record));
+	}
+
+	function getScreenshotFile(taskId, resultId) {
+		return path.join(screenshotPath, path.basename(taskId), `${path.basename(resultId)}.png`);
+	}
+
+	return {
+		getTasks: memory.getTasks,
+		getTask: memory.getTask,
+		getResults: memory.getResults,
+		saveTask(task) {
+			memory.saveTask(task);
+			append({
+				type: 'task',
+				task: stripLastResult(task)
+			});
+		},
+		removeTask(id) {
+			memory.removeTask(id);
+			append({
+				type: 'remove',
+				task: id
+			});
+			fs.rmSync(path.join(screenshotPath, path.basename(id)), {
+				recursive: true,
+				force: true
+			});
+		},
+		addResult(taskId, result) {
+			memory.addResult(taskId, result);
+			append({
+				type: 'result',
+				task: taskId,
+				result
+			});
+		},
+		getScreenshot(taskId, resultId) {
+			const file = getScreenshotFile(taskId, resultId);
+			return fs.existsSync(file) ? fs.readFileSync(file) : undefined;
+		},
+		saveScreenshot(taskId, resultId, image) {
+			const file = getScreenshotFile(taskId, resultId);
+			fs.mkdirSync(path.dirname(file), {recursive: true});
+			fs.writeFileSync(file, image);
+		},
+		getProjects: memory.getProjects,
+		getProject: memory.getProject,
+		saveProject(project) {
+			memory.saveProject(project);
+			append({
+				type: 'project',
+				project
+			});
+		},
+		removeProject(id) {
+			memory.removeProject(id);
+			append({
+				type: 'remove-project',
+				project: id
+			});
+		},
+		compact
+	};
+}
+
+// The last result is derived from the result records when the file is
+// replayed, so there's no need to store it twice
+function stripLastResult(task) {
+	const copy = {...task};
+	delete copy.last_result;
+	return copy;
+}
+
+function serialise(record) {
+	return `${JSON.stringify(record)}\n`;
+}
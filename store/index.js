@@ -0,0 +1,41 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const createFileStore = require('./file');
+const createMemoryStore = require('./memory');
+
+const storeTypes = {
+	file: createFileStore,
+	memory: createMemoryStore
+};
+
+module.exports = createStore;
+
+/**
+ * Create the storage backend used by the local webservice.
+ * @param {object} [options] The `store` configuration
+ * @param {string} [options.type] The type of store, `memory` (default) or `file`
+ * @param {string} [options.path] The file to persist to when `type` is `file`
+ * @returns {object} The store
+ */
+function createStore(options = {}) {
+	const type = options.type || 'memory';
+	if (!storeTypes[type]) {
+		const expected = Object.keys(storeTypes).join(', ');
+		throw new Error(`Unknown store type "${type}", expected one of: ${expected}`);
+	}
+	return storeTypes[type](options);
+}
@@ -0,0 +1,86 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+// Tasks keep their latest result under Pa11y Webservice's name for it,
+// which isn't camel case
+const lastResultKey = 'last_result';
+
+module.exports = createMemoryStore;
+module.exports.lastResultKey = lastResultKey;
+
+/**
+ * Create a store which keeps tasks and results in process memory. This
+ * is the original behaviour of the local webservice: everything is lost
+ * when the dashboard restarts.
+ * @returns {object} A store exposing the methods used by `local-webservice.js`
+ */
+function createMemoryStore() {
+	// Maps to store tasks and results. The keys are task IDs.
+	const tasks = new Map();
+	const results = new Map();
+	// Projects group tasks, keyed by project ID
+	const projects = new Map();
+	// Screenshot images, keyed by task ID and then result ID
+	const screenshots = new Map();
+
+	return {
+		getTasks() {
+			return Array.from(tasks.values());
+		},
+		getTask(id) {
+			return tasks.get(id);
+		},
+		saveTask(task) {
+			tasks.set(task.id, task);
+			if (!results.has(task.id)) {
+				results.set(task.id, []);
+			}
+		},
+		removeTask(id) {
+			tasks.delete(id);
+			results.delete(id);
+			screenshots.delete(id);
+		},
+		getResults(taskId) {
+			return results.get(taskId);
+		},
+		addResult(taskId, result) {
+			results.get(taskId).push(result);
+			tasks.get(taskId)[lastResultKey] = result;
+		},
+		getScreenshot(taskId, resultId) {
+			return screenshots.has(taskId) ? screenshots.get(taskId).get(resultId) : undefined;
+		},
+		saveScreenshot(taskId, resultId, image) {
+			if (!screenshots.has(taskId)) {
+				screenshots.set(taskId, new Map());
+			}
+			screenshots.get(taskId).set(resultId, image);
+		},
+		getProjects() {
+			return Array.from(projects.values());
+		},
+		getProject(id) {
+			return projects.get(id);
+		},
+		saveProject(project) {
+			projects.set(project.id, project);
+		},
+		removeProject(id) {
+			projects.delete(id);
+		}
+	};
+}
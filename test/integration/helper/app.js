@@ -0,0 +1,64 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initApp = require('../../../app');
+
+module.exports = startApp;
+
+/**
+ * Start a dashboard in this process, with the local webservice and its
+ * files in a temporary directory. This is for testing features which
+ * need config, such as sign in, that the dashboard under test doesn't
+ * have. Close it with `app.close()`.
+ * @param {function} [configure] Called with the temporary directory,
+ *        returns extra config
+ * @returns {Promise} Resolves with the app, its `baseUrl` and `directory`
+ */
+function startApp(configure = () => ({})) {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pa11y-dashboard-test-'));
+	const config = {
+		port: 0,
+		noindex: true,
+		readonly: false,
+		triage: {file: path.join(directory, 'triage.json')},
+		webhooks: {file: path.join(directory, 'webhooks.json')},
+		digests: {file: path.join(directory, 'digests.json')},
+		...configure(directory)
+	};
+	return new Promise((resolve, reject) => {
+		initApp(config, (error, app) => {
+			if (error) {
+				return reject(error);
+			}
+			app.baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+			app.directory = directory;
+			app.close = () => new Promise(done => {
+				app.server.closeAllConnections();
+				app.server.close(() => {
+					fs.rmSync(directory, {
+						recursive: true,
+						force: true
+					});
+					done();
+				});
+			});
+			resolve(app);
+		});
+	});
+}
@@ -0,0 +1,287 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('proclaim');
+const {hashPassword} = require('../../../../auth/password');
+const startApp = require('../../helper/app');
+
+describe('POST /api/run', function() {
+
+	describe('without a URL', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/api/run',
+				json: {},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+		});
+	});
+
+	describe('with an invalid gate threshold', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/api/run',
+				json: {
+					url: 'http://example.com/',
+					maxErrors: 'lots'
+				},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+		});
+
+		it('should explain the problem', function() {
+			assert.match(this.last.body.error, /maxErrors/);
+		});
+	});
+
+	describe('with failOnNew but no baseline', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/api/run',
+				json: {
+					url: 'http://example.com/',
+					failOnNew: true
+				},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+		});
+	});
+
+	describe('with an unknown baseline result', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/api/run',
+				json: {
+					url: 'http://example.com/',
+					failOnNew: true,
+					baseline: 'abc000000000000000000001/def000000000000000000099'
+				},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+			assert.strictEqual(this.last.body.error, 'Baseline result not found');
+		});
+	});
+
+});
+
+describe('POST /api/run with a gate', function() {
+	before(async function() {
+		const task = {
+			id: 'task1',
+			name: 'Home',
+			url: 'https://example.com/',
+			standard: 'WCAG2AA',
+			ignore: []
+		};
+		const baseline = {
+			id: 'result1',
+			task: task.id,
+			date: '2026-10-01T12:00:00.000Z',
+			count: {
+				error: 1,
+				warning: 0,
+				notice: 0
+			},
+			results: [createIssue('img.logo')]
+		};
+		this.app = await startApp(directory => {
+			const usersFile = path.join(directory, 'users.json');
+			fs.writeFileSync(usersFile, JSON.stringify([{
+				username: 'edith',
+				password: hashPassword('password'),
+				role: 'editor'
+			}]));
+			const storePath = path.join(directory, 'store.jsonl');
+			fs.writeFileSync(storePath, [
+				{
+					type: 'task',
+					task
+				},
+				{
+					type: 'result',
+					task: task.id,
+					result: baseline
+				}
+			].map(record => JSON.stringify(record)).join('\n'));
+			return {
+				auth: {
+					usersFile,
+					tokensFile: path.join(directory, 'tokens.json'),
+					secret: 'secret'
+				},
+				store: {
+					type: 'file',
+					path: storePath
+				}
+			};
+		});
+
+		// There's no browser here, so runs resolve with `this.pa11yResult`
+		// instead of running pa11y. The last job is kept in `this.job`
+		const push = this.app.runQueue.push;
+		this.app.runQueue.push = details => {
+			this.job = push(details, () => Promise.resolve(this.pa11yResult));
+			return this.job;
+		};
+		this.pa11yResult = {
+			documentTitle: 'Example',
+			pageUrl: 'https://example.com/',
+			issues: [createIssue('img.logo'), createIssue('img.hero')]
+		};
+
+		const createToken = scopes => this.app.auth.tokens.create({
+			name: 'CI',
+			owner: 'edith',
+			scopes
+		}).secret;
+		this.tokens = {
+			run: createToken(['run']),
+			runAndRead: createToken(['run', 'read'])
+		};
+		this.run = (body, token = this.tokens.runAndRead) => fetch(`${this.app.baseUrl}/api/run`, {
+			method: 'POST',
+			headers: {
+				Authorization: `Bearer ${token}`,
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify({
+				url: 'https://example.com/',
+				...body
+			})
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should pass a result within the thresholds', async function() {
+		const response = await this.run({maxErrors: 2});
+		assert.strictEqual(response.status, 200);
+		const body = await response.json();
+		assert.isTrue(body.gate.passed);
+		assert.deepEqual(body.gate.count, {
+			error: 2,
+			warning: 0,
+			notice: 0
+		});
+	});
+
+	it('should fail a result with any errors by default, with a 422 status', async function() {
+		const response = await this.run({gate: true});
+		assert.strictEqual(response.status, 422);
+		const body = await response.json();
+		assert.isFalse(body.gate.passed);
+		assert.deepEqual(body.gate.reasons, ['2 errors, more than the maximum of 0']);
+		assert.lengthEquals(body.issues, 2);
+	});
+
+	it('should only remember the counts of the run in the job', async function() {
+		await this.run({maxErrors: 2});
+		const job = this.app.runQueue.get(this.job.id);
+		assert.strictEqual(job.status, 'finished');
+		assert.deepEqual(job.result, {
+			count: {
+				error: 2,
+				warning: 0,
+				notice: 0
+			}
+		});
+	});
+
+	it('should send the verdict as a JUnit report', async function() {
+		const response = await this.run({
+			maxErrors: 1,
+			format: 'junit'
+		});
+		assert.strictEqual(response.status, 200);
+		assert.match(response.headers.get('content-type'), /^application\/xml/);
+		const report = await response.text();
+		assert.match(report, /<testcase name="No more than 1 error"/);
+		assert.match(report, /<failure message="2 errors, more than the maximum of 1"/);
+	});
+
+	it('should fail a result with new errors since a stored baseline', async function() {
+		const response = await this.run({
+			failOnNew: true,
+			baseline: 'task1/result1'
+		});
+		assert.strictEqual(response.status, 422);
+		const body = await response.json();
+		assert.strictEqual(body.gate.new.error, 1);
+		assert.deepEqual(body.gate.reasons, ['1 new error since the baseline']);
+	});
+
+	it('should pass a result with no new errors since the latest result', async function() {
+		this.pa11yResult.issues = [createIssue('img.logo')];
+		const response = await this.run({
+			failOnNew: true,
+			baseline: 'task1'
+		});
+		this.pa11yResult.issues = [createIssue('img.logo'), createIssue('img.hero')];
+		assert.strictEqual(response.status, 200);
+		assert.isTrue((await response.json()).gate.passed);
+	});
+
+	it('should not read a stored baseline with a token which can only run', async function() {
+		const response = await this.run({
+			failOnNew: true,
+			baseline: 'task1/result1'
+		}, this.tokens.run);
+		assert.strictEqual(response.status, 403);
+	});
+
+	it('should accept a baseline sent with the request from any token', async function() {
+		const response = await this.run({
+			failOnNew: true,
+			baseline: {issues: [createIssue('img.logo')]}
+		}, this.tokens.run);
+		assert.strictEqual(response.status, 422);
+		assert.strictEqual((await response.json()).gate.new.error, 1);
+	});
+});
+
+function createIssue(selector) {
+	return {
+		type: 'error',
+		code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+		message: 'Img element missing an alt attribute.',
+		selector,
+		context: `<img class="${selector.split('.')[1]}">`
+	};
+}
@@ -0,0 +1,331 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {promisify} = require('util');
+const assert = require('proclaim');
+const {hashPassword} = require('../../../../auth/password');
+const startApp = require('../../helper/app');
+
+describe('GET /api/v1/tasks', function() {
+	beforeEach(function(done) {
+		this.navigate({
+			method: 'GET',
+			endpoint: '/api/v1/tasks',
+			nonDom: true
+		}, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should output the tasks as JSON', function() {
+		assert.isArray(this.last.body);
+		assert.notStrictEqual(this.last.body.length, 0);
+	});
+});
+
+describe('GET /api/v1/tasks/<task-id>', function() {
+	describe('when the task exists', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'GET',
+				endpoint: '/api/v1/tasks/abc000000000000000000001',
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 200 status', function() {
+			assert.strictEqual(this.last.status, 200);
+		});
+
+		it('should output the task as JSON', function() {
+			assert.strictEqual(this.last.body.name, 'NPG Home');
+			assert.strictEqual(this.last.body.url, 'nature.com');
+		});
+	});
+
+	describe('when the task does not exist', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'GET',
+				endpoint: '/api/v1/tasks/abc000000000000000000999',
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 404 status', function() {
+			assert.strictEqual(this.last.status, 404);
+		});
+	});
+});
+
+describe('GET /api/v1/tasks with task credentials', function() {
+	before(async function() {
+		this.app = await startApp(directory => {
+			const usersFile = path.join(directory, 'users.json');
+			fs.writeFileSync(usersFile, JSON.stringify([{
+				username: 'edith',
+				password: hashPassword('password'),
+				role: 'editor'
+			}]));
+			return {
+				auth: {
+					usersFile,
+					tokensFile: path.join(directory, 'tokens.json'),
+					secret: 'secret'
+				}
+			};
+		});
+		this.task = await promisify(this.app.webservice.tasks.create)({
+			name: 'Example',
+			url: 'https://example.com/',
+			standard: 'WCAG2AA',
+			username: 'user',
+			password: 'secret',
+			headers: {
+				Cookie: 'session=secret'
+			}
+		});
+
+		const createToken = scopes => this.app.auth.tokens.create({
+			name: 'CI',
+			owner: 'edith',
+			scopes
+		}).secret;
+		this.tokens = {
+			read: createToken(['read']),
+			readAndWrite: createToken(['read', 'write'])
+		};
+
+		// Get the task and the task list, with a token if one is given
+		this.getTasks = async token => {
+			const options = {headers: (token ? {Authorization: `Bearer ${token}`} : {})};
+			const task = await fetch(`${this.app.baseUrl}/api/v1/tasks/${this.task.id}`, options);
+			const list = await fetch(`${this.app.baseUrl}/api/v1/tasks`, options);
+			assert.strictEqual(task.status, 200);
+			assert.strictEqual(list.status, 200);
+			return [await task.json(), (await list.json())[0]];
+		};
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should not send the password or headers to viewers', async function() {
+		for (const task of await this.getTasks()) {
+			assert.strictEqual(task.username, 'user');
+			assert.isUndefined(task.password);
+			assert.isUndefined(task.headers);
+		}
+	});
+
+	it('should not send them to a token which can only read', async function() {
+		for (const task of await this.getTasks(this.tokens.read)) {
+			assert.isUndefined(task.password);
+			assert.isUndefined(task.headers);
+		}
+	});
+
+	it('should send them to an editor\'s token which can write', async function() {
+		for (const task of await this.getTasks(this.tokens.readAndWrite)) {
+			assert.strictEqual(task.password, 'secret');
+			assert.deepEqual(task.headers, {Cookie: 'session=secret'});
+		}
+	});
+});
+
+describe('GET /api/v1/tasks/<task-id>/results/<result-id>', function() {
+	beforeEach(function(done) {
+		this.navigate({
+			method: 'GET',
+			endpoint: '/api/v1/tasks/abc000000000000000000001/results/def000000000000000000001',
+			query: {
+				full: 'true'
+			},
+			nonDom: true
+		}, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should output the result as JSON', function() {
+		assert.strictEqual(this.last.body.count.error, 1);
+		assert.isArray(this.last.body.results);
+	});
+});
+
+describe('POST /api/v1/tasks', function() {
+	describe('with invalid JSON', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/api/v1/tasks',
+				json: {
+					name: ''
+				},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+		});
+	});
+
+	describe('with valid JSON', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/api/v1/tasks',
+				json: {
+					name: 'Example',
+					url: 'http://example.com/',
+					standard: 'WCAG2AA'
+				},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 201 status', function() {
+			assert.strictEqual(this.last.status, 201);
+		});
+
+		it('should output the new task as JSON', function() {
+			assert.strictEqual(this.last.body.name, 'Example');
+			assert.isString(this.last.body.id);
+		});
+	});
+});
+
+describe('DELETE /api/v1/tasks/<task-id>', function() {
+	before(async function() {
+		this.app = await startApp();
+		this.task = await promisify(this.app.webservice.tasks.create)({
+			name: 'Example',
+			url: 'https://example.com/'
+		});
+		this.app.triage.save({
+			task: this.task.id,
+			code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+			selector: 'img',
+			status: 'in-progress'
+		});
+		this.response = await fetch(`${this.app.baseUrl}/api/v1/tasks/${this.task.id}`, {
+			method: 'DELETE'
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should send a 204 status', function() {
+		assert.strictEqual(this.response.status, 204);
+	});
+
+	it('should remove the task\'s triage records', function() {
+		assert.lengthEquals(this.app.triage.list(this.task.id), 0);
+	});
+});
+
+describe('GET /api/v1/tasks/<task-id>/results with a date range', function() {
+	before(async function() {
+		const task = {
+			id: 'task1',
+			name: 'Example',
+			url: 'https://example.com/'
+		};
+		const records = [{
+			type: 'task',
+			task
+		}].concat(['2024-01-15', '2024-02-15', '2024-03-15'].map((day, index) => ({
+			type: 'result',
+			task: task.id,
+			result: {
+				id: `result${index + 1}`,
+				task: task.id,
+				date: `${day}T12:00:00.000Z`,
+				count: {
+					error: 0,
+					warning: 0,
+					notice: 0
+				},
+				results: []
+			}
+		})));
+		this.app = await startApp(directory => {
+			const storePath = path.join(directory, 'store.jsonl');
+			const lines = records.map(record => JSON.stringify(record));
+			fs.writeFileSync(storePath, lines.join('\n'));
+			return {
+				store: {
+					type: 'file',
+					path: storePath
+				}
+			};
+		});
+		const resultsUrl = `${this.app.baseUrl}/api/v1/tasks/task1/results`;
+		this.request = query => fetch(`${resultsUrl}?${query}`);
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should only send results between the dates, including the last day', async function() {
+		const response = await this.request('from=2024-02-01&to=2024-03-15');
+		assert.strictEqual(response.status, 200);
+		const results = await response.json();
+		assert.deepEqual(results.map(result => result.id), ['result3', 'result2']);
+	});
+
+	it('should send a 400 status for an invalid date', async function() {
+		const response = await this.request('from=yesterday');
+		assert.strictEqual(response.status, 400);
+		assert.strictEqual((await response.json()).error, 'The from date must be a valid date');
+	});
+
+	it('should forward the dates and token to a webservice at a URL', async function() {
+		const requests = [];
+		const server = http.createServer((request, response) => {
+			requests.push(request);
+			response.setHeader('Content-Type', 'application/json');
+			response.end('[]');
+		});
+		await promisify(server.listen.bind(server))(0, '127.0.0.1');
+		const app = await startApp(() => ({
+			webservice: `http://127.0.0.1:${server.address().port}/api/v1/`,
+			webserviceToken: 'secret-token'
+		}));
+		try {
+			const resultsPath = '/api/v1/tasks/task1/results';
+			const response = await fetch(`${app.baseUrl}${resultsPath}?from=2024-02-01`);
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(requests[0].url, `${resultsPath}?from=2024-02-01T00%3A00%3A00.000Z`);
+			assert.strictEqual(requests[0].headers.authorization, 'Bearer secret-token');
+		} finally {
+			await app.close();
+			server.close();
+		}
+	});
+});
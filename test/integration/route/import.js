@@ -0,0 +1,198 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const http = require('http');
+const zlib = require('zlib');
+const assert = require('proclaim');
+const cheerio = require('cheerio');
+const startApp = require('../helper/app');
+
+describe('POST /import', function() {
+	before(async function() {
+		// Another site, which some of the links on the site redirect to
+		this.other = await listen((request, response) => {
+			sendPage(response, 'Away', []);
+		});
+
+		// The site to import. Requests for `localhost` are redirected to
+		// `127.0.0.1`, like a site which redirects to `www.`
+		this.sentBytes = 0;
+		this.site = await listen((request, response) => {
+			const port = this.site.address().port;
+			if (/^localhost:/.test(request.headers.host)) {
+				response.writeHead(301, {Location: `http://127.0.0.1:${port}${request.url}`});
+				return response.end();
+			}
+			const pages = {
+				'/': ['/a', '/b', '/away', '/big', `http://localhost:${this.other.address().port}/`],
+				'/a': ['/a/deep'],
+				'/a/deep': [],
+				'/b': [],
+				'/many': Array.from({length: 600}, (value, index) => `/many/${index}`)
+			};
+			if (request.url === '/away') {
+				response.writeHead(302, {Location: `http://127.0.0.1:${this.other.address().port}/`});
+				return response.end();
+			}
+			if (request.url === '/big') {
+				return sendForever(response, bytes => {
+					this.sentBytes = bytes;
+				});
+			}
+			sendPage(response, `Page ${request.url}`, pages[request.url] || []);
+		});
+		this.siteUrl = `http://127.0.0.1:${this.site.address().port}`;
+
+		this.app = await startApp();
+
+		// Post the import form, and read the URLs of the pages found or
+		// the error message from the page
+		this.import = async form => {
+			const body = new FormData();
+			Object.keys(form).forEach(name => body.append(name, form[name]));
+			const response = await fetch(`${this.app.baseUrl}/import`, {
+				method: 'POST',
+				body
+			});
+			const $ = cheerio.load(await response.text());
+			return {
+				urls: $('[data-test=import-pages] input[name="pages[]"]').get()
+					.map(input => JSON.parse($(input).attr('value')).url),
+				error: $('[data-test=error]').text().trim()
+			};
+		};
+	});
+
+	after(async function() {
+		await this.app.close();
+		for (const server of [this.site, this.other]) {
+			server.closeAllConnections();
+			await new Promise(resolve => server.close(resolve));
+		}
+	});
+
+	describe('with a crawl', function() {
+		it('should only find pages on the same site, to the depth asked for', async function() {
+			const {urls} = await this.import({
+				source: 'crawl',
+				crawlUrl: `${this.siteUrl}/`,
+				depth: '1'
+			});
+			assert.deepEqual(urls, [
+				`${this.siteUrl}/`,
+				`${this.siteUrl}/a`,
+				`${this.siteUrl}/b`
+			]);
+		});
+
+		it('should follow links further when the depth is higher', async function() {
+			const {urls} = await this.import({
+				source: 'crawl',
+				crawlUrl: `${this.siteUrl}/`,
+				depth: '2'
+			});
+			assert.include(urls, `${this.siteUrl}/a/deep`);
+		});
+
+		it('should crawl a site when the start page redirects', async function() {
+			const {urls} = await this.import({
+				source: 'crawl',
+				crawlUrl: `http://localhost:${this.site.address().port}/`,
+				depth: '1'
+			});
+			assert.deepEqual(urls, [
+				`${this.siteUrl}/`,
+				`${this.siteUrl}/a`,
+				`${this.siteUrl}/b`
+			]);
+		});
+
+		it('should not find more than 500 pages', async function() {
+			const {urls} = await this.import({
+				source: 'crawl',
+				crawlUrl: `${this.siteUrl}/many`,
+				depth: '1'
+			});
+			assert.lengthEquals(urls, 500);
+		});
+
+		it('should stop reading a start page which is too large', async function() {
+			const {error} = await this.import({
+				source: 'crawl',
+				crawlUrl: `${this.siteUrl}/big`,
+				depth: '1'
+			});
+			assert.include(error, `${this.siteUrl}/big is too large to import`);
+			assert.isTrue(this.sentBytes < 20 * 1024 * 1024);
+		});
+	});
+
+	describe('with an uploaded sitemap', function() {
+		it('should find the pages in a gzipped sitemap', async function() {
+			const sitemap = zlib.gzipSync([
+				'<urlset>',
+				'<url><loc>https://example.com/</loc></url>',
+				'<url><loc>https://example.com/about</loc></url>',
+				'</urlset>'
+			].join(''));
+			const {urls} = await this.import({
+				source: 'sitemap',
+				sitemapFile: new Blob([sitemap])
+			});
+			assert.deepEqual(urls, ['https://example.com/', 'https://example.com/about']);
+		});
+
+		it('should not unzip a sitemap which is too large', async function() {
+			const sitemap = zlib.gzipSync(Buffer.alloc(11 * 1024 * 1024, ' '));
+			const {error} = await this.import({
+				source: 'sitemap',
+				sitemapFile: new Blob([sitemap])
+			});
+			assert.include(error, 'The sitemap is too large to import');
+		});
+	});
+});
+
+function listen(handler) {
+	const server = http.createServer(handler);
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function sendPage(response, title, links) {
+	response.writeHead(200, {'Content-Type': 'text/html'});
+	response.end([
+		`<html><head><title>${title}</title></head><body>`,
+		...links.map(link => `<a href="${link}">${link}</a>`),
+		'</body></html>'
+	].join('\n'));
+}
+
+// Send a page with no length which never ends, until the request is
+// cancelled or 20MB has been sent
+function sendForever(response, onSent) {
+	const chunk = Buffer.alloc(1024 * 1024, ' ');
+	let sent = 0;
+	response.writeHead(200, {'Content-Type': 'text/html'});
+	const write = () => {
+		if (response.destroyed || sent >= 20 * 1024 * 1024) {
+			return response.end();
+		}
+		sent += chunk.length;
+		onSent(sent);
+		response.write(chunk, write);
+	};
+	write();
+}
@@ -35,6 +35,12 @@ describe('GET /', function() {
 		assert.strictEqual(elem.eq(0).attr('href'), '/new');
 	});
 
+	it('should link to the portfolio overview', function() {
+		const elem = this.last.dom('[data-test=portfolio-link]');
+		assert.strictEqual(elem.length, 1);
+		assert.strictEqual(elem.eq(0).attr('href'), '/portfolio');
+	});
+
 	it('should display all of the expected tasks', function() {
 		const tasks = this.last.dom('[data-test=task]');
 		assert.strictEqual(tasks.length, 4);
@@ -91,6 +97,20 @@ describe('GET /', function() {
 		assert.match(tasks.eq(0).text(), /3\s*notices/i);
 	});
 
+	it('should display an accessibility score if the task has been run', function() {
+		const score = this.last.dom('[data-test=task]').eq(0).find('[data-test=task-score]');
+		assert.strictEqual(score.length, 1);
+		const value = Number(score.find('.score-value').text().replace(/\D+/g, ''));
+		assert.isTrue(value >= 0 && value <= 100);
+		assert.match(score.find('.score-average').text(), /average \d+/i);
+		assert.match(score.find('[data-test=score-regression]').text(), /regress/i);
+	});
+
+	it('should not display a score if the task has not been run', function() {
+		const tasks = this.last.dom('[data-test=task]');
+		assert.strictEqual(tasks.eq(2).find('[data-test=task-score]').length, 0);
+	});
+
 	it('should indicate there are no results if the task has not been run', function() {
 		const tasks = this.last.dom('[data-test=task]');
 		assert.match(tasks.eq(2).text(), /no results/i);
@@ -0,0 +1,232 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const assert = require('proclaim');
+const {hashPassword} = require('../../../auth/password');
+const startApp = require('../helper/app');
+
+describe('Sign in', function() {
+	before(async function() {
+		this.app = await startApp(directory => {
+			this.usersFile = path.join(directory, 'users.json');
+			this.writeUsers = users => fs.writeFileSync(this.usersFile, JSON.stringify(users));
+			this.writeUsers([
+				{
+					username: 'edith',
+					password: hashPassword('password'),
+					role: 'editor'
+				},
+				{
+					username: 'vic',
+					password: hashPassword('password'),
+					role: 'viewer'
+				}
+			]);
+			return {
+				auth: {
+					usersFile: this.usersFile,
+					tokensFile: path.join(directory, 'tokens.json'),
+					secret: 'secret',
+					sessionHours: 2
+				}
+			};
+		});
+
+		// Sign in and keep the session cookies
+		this.signIn = async (username, next = '/') => {
+			const response = await this.post('/login', {
+				username,
+				password: 'password',
+				next
+			});
+			this.cookie = response.headers.getSetCookie()
+				.map(cookie => cookie.split(';')[0])
+				.join('; ');
+			return response;
+		};
+		this.post = (endpoint, form) => fetch(`${this.app.baseUrl}${endpoint}`, {
+			method: 'POST',
+			body: new URLSearchParams(form),
+			headers: {Cookie: this.cookie || ''},
+			redirect: 'manual'
+		});
+		this.get = endpoint => fetch(`${this.app.baseUrl}${endpoint}`, {
+			headers: {Cookie: this.cookie || ''},
+			redirect: 'manual'
+		});
+		this.getWithSession = (endpoint, session) => fetch(`${this.app.baseUrl}${endpoint}`, {
+			headers: {Cookie: writeSession(session, 'secret')},
+			redirect: 'manual'
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	beforeEach(function() {
+		this.cookie = null;
+	});
+
+	describe('POST /login with an incorrect password', function() {
+		it('should send a 401 status', async function() {
+			const response = await this.post('/login', {
+				username: 'edith',
+				password: 'nope'
+			});
+			assert.strictEqual(response.status, 401);
+		});
+	});
+
+	describe('POST /login with a correct password', function() {
+		it('should redirect to the next page', async function() {
+			const response = await this.signIn('edith', '/new?project=1');
+			assert.strictEqual(response.status, 302);
+			assert.strictEqual(response.headers.get('location'), '/new?project=1');
+		});
+
+		it('should not redirect to other sites', async function() {
+			for (const next of ['//example.com', '/\\example.com', 'https://example.com']) {
+				const response = await this.signIn('edith', next);
+				assert.strictEqual(response.headers.get('location'), '/');
+			}
+		});
+
+		it('should set a session cookie which expires', async function() {
+			const response = await this.signIn('edith');
+			const cookie = response.headers.getSetCookie()[0];
+			const expires = new Date(/expires=([^;]+)/i.exec(cookie)[1]);
+			const hours = (expires - Date.now()) / (60 * 60 * 1000);
+			assert.isTrue(hours > 1.9 && hours <= 2);
+		});
+	});
+
+	describe('when an old session cookie is replayed', function() {
+		it('should let a session signed in recently through', async function() {
+			await this.signIn('edith');
+			const response = await this.getWithSession('/new', readSession(this.cookie));
+			assert.strictEqual(response.status, 200);
+		});
+
+		it('should redirect to sign in once the session length has passed', async function() {
+			await this.signIn('edith');
+			const session = readSession(this.cookie);
+			session.signedInAt -= 3 * 60 * 60 * 1000;
+			const response = await this.getWithSession('/new', session);
+			assert.strictEqual(response.status, 302);
+			assert.match(response.headers.get('location'), /^\/login/);
+		});
+
+		it('should redirect to sign in if the session has no sign in time', async function() {
+			const response = await this.getWithSession('/new', {
+				user: {
+					username: 'edith',
+					role: 'editor'
+				}
+			});
+			assert.strictEqual(response.status, 302);
+			assert.match(response.headers.get('location'), /^\/login/);
+		});
+	});
+
+	describe('GET /new', function() {
+		it('should redirect people who are not signed in to sign in', async function() {
+			const response = await this.get('/new');
+			assert.strictEqual(response.status, 302);
+			assert.strictEqual(response.headers.get('location'), '/login?next=%2Fnew');
+		});
+
+		it('should let editors in', async function() {
+			await this.signIn('edith');
+			const response = await this.get('/new');
+			assert.strictEqual(response.status, 200);
+		});
+
+		it('should not let viewers in', async function() {
+			await this.signIn('vic');
+			const response = await this.get('/new');
+			assert.strictEqual(response.status, 403);
+		});
+	});
+
+	describe('when a signed in user is changed in the users file', function() {
+		afterEach(function() {
+			this.writeUsers([
+				{
+					username: 'edith',
+					password: hashPassword('password'),
+					role: 'editor'
+				},
+				{
+					username: 'vic',
+					password: hashPassword('password'),
+					role: 'viewer'
+				}
+			]);
+		});
+
+		it('should use their new role straight away', async function() {
+			await this.signIn('edith');
+			this.writeUsers([
+				{
+					username: 'edith',
+					password: hashPassword('password'),
+					role: 'viewer'
+				}
+			]);
+			const response = await this.get('/new');
+			assert.strictEqual(response.status, 403);
+		});
+
+		it('should sign them out if they have been removed', async function() {
+			await this.signIn('edith');
+			this.writeUsers([]);
+			const response = await this.get('/new');
+			assert.strictEqual(response.status, 302);
+			assert.match(response.headers.get('location'), /^\/login/);
+		});
+
+		it('should keep using the last good copy if the file is broken', async function() {
+			await this.signIn('edith');
+			fs.writeFileSync(this.usersFile, '[{"username": ');
+			const response = await this.get('/new');
+			assert.strictEqual(response.status, 200);
+		});
+	});
+});
+
+// Read the session out of the cookies set by `cookie-session`
+function readSession(cookie) {
+	const value = /pa11y-dashboard=([^;]+)/.exec(cookie)[1];
+	return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+}
+
+// Write a session cookie signed the way `cookie-session` signs it
+function writeSession(session, secret) {
+	const value = Buffer.from(JSON.stringify(session)).toString('base64');
+	const signature = crypto.createHmac('sha1', secret)
+		.update(`pa11y-dashboard=${value}`)
+		.digest('base64')
+		.replace(/\/|\+|=/g, character => ({
+			'/': '_',
+			'+': '-',
+			'=': ''
+		})[character]);
+	return `pa11y-dashboard=${value}; pa11y-dashboard.sig=${signature}`;
+}
@@ -96,6 +96,15 @@ describe('GET /new', function() {
 			assert.notStrictEqual(fields.length, 0);
 		});
 
+		it('should have "ignore" fields for WCAG 2.1 success criteria', function() {
+			const rule = 'WCAG2AA.Principle1.Guideline1_3.1_3_5.H98';
+			const field = this.form.find(`input[value="${rule}"]`);
+			assert.strictEqual(field.length, 1);
+			const label = this.form.find(`label[for="${field.attr('id')}"]`);
+			assert.strictEqual(label.find('.rule-since').text(), 'WCAG 2.1');
+			assert.match(label.attr('title'), /^1\.3\.5 Identify Input Purpose: /);
+		});
+
 		it('should have a "hideElements" field', function() {
 			const field = this.form.find('input[name=hideElements]').eq(0);
 			assert.isDefined(field);
@@ -107,6 +116,61 @@ describe('GET /new', function() {
 			const field = this.form.find('textarea[name=headers]').eq(0);
 			assert.isDefined(field);
 		});
+
+		it('should have a "schedule" field', function() {
+			const field = this.form.find('input[name=schedule]').eq(0);
+			assert.isDefined(field);
+			assert.strictEqual(field.attr('type'), 'text');
+			assert.strictEqual(field.attr('value'), '');
+		});
+
+		it('should have a "runners" field which defaults to HTML_CodeSniffer', function() {
+			const field = this.form.find('select[name=runners]').eq(0);
+			assert.strictEqual(field.length, 1);
+			assert.deepEqual(field.find('option').map((i, option) => option.attribs.value).get(), [
+				'',
+				'axe',
+				'htmlcs,axe'
+			]);
+			assert.strictEqual(field.find('option[selected]').text(), 'HTML_CodeSniffer');
+		});
+
+		it('should have an unchecked "screenshot" field', function() {
+			const field = this.form.find('input[type=checkbox][name=screenshot]');
+			assert.strictEqual(field.length, 1);
+			assert.strictEqual(field.attr('value'), 'true');
+			assert.isUndefined(field.attr('checked'));
+		});
+	});
+
+	describe('"Add New URL" form device fields', function() {
+		beforeEach(function() {
+			this.form = this.last.dom('[data-test=new-url-form]').eq(0);
+		});
+
+		it('should have a "device" field and empty fields to override it', function() {
+			const field = this.form.find('select[name=device]').eq(0);
+			assert.strictEqual(field.length, 1);
+			assert.deepEqual(field.find('option').map((i, option) => option.attribs.value).get(), [
+				'',
+				'desktop-1280',
+				'desktop-1920',
+				'ipad',
+				'iphone',
+				'android'
+			]);
+			assert.strictEqual(field.find('option[selected]').attr('value'), '');
+			const names = [
+				'viewportWidth',
+				'viewportHeight',
+				'deviceScaleFactor',
+				'viewports',
+				'userAgent'
+			];
+			names.forEach(name => {
+				assert.strictEqual(this.form.find(`input[name=${name}]`).attr('value'), '');
+			});
+		});
 	});
 });
 
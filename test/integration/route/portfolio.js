@@ -0,0 +1,73 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const assert = require('proclaim');
+
+describe('GET /portfolio', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/portfolio'
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should display the totals from the last result of each task', function() {
+		const counts = this.last.dom('[data-test=portfolio-counts]');
+		assert.strictEqual(counts.length, 1);
+		assert.match(counts.text(), /\d+\s*errors/i);
+		assert.match(counts.text(), /\d+\s*warnings/i);
+		assert.match(counts.text(), /\d+\s*notices/i);
+	});
+
+	it('should list at most 10 of the most common rules', function() {
+		const rules = this.last.dom('[data-test=portfolio-rule]');
+		assert.isTrue(rules.length <= 10);
+	});
+
+	it('should list the tasks which have never been run as stale', function() {
+		const stale = this.last.dom('[data-test=portfolio-stale-task]');
+		const names = stale.map((index, row) => this.last.dom(row).find('a').text()).get();
+		assert.include(names, 'Nature News');
+	});
+
+	it('should plot a trend of the totals and scores', function() {
+		const rows = this.last.dom('#graph-data [data-role=url-stats]');
+		assert.notStrictEqual(rows.length, 0);
+		assert.strictEqual(rows.find('[data-label=score]').length, rows.length);
+	});
+});
+
+describe('GET /portfolio?stale=1000000', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/portfolio?stale=1000000'
+		};
+		this.navigate(request, done);
+	});
+
+	it('should only list tasks which have not been run in that many days', function() {
+		const stale = this.last.dom('[data-test=portfolio-stale-task]');
+		stale.each((index, row) => {
+			assert.match(this.last.dom(row).text(), /never/i);
+		});
+	});
+});
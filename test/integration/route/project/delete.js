@@ -0,0 +1,56 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {promisify} = require('util');
+const assert = require('proclaim');
+const startApp = require('../../helper/app');
+
+describe('POST /projects/<project-id>/delete', function() {
+	before(async function() {
+		this.app = await startApp();
+		this.project = await promisify(this.app.webservice.projects.create)({
+			name: 'Marketing site'
+		});
+		this.task = await promisify(this.app.webservice.tasks.create)({
+			name: 'Home',
+			url: 'https://example.com/',
+			project: this.project.id
+		});
+		this.response = await fetch(`${this.app.baseUrl}/projects/${this.project.id}/delete`, {
+			method: 'POST',
+			redirect: 'manual'
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should redirect to the home page', function() {
+		assert.strictEqual(this.response.status, 302);
+		assert.strictEqual(this.response.headers.get('location'), '/?project-deleted');
+	});
+
+	it('should delete the project', async function() {
+		const projects = await promisify(this.app.webservice.projects.get)({});
+		assert.lengthEquals(projects, 0);
+	});
+
+	it('should keep the project\'s tasks, outside of a project', async function() {
+		const task = await promisify(this.app.webservice.task(this.task.id).get)({});
+		assert.isUndefined(task.project);
+	});
+});
@@ -0,0 +1,71 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {promisify} = require('util');
+const assert = require('proclaim');
+const startApp = require('../../helper/app');
+
+describe('POST /projects/<project-id>/edit', function() {
+	before(async function() {
+		this.app = await startApp();
+		this.project = await promisify(this.app.webservice.projects.create)({
+			name: 'Marketing site',
+			standard: 'WCAG2AA'
+		});
+		this.getProject = () => promisify(this.app.webservice.project(this.project.id).get)({});
+		this.post = form => fetch(`${this.app.baseUrl}/projects/${this.project.id}/edit`, {
+			method: 'POST',
+			body: new URLSearchParams(form),
+			redirect: 'manual'
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should save the changes and redirect back to the form', async function() {
+		const response = await this.post({
+			name: 'Main site',
+			standard: 'WCAG2AAA',
+			hideElements: '#cookie-banner'
+		});
+		assert.strictEqual(response.status, 302);
+		assert.strictEqual(
+			response.headers.get('location'),
+			`/projects/${this.project.id}/edit?edited`
+		);
+		const project = await this.getProject();
+		assert.strictEqual(project.name, 'Main site');
+		assert.strictEqual(project.standard, 'WCAG2AAA');
+		assert.strictEqual(project.hideElements, '#cookie-banner');
+	});
+
+	it('should not save a project without a name', async function() {
+		const response = await this.post({name: ' '});
+		assert.strictEqual(response.status, 200);
+		assert.match(await response.text(), /Please enter a project name/);
+		assert.strictEqual((await this.getProject()).name, 'Main site');
+	});
+
+	it('should send a 404 status for a project which doesn\'t exist', async function() {
+		const response = await fetch(`${this.app.baseUrl}/projects/nope/edit`, {
+			method: 'POST',
+			body: new URLSearchParams({name: 'Nope'})
+		});
+		assert.strictEqual(response.status, 404);
+	});
+});
@@ -0,0 +1,70 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {promisify} = require('util');
+const assert = require('proclaim');
+const startApp = require('../../helper/app');
+
+describe('POST /projects/new', function() {
+	before(async function() {
+		this.app = await startApp();
+		this.post = form => fetch(`${this.app.baseUrl}/projects/new`, {
+			method: 'POST',
+			body: new URLSearchParams(form),
+			redirect: 'manual'
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	describe('with a name', function() {
+		before(async function() {
+			this.response = await this.post({
+				name: 'Marketing site',
+				standard: 'WCAG2AAA',
+				headers: 'Cookie: foo=bar',
+				hideElements: '.advert'
+			});
+			this.projects = await promisify(this.app.webservice.projects.get)({});
+		});
+
+		it('should redirect to the new project', function() {
+			assert.strictEqual(this.response.status, 302);
+			assert.strictEqual(
+				this.response.headers.get('location'),
+				`/projects/${this.projects[0].id}?added`
+			);
+		});
+
+		it('should create the project with its defaults', function() {
+			assert.lengthEquals(this.projects, 1);
+			assert.strictEqual(this.projects[0].name, 'Marketing site');
+			assert.strictEqual(this.projects[0].standard, 'WCAG2AAA');
+			assert.deepEqual(this.projects[0].headers, {cookie: 'foo=bar'});
+			assert.strictEqual(this.projects[0].hideElements, '.advert');
+		});
+	});
+
+	describe('without a name', function() {
+		it('should show the form again with an error', async function() {
+			const response = await this.post({name: ''});
+			assert.strictEqual(response.status, 200);
+			assert.match(await response.text(), /data-test="error"/);
+		});
+	});
+});
@@ -0,0 +1,102 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {promisify} = require('util');
+const assert = require('proclaim');
+const {applyProjectDefaults} = require('../../../../local-webservice');
+const startApp = require('../../helper/app');
+
+describe('GET /projects/<project-id>/run', function() {
+	before(async function() {
+		this.app = await startApp();
+		this.project = await promisify(this.app.webservice.projects.create)({
+			name: 'Marketing site'
+		});
+		// Nothing listens on the tasks' port, so their runs fail quickly
+		for (const path of ['/', '/about']) {
+			await promisify(this.app.webservice.tasks.create)({
+				name: path,
+				url: `http://127.0.0.1:1${path}`,
+				project: this.project.id
+			});
+		}
+		this.get = endpoint => fetch(`${this.app.baseUrl}${endpoint}`, {redirect: 'manual'});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should queue a run of every task in the project', async function() {
+		const response = await this.get(`/projects/${this.project.id}/run`);
+		assert.strictEqual(response.status, 302);
+		assert.strictEqual(
+			response.headers.get('location'),
+			`/projects/${this.project.id}?running=2`
+		);
+	});
+
+	it('should send a 404 status for a project which doesn\'t exist', async function() {
+		const response = await this.get('/projects/nope/run');
+		assert.strictEqual(response.status, 404);
+	});
+});
+
+describe('Project defaults', function() {
+	const project = {
+		standard: 'WCAG2AAA',
+		headers: {
+			Cookie: 'project',
+			'X-Project': 'yes'
+		},
+		hideElements: '.advert',
+		ignore: ['rule-a', 'rule-b']
+	};
+
+	it('should give a task without its own settings the project\'s', function() {
+		const task = applyProjectDefaults({url: 'https://example.com/'}, project);
+		assert.strictEqual(task.standard, 'WCAG2AAA');
+		assert.deepEqual(task.headers, project.headers);
+		assert.strictEqual(task.hideElements, '.advert');
+		assert.deepEqual(task.ignore, ['rule-a', 'rule-b']);
+	});
+
+	it('should let a task\'s own standard and headers win', function() {
+		const task = applyProjectDefaults({
+			standard: 'WCAG2A',
+			headers: {Cookie: 'task'}
+		}, project);
+		assert.strictEqual(task.standard, 'WCAG2A');
+		assert.deepEqual(task.headers, {
+			Cookie: 'task',
+			'X-Project': 'yes'
+		});
+	});
+
+	it('should combine hidden elements and ignored rules', function() {
+		const task = applyProjectDefaults({
+			hideElements: '#modal',
+			ignore: ['rule-b', 'rule-c']
+		}, project);
+		assert.strictEqual(task.hideElements, '.advert, #modal');
+		assert.deepEqual(task.ignore, ['rule-a', 'rule-b', 'rule-c']);
+	});
+
+	it('should leave a task which isn\'t in a project as it is', function() {
+		const task = {standard: 'WCAG2A'};
+		assert.strictEqual(applyProjectDefaults(task, null), task);
+	});
+});
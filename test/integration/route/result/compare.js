@@ -0,0 +1,101 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const assert = require('proclaim');
+
+const taskUrl = '/abc000000000000000000001';
+const compareUrl = `${taskUrl}/compare/def000000000000000000003/def000000000000000000001`;
+
+describe('GET /<task-id>/compare/<result-id>/<result-id>', function() {
+
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: compareUrl
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should display a summary of the changes', function() {
+		assert.strictEqual(this.last.dom('[data-test=compare-summary]').length, 1);
+		assert.strictEqual(this.last.dom('[data-test=compare-errors]').length, 1);
+	});
+
+	it('should display a link to the comparison JSON', function() {
+		const elem = this.last.dom('[data-test=download-json]');
+		assert.strictEqual(elem.length, 1);
+		assert.strictEqual(
+			elem.eq(0).attr('href'),
+			`${compareUrl}.json`
+		);
+	});
+
+});
+
+describe('GET /<task-id>/compare/<result-id>/<result-id>.json', function() {
+
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: `${compareUrl}.json`,
+			nonDom: true,
+			json: true
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should output the compared results', function() {
+		const json = this.last.body;
+		assert.strictEqual(json.task.name, 'NPG Home');
+		assert.strictEqual(json.base.id, 'def000000000000000000003');
+		assert.strictEqual(json.head.id, 'def000000000000000000001');
+	});
+
+	it('should output new, fixed and unchanged issues by type', function() {
+		const json = this.last.body;
+		['error', 'warning', 'notice'].forEach(type => {
+			assert.isArray(json[type].new);
+			assert.isArray(json[type].fixed);
+			assert.isArray(json[type].unchanged);
+			assert.isNumber(json.count[type].new);
+		});
+	});
+
+});
+
+describe('GET /<task-id>/compare/<result-id>/<unknown-result-id>', function() {
+
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: `${taskUrl}/compare/def000000000000000000003/def000000000000000000099`
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 404 status', function() {
+		assert.strictEqual(this.last.status, 404);
+	});
+
+});
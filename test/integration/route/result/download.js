@@ -60,3 +60,108 @@ describe('GET /<task-id>/<result-id>.json', function() {
 		assert.isArray(json.results);
 	});
 });
+
+describe('GET /<task-id>/<result-id>.sarif', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/abc000000000000000000001/def000000000000000000001.sarif',
+			nonDom: true
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should output a SARIF log', function() {
+		const sarif = JSON.parse(this.last.body);
+		assert.strictEqual(sarif.version, '2.1.0');
+		assert.lengthOf(sarif.runs, 1);
+		assert.strictEqual(sarif.runs[0].tool.driver.name, 'Pa11y Dashboard');
+	});
+
+	it('should map each issue to a result of its rule', function() {
+		const run = JSON.parse(this.last.body).runs[0];
+		const ruleIds = run.tool.driver.rules.map(rule => rule.id);
+		const levels = run.results.map(result => result.level);
+		assert.lengthOf(run.results, 6);
+		run.results.forEach(result => {
+			assert.include(ruleIds, result.ruleId);
+			const location = result.locations[0].physicalLocation;
+			assert.strictEqual(location.artifactLocation.uri, 'nature.com');
+		});
+		assert.lengthOf(levels.filter(level => level === 'error'), 1);
+		assert.lengthOf(levels.filter(level => level === 'warning'), 2);
+		assert.lengthOf(levels.filter(level => level === 'note'), 3);
+	});
+});
+
+describe('GET /<task-id>/<result-id>.junit.xml', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/abc000000000000000000001/def000000000000000000001.junit.xml',
+			nonDom: true
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should output a JUnit report with a failed test case for each issue', function() {
+		assert.match(this.last.body, /^<\?xml/);
+		assert.match(this.last.body, /<testsuite name="Pa11y NPG Home \(nature.com\)"/);
+		assert.match(this.last.body, /tests="6" failures="6"/);
+		assert.match(this.last.body, /<failure [^>]*type="error"/);
+		assert.match(this.last.body, /<failure [^>]*type="notice"/);
+	});
+});
+
+describe('GET /<task-id>/<result-id>.html', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/abc000000000000000000001/def000000000000000000001.html'
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should output a standalone report', function() {
+		assert.match(this.last.dom('h1').text(), /NPG Home/);
+		assert.strictEqual(this.last.dom('link[rel=stylesheet]').length, 0);
+	});
+
+	it('should display the counts of each type of issue', function() {
+		const counts = this.last.dom('[data-test=report-counts]').text();
+		assert.match(counts, /1\s+Errors/);
+		assert.match(counts, /2\s+Warnings/);
+		assert.match(counts, /3\s+Notices/);
+	});
+});
+
+describe('GET /<task-id>/<result-id>.pdf', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/abc000000000000000000001/def000000000000000000001.pdf',
+			nonDom: true
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should output a PDF', function() {
+		assert.match(this.last.body, /^%PDF-/);
+	});
+});
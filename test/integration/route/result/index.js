@@ -48,6 +48,42 @@ describe('GET /<task-id>/<result-id>', function() {
 		);
 	});
 
+	it('should display a "Download PDF report" button', function() {
+		const elem = this.last.dom('[data-test=download-pdf]');
+		assert.strictEqual(elem.length, 1);
+		assert.strictEqual(
+			elem.eq(0).attr('href'),
+			'/abc000000000000000000001/def000000000000000000001.pdf'
+		);
+	});
+
+	it('should display a "Download HTML report" button', function() {
+		const elem = this.last.dom('[data-test=download-html]');
+		assert.strictEqual(elem.length, 1);
+		assert.strictEqual(
+			elem.eq(0).attr('href'),
+			'/abc000000000000000000001/def000000000000000000001.html'
+		);
+	});
+
+	it('should display a "Download SARIF" button', function() {
+		const elem = this.last.dom('[data-test=download-sarif]');
+		assert.strictEqual(elem.length, 1);
+		assert.strictEqual(
+			elem.eq(0).attr('href'),
+			'/abc000000000000000000001/def000000000000000000001.sarif'
+		);
+	});
+
+	it('should display a "Download JUnit XML" button', function() {
+		const elem = this.last.dom('[data-test=download-junit]');
+		assert.strictEqual(elem.length, 1);
+		assert.strictEqual(
+			elem.eq(0).attr('href'),
+			'/abc000000000000000000001/def000000000000000000001.junit.xml'
+		);
+	});
+
 	it('should display a link back to the task', function() {
 		assert.isDefined(this.last.dom('[href="/abc000000000000000000001"]').eq(0));
 	});
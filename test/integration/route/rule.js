@@ -0,0 +1,70 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const assert = require('proclaim');
+
+describe('GET /rules/<code>', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/rules/WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail'
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should display the rule code', function() {
+		const heading = this.last.dom('h1').text();
+		assert.match(heading, /WCAG2AA\.Principle1\.Guideline1_4\.1_4_3\.G18\.Fail/);
+	});
+
+	it('should display solutions from the technique metadata', function() {
+		const solutions = this.last.dom('[data-test=rule-solutions]');
+		assert.strictEqual(solutions.length, 1);
+		assert.match(solutions.text(), /G18/);
+	});
+
+	it('should summarise where the rule occurs', function() {
+		const summary = this.last.dom('[data-test=rule-summary]').text();
+		assert.match(summary, /\d+ issue\(s\) on \d+ URL\(s\)/);
+	});
+
+	it('should list the shared selectors', function() {
+		assert.strictEqual(this.last.dom('[data-test=shared-selectors]').length, 1);
+	});
+});
+
+describe('GET /rules/<code> for a rule which is not broken', function() {
+	beforeEach(function(done) {
+		const request = {
+			method: 'GET',
+			endpoint: '/rules/not-a-real-rule'
+		};
+		this.navigate(request, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should not list any tasks', function() {
+		assert.strictEqual(this.last.dom('[data-test=rule-occurrence]').length, 0);
+		assert.match(this.last.dom('[data-test=rule-occurrences]').text(), /free of this rule/i);
+	});
+});
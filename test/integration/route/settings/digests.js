@@ -0,0 +1,147 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const {promisify} = require('util');
+const assert = require('proclaim');
+const {hashPassword} = require('../../../../auth/password');
+const startApp = require('../../helper/app');
+
+describe('Digest subscriptions', function() {
+	before(async function() {
+		this.app = await startApp(directory => {
+			const usersFile = path.join(directory, 'users.json');
+			fs.writeFileSync(usersFile, JSON.stringify([
+				{
+					username: 'ada',
+					password: hashPassword('password'),
+					role: 'admin'
+				}
+			]));
+			return {
+				auth: {
+					usersFile,
+					tokensFile: path.join(directory, 'tokens.json'),
+					secret: 'secret'
+				},
+				smtp: {
+					host: '127.0.0.1',
+					from: 'dashboard@example.com'
+				}
+			};
+		});
+		this.subscriptions = this.app.digests.subscriptions;
+
+		this.post = (endpoint, form) => fetch(`${this.app.baseUrl}${endpoint}`, {
+			method: 'POST',
+			body: new URLSearchParams(form),
+			headers: {Cookie: this.cookie || ''},
+			redirect: 'manual'
+		});
+		const signIn = await this.post('/login', {
+			username: 'ada',
+			password: 'password'
+		});
+		this.cookie = signIn.headers.getSetCookie()
+			.map(cookie => cookie.split(';')[0])
+			.join('; ');
+
+		this.createTask = () => promisify(this.app.webservice.tasks.create)({
+			name: 'Example',
+			url: 'https://example.com/'
+		});
+		this.createProject = () => promisify(this.app.webservice.projects.create)({
+			name: 'Example'
+		});
+		this.subscribe = (scope, target) => this.subscriptions.create({
+			owner: 'ada',
+			email: 'ada@example.com',
+			frequency: 'daily',
+			scope,
+			target
+		});
+	});
+
+	after(function() {
+		this.app.digests.stop();
+		return this.app.close();
+	});
+
+	it('should subscribe to a task which exists', async function() {
+		const task = await this.createTask();
+		const response = await this.post('/settings/digests', {
+			email: 'ada@example.com',
+			frequency: 'weekly',
+			target: `task:${task.id}`
+		});
+		assert.strictEqual(response.status, 302);
+		const subscription = this.subscriptions.list('ada').find(({target}) => target === task.id);
+		assert.isObject(subscription);
+		assert.strictEqual(subscription.frequency, 'weekly');
+		this.subscriptions.remove(subscription.id);
+	});
+
+	it('should not subscribe to a task or project which doesn\'t exist', async function() {
+		const before = this.subscriptions.list().length;
+		const taskResponse = await this.post('/settings/digests', {
+			email: 'ada@example.com',
+			frequency: 'daily',
+			target: 'task:missing'
+		});
+		assert.strictEqual(taskResponse.status, 400);
+		assert.include(await taskResponse.text(), 'Please choose a task or project for the digest');
+		const projectResponse = await this.post('/settings/digests', {
+			email: 'ada@example.com',
+			frequency: 'daily',
+			target: 'project:missing'
+		});
+		assert.strictEqual(projectResponse.status, 400);
+		assert.strictEqual(this.subscriptions.list().length, before);
+	});
+
+	it('should remove subscriptions to a task when it\'s deleted', async function() {
+		const task = await this.createTask();
+		const subscription = this.subscribe('task', task.id);
+		const response = await this.post(`/${task.id}/delete`, {});
+		assert.strictEqual(response.status, 302);
+		assert.isNull(this.subscriptions.get(subscription.id));
+	});
+
+	it('should remove subscriptions to a project when it\'s deleted', async function() {
+		const project = await this.createProject();
+		const subscription = this.subscribe('project', project.id);
+		const response = await this.post(`/projects/${project.id}/delete`, {});
+		assert.strictEqual(response.status, 302);
+		assert.isNull(this.subscriptions.get(subscription.id));
+	});
+
+	it('should remove subscriptions to deleted targets instead of sending them', async function() {
+		const subscription = this.subscribe('task', 'deleted-elsewhere');
+		await this.app.digests.sendDue();
+		assert.isNull(this.subscriptions.get(subscription.id));
+	});
+
+	it('should explain why a deleted target\'s digest can\'t be built', async function() {
+		const subscription = this.subscribe('project', 'deleted-elsewhere');
+		try {
+			await this.app.digests.build(subscription);
+			assert.fail('build should have rejected');
+		} catch (error) {
+			assert.strictEqual(error.message, 'The project for this digest has been deleted');
+		}
+	});
+});
@@ -0,0 +1,155 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('proclaim');
+const cheerio = require('cheerio');
+const {hashPassword} = require('../../../../auth/password');
+const startApp = require('../../helper/app');
+
+describe('API tokens', function() {
+	before(async function() {
+		this.app = await startApp(directory => {
+			const usersFile = path.join(directory, 'users.json');
+			fs.writeFileSync(usersFile, JSON.stringify([
+				{
+					username: 'edith',
+					password: hashPassword('password'),
+					role: 'editor'
+				},
+				{
+					username: 'vic',
+					password: hashPassword('password'),
+					role: 'viewer'
+				}
+			]));
+			return {
+				auth: {
+					usersFile,
+					tokensFile: path.join(directory, 'tokens.json'),
+					secret: 'secret',
+					anonymousRole: 'none'
+				}
+			};
+		});
+
+		this.request = (endpoint, options = {}) => fetch(`${this.app.baseUrl}${endpoint}`, {
+			redirect: 'manual',
+			...options
+		});
+
+		// Sign in and create a token on the API tokens page
+		this.createToken = async (username, scopes) => {
+			const signIn = await this.request('/login', {
+				method: 'POST',
+				body: new URLSearchParams({
+					username,
+					password: 'password'
+				})
+			});
+			const cookie = signIn.headers.getSetCookie()
+				.map(value => value.split(';')[0])
+				.join('; ');
+			const form = new URLSearchParams({name: 'CI'});
+			scopes.forEach(scope => form.append('scopes', scope));
+			const response = await this.request('/settings/tokens', {
+				method: 'POST',
+				body: form,
+				headers: {Cookie: cookie}
+			});
+			return cheerio.load(await response.text())('[data-test=new-token]').text();
+		};
+
+		this.api = (method, endpoint, token, body) => this.request(`/api/v1${endpoint}`, {
+			method,
+			headers: {
+				Authorization: `Bearer ${token}`,
+				'Content-Type': 'application/json'
+			},
+			body: (body ? JSON.stringify(body) : undefined)
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should let a token with the read scope list tasks', async function() {
+		const token = await this.createToken('edith', ['read']);
+		assert.match(token, /^pa11y_/);
+		const response = await this.api('GET', '/tasks', token);
+		assert.strictEqual(response.status, 200);
+		assert.isArray(await response.json());
+	});
+
+	it('should not let a token do more than its scopes allow', async function() {
+		const token = await this.createToken('edith', ['read']);
+		const response = await this.api('POST', '/tasks', token, {
+			name: 'Example',
+			url: 'https://example.com/',
+			standard: 'WCAG2AA'
+		});
+		assert.strictEqual(response.status, 403);
+	});
+
+	it('should let a token with the write scope add tasks', async function() {
+		const token = await this.createToken('edith', ['write']);
+		const response = await this.api('POST', '/tasks', token, {
+			name: 'Example',
+			url: 'https://example.com/',
+			standard: 'WCAG2AA'
+		});
+		assert.strictEqual(response.status, 201);
+	});
+
+	it('should not let a token do more than its owner\'s role allows', async function() {
+		const token = await this.createToken('vic', ['read', 'write']);
+		const response = await this.api('POST', '/tasks', token, {
+			name: 'Example',
+			url: 'https://example.com/',
+			standard: 'WCAG2AA'
+		});
+		assert.strictEqual(response.status, 403);
+	});
+
+	it('should reject unknown tokens', async function() {
+		const response = await this.api('GET', '/tasks', 'pa11y_unknown');
+		assert.strictEqual(response.status, 401);
+	});
+
+	it('should reject expired tokens', async function() {
+		const token = this.app.auth.tokens.create({
+			name: 'Old',
+			owner: 'edith',
+			scopes: ['read'],
+			expires: new Date(Date.now() - 1000).toISOString()
+		});
+		const response = await this.api('GET', '/tasks', token.secret);
+		assert.strictEqual(response.status, 401);
+	});
+
+	it('should reject revoked tokens', async function() {
+		const token = this.app.auth.tokens.create({
+			name: 'Revoked',
+			owner: 'edith',
+			scopes: ['read']
+		});
+		this.app.auth.tokens.revoke(token.id);
+		const response = await this.api('GET', '/tasks', token.secret);
+		assert.strictEqual(response.status, 401);
+	});
+});
@@ -0,0 +1,218 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const assert = require('proclaim');
+const cheerio = require('cheerio');
+const startApp = require('../../helper/app');
+
+describe('Webhooks', function() {
+	before(async function() {
+		// A local server for the webhooks to be sent to, which responds
+		// with each of `this.statuses` in turn and then with a 200
+		this.received = [];
+		this.statuses = [];
+		this.receiver = http.createServer((request, response) => {
+			let body = '';
+			request.on('data', chunk => {
+				body += chunk;
+			});
+			request.on('end', () => {
+				this.received.push({
+					headers: request.headers,
+					body
+				});
+				response.writeHead(this.statuses.shift() || 200);
+				response.end();
+			});
+		});
+		await new Promise(resolve => this.receiver.listen(0, '127.0.0.1', resolve));
+		this.receiverUrl = `http://127.0.0.1:${this.receiver.address().port}/hook`;
+
+		this.app = await startApp(directory => ({
+			url: 'https://dashboard.example.com/',
+			webhooks: {
+				file: `${directory}/webhooks.json`,
+				retries: 2,
+				retryDelay: 10
+			}
+		}));
+
+		this.request = (endpoint, options = {}) => fetch(`${this.app.baseUrl}${endpoint}`, {
+			redirect: 'manual',
+			...options
+		});
+
+		// Register a hook through the settings page
+		this.createHook = async (form, events = ['finished', 'failed']) => {
+			const body = new URLSearchParams({
+				name: 'Example',
+				url: this.receiverUrl,
+				...form
+			});
+			events.forEach(event => body.append('events', event));
+			const response = await this.request('/settings/webhooks', {
+				method: 'POST',
+				body
+			});
+			assert.strictEqual(response.status, 302);
+			return response.headers.get('location').match(/^\/settings\/webhooks\/([^?]+)/)[1];
+		};
+
+		this.run = {
+			task: {
+				id: 'abc123',
+				name: 'Example <home>',
+				url: 'https://example.com/',
+				standard: 'WCAG2AA'
+			},
+			status: 'finished',
+			results: [
+				{
+					id: 'def456',
+					date: '2026-10-19T10:00:00.000Z',
+					count: {
+						error: 2,
+						warning: 1,
+						notice: 0
+					},
+					previousCount: null
+				}
+			]
+		};
+	});
+
+	after(async function() {
+		await this.app.close();
+		await new Promise(resolve => this.receiver.close(resolve));
+	});
+
+	beforeEach(function() {
+		this.received.length = 0;
+		this.statuses.length = 0;
+	});
+
+	describe('JSON hooks', function() {
+		before(async function() {
+			this.hookId = await this.createHook({
+				format: 'json',
+				secret: 'shh'
+			});
+		});
+
+		after(function() {
+			this.app.webhooks.remove(this.hookId);
+		});
+
+		it('should sign the run with the hook\'s secret', async function() {
+			await this.app.webhooks.notify(this.run);
+			assert.lengthEquals(this.received, 1);
+			const {headers, body} = this.received[0];
+			const signature = crypto.createHmac('sha256', 'shh').update(body).digest('hex');
+			assert.strictEqual(headers['x-pa11y-signature'], `sha256=${signature}`);
+			assert.strictEqual(headers['x-pa11y-event'], 'finished');
+
+			const payload = JSON.parse(body);
+			assert.strictEqual(payload.event, 'finished');
+			assert.strictEqual(payload.task.id, 'abc123');
+			assert.strictEqual(payload.results[0].link, 'https://dashboard.example.com/abc123/def456');
+		});
+
+		it('should retry deliveries which get an error response', async function() {
+			this.statuses.push(500);
+			const [delivery] = await this.app.webhooks.notify(this.run);
+			assert.lengthEquals(this.received, 2);
+			assert.strictEqual(delivery.status, 'delivered');
+			assert.deepEqual(delivery.attempts.map(attempt => attempt.status), [500, 200]);
+			assert.strictEqual(
+				this.received[0].headers['x-pa11y-delivery'],
+				this.received[1].headers['x-pa11y-delivery']
+			);
+		});
+
+		it('should give up once it runs out of retries', async function() {
+			this.statuses.push(500, 502, 503);
+			const [delivery] = await this.app.webhooks.notify(this.run);
+			assert.lengthEquals(this.received, 3);
+			assert.strictEqual(delivery.status, 'failed');
+		});
+
+		it('should log each delivery on the hook\'s page', async function() {
+			this.statuses.push(500);
+			await this.app.webhooks.notify(this.run);
+			const response = await this.request(`/settings/webhooks/${this.hookId}`);
+			const $ = cheerio.load(await response.text());
+			const latest = $('[data-test=deliveries] tbody tr').first();
+			assert.strictEqual(latest.find('.label').text(), 'delivered');
+			assert.strictEqual(latest.find('li').length, 2);
+			assert.match(latest.find('li').first().text(), /HTTP 500/);
+		});
+
+	});
+
+	describe('Slack hooks', function() {
+		before(async function() {
+			this.hookId = await this.createHook({format: 'slack'});
+		});
+
+		after(function() {
+			this.app.webhooks.remove(this.hookId);
+		});
+
+		it('should send an escaped message which links to the results', async function() {
+			await this.app.webhooks.notify(this.run);
+			assert.lengthEquals(this.received, 1);
+			assert.isUndefined(this.received[0].headers['x-pa11y-signature']);
+			const {text} = JSON.parse(this.received[0].body);
+			assert.strictEqual(
+				text.split('\n')[0],
+				'*<https://dashboard.example.com/abc123/def456|Example &lt;home&gt; was tested>*'
+			);
+			assert.include(text, '2 errors, 1 warning, 0 notices');
+		});
+	});
+
+	describe('Teams hooks', function() {
+		before(async function() {
+			this.hookId = await this.createHook({format: 'teams'}, ['failed']);
+		});
+
+		after(function() {
+			this.app.webhooks.remove(this.hookId);
+		});
+
+		it('should send a message card for failed runs', async function() {
+			await this.app.webhooks.notify({
+				task: this.run.task,
+				status: 'failed',
+				error: 'Timed out',
+				results: []
+			});
+			assert.lengthEquals(this.received, 1);
+			const card = JSON.parse(this.received[0].body);
+			assert.strictEqual(card['@type'], 'MessageCard');
+			assert.strictEqual(card.title, 'Pa11y couldn\'t test Example <home>');
+			assert.strictEqual(card.themeColor, 'f0ad4e');
+			assert.include(card.text, 'Timed out');
+		});
+
+		it('should not send events which the hook doesn\'t want', async function() {
+			await this.app.webhooks.notify(this.run);
+			assert.lengthEquals(this.received, 0);
+		});
+	});
+});
@@ -0,0 +1,148 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('proclaim');
+const startApp = require('../../helper/app');
+
+describe('GET /<task-id>/history', function() {
+
+	describe('with no query', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'GET',
+				endpoint: '/abc000000000000000000001/history',
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 200 status', function() {
+			assert.strictEqual(this.last.status, 200);
+		});
+
+		it('should output the history as CSV, with the date of each run', function() {
+			assert.match(this.last.body, /^"date","taskId","taskName","url","resultId"/);
+			assert.match(this.last.body, /"abc000000000000000000001","NPG Home","nature.com"/);
+			assert.match(this.last.body, /"def000000000000000000001"/);
+		});
+	});
+
+	describe('with a JSON format and a type filter', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'GET',
+				endpoint: '/abc000000000000000000001/history',
+				query: {
+					format: 'json',
+					type: 'error'
+				},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 200 status', function() {
+			assert.strictEqual(this.last.status, 200);
+		});
+
+		it('should only output errors', function() {
+			assert.isArray(this.last.body);
+			assert.greaterThan(this.last.body.length, 0);
+			this.last.body.forEach(row => {
+				assert.strictEqual(row.type, 'error');
+				assert.isString(row.date);
+			});
+		});
+	});
+
+	describe('with an invalid format', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'GET',
+				endpoint: '/abc000000000000000000001/history',
+				query: {
+					format: 'xml'
+				},
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+		});
+	});
+
+});
+
+describe('GET /<task-id>/history with a date range', function() {
+	before(async function() {
+		const task = {
+			id: 'task1',
+			name: 'Example',
+			url: 'https://example.com/',
+			standard: 'WCAG2AA',
+			ignore: []
+		};
+		// Runs either side of midnight at the end of January, in UTC
+		const dates = ['2024-01-31T23:30:00.000Z', '2024-02-01T00:30:00.000Z'];
+		const records = [{
+			type: 'task',
+			task
+		}].concat(dates.map((date, index) => ({
+			type: 'result',
+			task: task.id,
+			result: {
+				id: `result${index + 1}`,
+				task: task.id,
+				date,
+				count: {
+					error: 1,
+					warning: 0,
+					notice: 0
+				},
+				results: [{
+					code: 'color-contrast',
+					type: 'error',
+					message: 'Low contrast',
+					selector: '#main > p'
+				}]
+			}
+		})));
+		this.app = await startApp(directory => {
+			const storePath = path.join(directory, 'store.jsonl');
+			const lines = records.map(record => JSON.stringify(record));
+			fs.writeFileSync(storePath, lines.join('\n'));
+			return {
+				store: {
+					type: 'file',
+					path: storePath
+				}
+			};
+		});
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should include the whole of the last day in UTC, as the API does', async function() {
+		const query = 'from=2024-01-31&to=2024-01-31';
+		const history = await fetch(`${this.app.baseUrl}/task1/history?format=json&${query}`);
+		const results = await fetch(`${this.app.baseUrl}/api/v1/tasks/task1/results?${query}`);
+		assert.deepEqual((await history.json()).map(row => row.resultId), ['result1']);
+		assert.deepEqual((await results.json()).map(result => result.id), ['result1']);
+	});
+});
@@ -0,0 +1,274 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('proclaim');
+const cheerio = require('cheerio');
+const startApp = require('../../helper/app');
+
+describe('GET /<task-id>/ignore', function() {
+
+	beforeEach(function(done) {
+		this.navigate({
+			method: 'GET',
+			endpoint: '/abc000000000000000000001/ignore',
+			query: {
+				rule: 'color-contrast',
+				selector: '#main > p'
+			}
+		}, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should display a form to ignore an issue', function() {
+		const form = this.last.dom('[data-test=ignore-issue-form]').eq(0);
+		assert.strictEqual(form.attr('action'), '/abc000000000000000000001/ignore');
+		assert.strictEqual(form.attr('method'), 'post');
+		assert.strictEqual(form.find('input[name=scoped]').length, 1);
+		assert.strictEqual(form.find('input[name=expires]').attr('type'), 'date');
+	});
+
+	it('should fill in the rule and selector of the issue', function() {
+		assert.strictEqual(this.last.dom('#ignore-rule').val(), 'color-contrast');
+		assert.strictEqual(this.last.dom('#ignore-selector').val(), '#main > p');
+	});
+
+});
+
+describe('POST /<task-id>/ignore', function() {
+
+	describe('with an issue which has no selector or context', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/abc000000000000000000001/ignore',
+				form: {
+					scoped: 'true',
+					rule: 'color-contrast',
+					selector: '',
+					context: ''
+				}
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+		});
+
+		it('should display an error message', function() {
+			const error = this.last.dom('[data-test=error]').text();
+			assert.match(error, /selector or some of the context/i);
+		});
+
+		it('should keep the values which were entered', function() {
+			assert.strictEqual(this.last.dom('#ignore-rule').val(), 'color-contrast');
+		});
+	});
+
+});
+
+describe('Ignored issues', function() {
+	before(async function() {
+		const project = {
+			id: 'project1',
+			name: 'Example'
+		};
+		const tasks = [
+			{
+				id: 'task1',
+				name: 'Blog post',
+				standard: 'WCAG2AA',
+				ignore: [],
+				url: 'https://example.com/blog/post',
+				project: project.id
+			},
+			{
+				id: 'task2',
+				name: 'Shop',
+				standard: 'WCAG2AA',
+				ignore: [],
+				url: 'https://example.com/shop',
+				project: project.id
+			}
+		];
+		const records = [{
+			type: 'project',
+			project
+		}];
+		tasks.forEach(task => {
+			records.push({
+				type: 'task',
+				task
+			}, {
+				type: 'result',
+				task: task.id,
+				result: createResult(task.id)
+			});
+		});
+		this.app = await startApp(directory => {
+			const storePath = path.join(directory, 'store.jsonl');
+			const lines = records.map(record => JSON.stringify(record));
+			fs.writeFileSync(storePath, lines.join('\n'));
+			return {
+				store: {
+					type: 'file',
+					path: storePath
+				}
+			};
+		});
+
+		this.ignore = async (taskId, form) => {
+			const response = await fetch(`${this.app.baseUrl}/${taskId}/ignore`, {
+				method: 'POST',
+				body: new URLSearchParams({
+					scoped: 'true',
+					...form
+				}),
+				redirect: 'manual'
+			});
+			assert.strictEqual(response.status, 302);
+		};
+
+		// Load a task's result page, and its JSON download. The selectors
+		// are those of the issues listed on the page
+		this.getResult = async taskId => {
+			const page = await fetch(`${this.app.baseUrl}/${taskId}/result1`);
+			const $ = cheerio.load(await page.text());
+			const download = await fetch(`${this.app.baseUrl}/${taskId}/result1.json`);
+			return {
+				$,
+				selectors: $('#errors-list, #warnings-list, #notices-list').find('code.code').get()
+					.map(code => $(code).text()),
+				highlights: $('.screenshot__highlight').get().map(span => $(span).attr('title')),
+				json: await download.json()
+			};
+		};
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	describe('when an issue is ignored on a URL', function() {
+		before(async function() {
+			await this.ignore('task1', {
+				rule: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+				selector: 'img.logo'
+			});
+			this.result = await this.getResult('task1');
+		});
+
+		it('should hide the issue from the result', function() {
+			assert.deepEqual(this.result.selectors, ['img.hero', 'b']);
+		});
+
+		it('should leave the issue out of the counts', function() {
+			assert.match(this.result.$('[data-test=task-errors]').text(), /Errors \( 1 \)/);
+			assert.strictEqual(this.result.json.count.error, 1);
+		});
+
+		it('should not outline the issue on the screenshot', function() {
+			assert.deepEqual(this.result.highlights, [
+				'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37: img.hero',
+				'WCAG2AA.Principle1.Guideline1_3.1_3_1.H49.B: b'
+			]);
+		});
+	});
+
+	describe('when an issue is ignored on a project for matching URLs', function() {
+		before(async function() {
+			await this.ignore('task1', {
+				scope: 'project',
+				urlPattern: 'https://example.com/blog/*',
+				rule: 'WCAG2AA.Principle1.Guideline1_3.1_3_1.H49.B',
+				selector: 'b'
+			});
+		});
+
+		it('should hide the issue from URLs which match', async function() {
+			const result = await this.getResult('task1');
+			assert.strictEqual(result.json.count.warning, 0);
+			assert.strictEqual(result.$('[data-test=ignore-project]').length, 1);
+		});
+
+		it('should not hide the issue from other URLs in the project', async function() {
+			const result = await this.getResult('task2');
+			assert.strictEqual(result.json.count.warning, 1);
+			assert.include(result.selectors, 'b');
+		});
+	});
+
+	describe('when an ignored issue has expired', function() {
+		before(async function() {
+			await this.ignore('task2', {
+				rule: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+				selector: 'img.logo',
+				expires: '2020-01-31'
+			});
+			this.result = await this.getResult('task2');
+		});
+
+		it('should no longer hide the issue', function() {
+			assert.include(this.result.selectors, 'img.logo');
+			assert.strictEqual(this.result.json.count.error, 2);
+		});
+
+		it('should show that it has expired', function() {
+			assert.strictEqual(this.result.$('[data-test=ignore-expired]').length, 1);
+		});
+	});
+});
+
+// A result with two errors and a warning, each outlined on the screenshot
+function createResult(taskId) {
+	const issue = (type, code, selector, top) => ({
+		type,
+		code,
+		selector,
+		context: `<${selector.split('.')[0]}>`,
+		message: 'An issue',
+		box: {
+			left: 0,
+			top,
+			width: 100,
+			height: 10
+		}
+	});
+	return {
+		id: 'result1',
+		task: taskId,
+		date: '2026-10-01T12:00:00.000Z',
+		count: {
+			error: 2,
+			warning: 1,
+			notice: 0
+		},
+		ignore: [],
+		screenshot: {
+			width: 1000,
+			height: 1000
+		},
+		results: [
+			issue('error', 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37', 'img.logo', 0),
+			issue('error', 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37', 'img.hero', 100),
+			issue('warning', 'WCAG2AA.Principle1.Guideline1_3.1_3_1.H49.B', 'b', 200)
+		]
+	};
+}
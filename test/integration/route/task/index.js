@@ -91,6 +91,19 @@ describe('GET /<task-id>', function() {
 			assert.isDefined(elem);
 			assert.match(elem.text(), /notices \( 3 \)/i);
 		});
+
+		it('should display the accessibility score', function() {
+			const elem = this.last.dom('[data-test=graph-score]');
+			assert.strictEqual(elem.length, 1);
+			assert.match(elem.text(), /accessibility score \d+ out of 100/i);
+		});
+
+		it('should add the scores to the graph data', function() {
+			const rows = this.last.dom('#graph-data [data-role=url-stats]');
+			assert.notStrictEqual(rows.length, 0);
+			assert.strictEqual(rows.find('[data-label=score]').length, rows.length);
+			assert.strictEqual(rows.find('[data-label=average]').length, rows.length);
+		});
 	});
 
 	describe('when task has no results', function() {
@@ -0,0 +1,39 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const assert = require('proclaim');
+
+describe('GET /<task-id>/runs/<job-id>', function() {
+
+	describe('when the job does not exist', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'GET',
+				endpoint: '/abc000000000000000000001/runs/notajob',
+				nonDom: true
+			}, done);
+		});
+
+		it('should send a 404 status', function() {
+			assert.strictEqual(this.last.status, 404);
+		});
+
+		it('should output a JSON error', function() {
+			assert.strictEqual(this.last.body.error, 'Job not found');
+		});
+	});
+
+});
@@ -0,0 +1,194 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {promisify} = require('util');
+const assert = require('proclaim');
+const cheerio = require('cheerio');
+const startApp = require('../../helper/app');
+
+describe('GET /<task-id>/triage', function() {
+
+	beforeEach(function(done) {
+		this.navigate({
+			method: 'GET',
+			endpoint: '/abc000000000000000000001/triage'
+		}, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should display the task name', function() {
+		assert.match(this.last.dom('h1').text(), /NPG Home/);
+	});
+
+});
+
+describe('GET /<task-id>/triage/edit', function() {
+
+	beforeEach(function(done) {
+		this.navigate({
+			method: 'GET',
+			endpoint: '/abc000000000000000000001/triage/edit',
+			query: {
+				code: 'color-contrast',
+				selector: '#main > p'
+			}
+		}, done);
+	});
+
+	it('should send a 200 status', function() {
+		assert.strictEqual(this.last.status, 200);
+	});
+
+	it('should display a form to triage the issue', function() {
+		const form = this.last.dom('[data-test=triage-form]').eq(0);
+		assert.strictEqual(form.attr('action'), '/abc000000000000000000001/triage');
+		assert.strictEqual(form.find('input[name=code]').val(), 'color-contrast');
+		assert.strictEqual(form.find('input[name=selector]').val(), '#main > p');
+	});
+
+	it('should start new records as open', function() {
+		assert.strictEqual(this.last.dom('#triage-status option[selected]').val(), 'open');
+	});
+
+});
+
+describe('POST /<task-id>/triage', function() {
+
+	describe('with an unknown status', function() {
+		beforeEach(function(done) {
+			this.navigate({
+				method: 'POST',
+				endpoint: '/abc000000000000000000001/triage',
+				form: {
+					code: 'color-contrast',
+					selector: '#main > p',
+					status: 'done'
+				}
+			}, done);
+		});
+
+		it('should send a 400 status', function() {
+			assert.strictEqual(this.last.status, 400);
+		});
+
+		it('should display an error message', function() {
+			assert.match(this.last.dom('[data-test=error]').text(), /unknown status/i);
+		});
+	});
+
+});
+
+describe('Triage records after a run', function() {
+	before(async function() {
+		this.app = await startApp();
+		this.task = await promisify(this.app.webservice.tasks.create)({
+			name: 'Home',
+			url: 'https://example.com/',
+			standard: 'WCAG2AA'
+		});
+
+		// Triage an issue of the task, as an editor would
+		this.triage = async (selector, status) => {
+			const response = await fetch(`${this.app.baseUrl}/${this.task.id}/triage`, {
+				method: 'POST',
+				body: new URLSearchParams({
+					code: 'color-contrast',
+					selector,
+					status
+				}),
+				redirect: 'manual'
+			});
+			assert.strictEqual(response.status, 302);
+		};
+
+		// A finished run of the task which found issues at the selectors
+		this.run = selectors => this.app.triage.update(this.task.id, selectors.map(selector => ({
+			code: 'color-contrast',
+			selector
+		})));
+
+		this.getRecord = selector => this.app.triage.get(this.task.id, 'color-contrast', selector);
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	describe('when a run no longer finds an issue', function() {
+		before(async function() {
+			await this.triage('#open', 'open');
+			await this.triage('#in-progress', 'in-progress');
+			await this.triage('#wont-fix', 'wont-fix');
+			await this.triage('#false-positive', 'false-positive');
+			await this.triage('#still-there', 'in-progress');
+			this.changed = this.run(['#still-there']);
+		});
+
+		it('should close open and in progress records as fixed', function() {
+			assert.strictEqual(this.changed, 2);
+			for (const selector of ['#open', '#in-progress']) {
+				const record = this.getRecord(selector);
+				assert.strictEqual(record.status, 'fixed');
+				assert.isTrue(record.closedAutomatically);
+				assert.isString(record.closed);
+			}
+		});
+
+		it('should leave records which are still found, or won\'t be fixed', function() {
+			assert.strictEqual(this.getRecord('#still-there').status, 'in-progress');
+			assert.strictEqual(this.getRecord('#wont-fix').status, 'wont-fix');
+			assert.strictEqual(this.getRecord('#false-positive').status, 'false-positive');
+		});
+
+		it('should show that the run closed the records', async function() {
+			const page = await fetch(`${this.app.baseUrl}/${this.task.id}/triage`);
+			const $ = cheerio.load(await page.text());
+			const closed = $('[data-test=triage-record]').get()
+				.filter(row => /Closed by the run/.test($(row).text()))
+				.map(row => $(row).find('code').text());
+			assert.deepEqual(closed.sort(), ['#in-progress', '#open']);
+		});
+
+		it('should not change the records again on the next run', function() {
+			assert.strictEqual(this.run(['#still-there']), 0);
+		});
+	});
+
+	describe('when a run finds a fixed issue again', function() {
+		before(async function() {
+			await this.triage('#back', 'in-progress');
+			this.run([]);
+			this.changed = this.run(['#back']);
+		});
+
+		it('should reopen the record', function() {
+			const record = this.getRecord('#back');
+			assert.strictEqual(this.changed, 1);
+			assert.strictEqual(record.status, 'open');
+			assert.isFalse(record.closedAutomatically);
+			assert.isString(record.reopened);
+		});
+
+		it('should reopen records which were closed by hand', async function() {
+			await this.triage('#by-hand', 'fixed');
+			assert.strictEqual(this.run(['#back', '#by-hand']), 1);
+			assert.strictEqual(this.getRecord('#by-hand').status, 'open');
+		});
+	});
+});
@@ -0,0 +1,112 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('proclaim');
+const createStore = require('../../../store');
+const startApp = require('../helper/app');
+
+describe('File store', function() {
+	before(async function() {
+		// The store is written to, then read back by a dashboard as if
+		// it had been restarted
+		this.app = await startApp(directory => {
+			this.storePath = path.join(directory, 'store', 'store.jsonl');
+			const store = createStore({
+				type: 'file',
+				path: this.storePath
+			});
+			const task = {
+				id: 'task1',
+				name: 'Home',
+				url: 'https://example.com/',
+				standard: 'WCAG2AA',
+				ignore: []
+			};
+			store.saveTask(task);
+			['result1', 'result2'].forEach((id, index) => {
+				store.addResult(task.id, {
+					id,
+					task: task.id,
+					date: `2026-10-0${index + 1}T12:00:00.000Z`,
+					count: {
+						error: index,
+						warning: 0,
+						notice: 0
+					},
+					results: []
+				});
+			});
+			store.saveScreenshot(task.id, 'result2', Buffer.from('image'));
+			// Editing a task after it has run mustn't lose its last result
+			task.name = 'Home page';
+			store.saveTask(task);
+			store.saveTask({
+				id: 'task2',
+				name: 'Deleted',
+				url: 'https://example.com/deleted'
+			});
+			store.removeTask('task2');
+			return {
+				store: {
+					type: 'file',
+					path: this.storePath
+				}
+			};
+		});
+		this.get = endpoint => fetch(`${this.app.baseUrl}${endpoint}`);
+	});
+
+	after(function() {
+		return this.app.close();
+	});
+
+	it('should keep tasks, with their last result', async function() {
+		const tasks = await (await this.get('/api/v1/tasks?lastres=true')).json();
+		assert.lengthEquals(tasks, 1);
+		assert.strictEqual(tasks[0].name, 'Home page');
+		assert.strictEqual(tasks[0].last_result.id, 'result2');
+	});
+
+	it('should keep results', async function() {
+		const results = await (await this.get('/api/v1/tasks/task1/results')).json();
+		assert.deepEqual(results.map(result => result.id), ['result2', 'result1']);
+	});
+
+	it('should keep screenshots', async function() {
+		const response = await this.get('/task1/result2/screenshot.png');
+		assert.strictEqual(response.status, 200);
+		assert.strictEqual(Buffer.from(await response.arrayBuffer()).toString(), 'image');
+	});
+
+	it('should compact the file to one record for each task and result', function() {
+		const records = fs.readFileSync(this.storePath, 'utf8').trim().split('\n').map(JSON.parse);
+		assert.deepEqual(records.map(record => record.type), ['task', 'result', 'result']);
+		assert.isUndefined(records[0].task.last_result);
+	});
+
+	it('should keep everything when it\'s read again after compacting', function() {
+		const store = createStore({
+			type: 'file',
+			path: this.storePath
+		});
+		assert.strictEqual(store.getTask('task1').last_result.id, 'result2');
+		assert.lengthEquals(store.getResults('task1'), 2);
+		assert.isUndefined(store.getTask('task2'));
+		assert.strictEqual(store.getScreenshot('task1', 'result2').toString(), 'image');
+	});
+});
@@ -0,0 +1,222 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {nanoid} = require('nanoid');
+
+const statuses = ['open', 'in-progress', 'fixed', 'wont-fix', 'false-positive'];
+
+// Records with these statuses are still being worked on, and are closed
+// automatically when a run no longer finds their issue
+const activeStatuses = ['open', 'in-progress'];
+
+module.exports = createTriageStore;
+module.exports.statuses = statuses;
+
+/**
+ * Create a store for issue triage records, which track the remediation
+ * of an issue across runs. A record belongs to a task and is keyed by the
+ * issue's rule code and selector, with a status, an assignee, notes and
+ * a link, e.g. to a ticket. Records are kept in a JSON file.
+ *
+ * @param {string} filePath The path of the triage file
+ * @returns {object} The triage store
+ */
+function createTriageStore(filePath) {
+	filePath = path.resolve(filePath);
+	let records = [];
+	if (fs.existsSync(filePath)) {
+		records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	}
+
+	function save() {
+		fs.mkdirSync(path.dirname(filePath), {recursive: true});
+		const temporaryPath = `${filePath}.tmp`;
+		fs.writeFileSync(temporaryPath, JSON.stringify(records, null, '\t'));
+		fs.renameSync(temporaryPath, filePath);
+	}
+
+	function find(task, code, selector) {
+		return records.find(record => {
+			return record.task === task && record.code === code && record.selector === selector;
+		});
+	}
+
+	return {
+
+		/**
+		 * List the triage records of a task.
+		 * @param {string} task The task ID
+		 * @returns {Array} The records, most recently updated first
+		 */
+		list(task) {
+			return records
+				.filter(record => record.task === task)
+				.sort((recordA, recordB) => recordB.updated.localeCompare(recordA.updated))
+				.map(record => ({...record}));
+		},
+
+		/**
+		 * Get the triage record of an issue.
+		 * @param {string} task The task ID
+		 * @param {string} code The issue's rule code
+		 * @param {string} selector The issue's selector
+		 * @returns {object|null} The record, or `null` if the issue hasn't been triaged
+		 */
+		get(task, code, selector) {
+			const record = find(task, code, selector);
+			return (record ? {...record} : null);
+		},
+
+		/**
+		 * Create or update the triage record of an issue.
+		 * @param {object} details The record details
+		 * @param {string} details.task The task ID
+		 * @param {string} details.code The issue's rule code
+		 * @param {string} details.selector The issue's selector
+		 * @param {string} details.status One of `statuses`
+		 * @param {string} [details.assignee] Who is fixing the issue
+		 * @param {string} [details.notes] Notes about the issue
+		 * @param {string} [details.link] A URL, e.g. of a ticket
+		 * @param {string} [author] The username of whoever made the change
+		 * @returns {object} The record
+		 */
+		save(details, author) {
+			validateRecord(details);
+			const now = new Date().toISOString();
+			let record = find(details.task, details.code, details.selector);
+			if (!record) {
+				record = {
+					id: nanoid(),
+					task: details.task,
+					code: details.code,
+					selector: details.selector,
+					created: now
+				};
+				records.push(record);
+			}
+			Object.assign(record, getChanges(record, details, now), {
+				updatedBy: author || null
+			});
+			save();
+			return {...record};
+		},
+
+		/**
+		 * Update the records of a task after a run. Records which are
+		 * still being worked on are closed as fixed if the run didn't
+		 * find their issue, and fixed records are reopened if it did.
+		 * @param {string} task The task ID
+		 * @param {Array} issues All of the issues which the run found
+		 * @returns {number} How many records were changed
+		 */
+		update(task, issues) {
+			const found = new Set(issues.map(issue => getKey(issue.code, issue.selector)));
+			const now = new Date().toISOString();
+			const changed = records.filter(record => record.task === task).filter(record => {
+				const isFound = found.has(getKey(record.code, record.selector));
+				if (!isFound && activeStatuses.includes(record.status)) {
+					return closeRecord(record, now);
+				}
+				if (isFound && record.status === 'fixed') {
+					return reopenRecord(record, now);
+				}
+				return false;
+			});
+			if (changed.length) {
+				save();
+			}
+			return changed.length;
+		},
+
+		/**
+		 * Remove all of the records of a task.
+		 * @param {string} task The task ID
+		 * @returns {undefined} Nothing
+		 */
+		removeTask(task) {
+			const remaining = records.filter(record => record.task !== task);
+			if (remaining.length !== records.length) {
+				records = remaining;
+				save();
+			}
+		}
+	};
+}
+
+function getChanges(record, details, now) {
+	const isActive = activeStatuses.includes(details.status);
+	return {
+		status: details.status,
+		assignee: details.assignee || '',
+		notes: details.notes || '',
+		link: details.link || '',
+		updated: now,
+		closed: (isActive ? null : record.closed || now),
+		closedAutomatically: false
+	};
+}
+
+function closeRecord(record, now) {
+	Object.assign(record, {
+		status: 'fixed',
+		updated: now,
+		closed: now,
+		closedAutomatically: true
+	});
+	return true;
+}
+
+function reopenRecord(record, now) {
+	Object.assign(record, {
+		status: 'open',
+		updated: now,
+		closed: null,
+		closedAutomatically: false,
+		reopened: now
+	});
+	return true;
+}
+
+function getKey(code, selector) {
+	return JSON.stringify([code, selector]);
+}
+
+function validateRecord(details) {
+	if (!isIssue(details)) {
+		throw new Error('Triage records need a task, a rule code and a selector');
+	}
+	if (!statuses.includes(details.status)) {
+		const expected = statuses.join(', ');
+		throw new Error(`Unknown status "${details.status}", expected one of: ${expected}`);
+	}
+	if (details.link && !isWebUrl(details.link)) {
+		throw new Error('The link must be a web address, e.g. https://example.com/issues/1');
+	}
+}
+
+function isIssue(details) {
+	return Boolean(details.task && details.code) && typeof details.selector === 'string';
+}
+
+function isWebUrl(value) {
+	try {
+		return ['http:', 'https:'].includes(new URL(value).protocol);
+	} catch (error) {
+		return false;
+	}
+}
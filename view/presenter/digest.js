@@ -0,0 +1,140 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const presentResult = require('./result');
+const {withoutIgnoredIssues} = require('./ignore');
+
+const types = ['error', 'warning', 'notice'];
+
+// How many of each task's most frequent errors to list
+const topErrorCount = 3;
+
+// Arrows and colours for each trend. Up is bad news, as it means more issues
+const trends = {
+	up: {
+		arrow: '▲',
+		colour: '#d9534f'
+	},
+	down: {
+		arrow: '▼',
+		colour: '#3c763d'
+	},
+	same: {
+		arrow: '=',
+		colour: '#777777'
+	},
+	new: {
+		arrow: '',
+		colour: '#777777'
+	}
+};
+
+module.exports = presentDigest;
+
+function presentDigest(digest, dashboardUrl) {
+	const base = (dashboardUrl ? dashboardUrl.replace(/\/+$/, '') : null);
+	const period = (digest.frequency === 'weekly' ? 'Weekly' : 'Daily');
+	const tasks = digest.tasks.map(entry => presentDigestTask(entry, base));
+	const presented = {
+		...digest,
+		period,
+		periodTitle: (digest.frequency === 'weekly' ? 'the last week' : 'the last day'),
+		subject: `${period} accessibility digest: ${digest.title}`,
+		tasks,
+		testedCount: tasks.filter(entry => entry.current).length,
+		dashboardUrl: base
+	};
+	presented.text = getText(presented);
+	return presented;
+}
+
+function presentDigestTask({task, runs, current, previous}, base) {
+	if (!current) {
+		return {
+			task,
+			runs,
+			current: null,
+			link: (base ? `${base}/${task.id}` : null)
+		};
+	}
+	// The result presenter changes the issues it groups, so give it copies
+	const result = presentResult({
+		...current,
+		results: (current.results || []).map(issue => ({...issue}))
+	});
+	return {
+		task,
+		runs,
+		current: result,
+		counts: presentCounts(current, previous),
+		topErrors: (result.errors || []).slice(0, topErrorCount),
+		link: (base ? `${base}${result.href}` : null)
+	};
+}
+
+// Both results are counted without their ignored issues, so that
+// ignoring an issue doesn't look like an improvement
+function presentCounts(current, previous) {
+	const count = withoutIgnoredIssues(current).count;
+	const previousCount = (previous ? withoutIgnoredIssues(previous).count : null);
+	return types.map(type => {
+		return presentCount(type, count[type], previousCount ? previousCount[type] : null);
+	});
+}
+
+function presentCount(type, count, previousCount) {
+	const change = (previousCount === null ? null : count - previousCount);
+	const trend = getTrend(change);
+	return {
+		type,
+		label: `${type[0].toUpperCase()}${type.slice(1)}s`,
+		count,
+		trend,
+		// E.g. `+3`, or nothing if there's nothing to compare with
+		change: (change ? `${change > 0 ? '+' : ''}${change}` : ''),
+		...trends[trend]
+	};
+}
+
+function getTrend(change) {
+	if (change === null) {
+		return 'new';
+	}
+	if (change === 0) {
+		return 'same';
+	}
+	return (change > 0 ? 'up' : 'down');
+}
+
+// A plain text version of the digest, for email clients without HTML
+function getText(digest) {
+	const lines = digest.tasks.map(entry => {
+		if (!entry.current) {
+			return `${entry.task.name} (${entry.task.url}): not tested in ${digest.periodTitle}`;
+		}
+		const counts = entry.counts.map(count => {
+			const trend = `${count.arrow}${count.change}`;
+			return `${count.count} ${count.label.toLowerCase()}${trend ? ` ${trend}` : ''}`;
+		});
+		const link = (entry.link ? `\n  ${entry.link}` : '');
+		return `${entry.task.name} (${entry.task.url}): ${counts.join(', ')}${link}`;
+	});
+	return [
+		digest.subject,
+		`Results from ${digest.periodTitle}, compared with the previous results.`,
+		''
+	].concat(lines).join('\n');
+}
@@ -18,6 +18,8 @@ const standardsArray = require('../../data/standards')();
 const rules = createStandardDescriptionMap(standardsArray);
 
 module.exports = presentIgnoreRules;
+module.exports.applyIgnoredIssues = applyIgnoredIssues;
+module.exports.withoutIgnoredIssues = withoutIgnoredIssues;
 
 function presentIgnoreRules(ignore) {
 	return ignore.map(name => {
@@ -28,6 +30,61 @@ function presentIgnoreRules(ignore) {
 	});
 }
 
+/**
+ * Hide the issues in a result which match one of its task's ignored
+ * issues. An ignored issue is a rule plus a selector and/or a piece of
+ * its context, so that one false positive can be ignored without hiding
+ * every instance of the rule. Once an ignore expires it stops hiding
+ * anything, and its issues come back.
+ * @param {object} result The result, with its `results` and `ignoreIssues`
+ * @param {Date} [now] The time to check expiry dates against
+ * @returns {Array} The presented ignored issues, each with whether it has
+ *          `expired` and the number of issues it `hid`
+ */
+function applyIgnoredIssues(result, now = new Date()) {
+	const entries = (result.ignoreIssues || []).map(entry => ({
+		...entry,
+		description: rules[entry.rule],
+		expired: Boolean(entry.expires) && new Date(entry.expires) <= now,
+		hid: 0
+	}));
+	if (result.results) {
+		result.results = result.results.filter(issue => {
+			const entry = entries.find(item => !item.expired && matchesIssue(item, issue));
+			if (entry) {
+				entry.hid += 1;
+			}
+			return !entry;
+		});
+	}
+	return entries;
+}
+
+/**
+ * Copy a result without the issues which its ignored issues hide, and
+ * with counts to match, so that comparisons and exports agree with the
+ * result pages.
+ * @param {object} result The result, with its `results` and `ignoreIssues`
+ * @param {Date} [now] The time to check expiry dates against
+ * @returns {object} The copy
+ */
+function withoutIgnoredIssues(result, now) {
+	const copy = {...result};
+	if (applyIgnoredIssues(copy, now).some(entry => entry.hid)) {
+		copy.count = {...result.count};
+		['error', 'warning', 'notice'].forEach(type => {
+			copy.count[type] = copy.results.filter(issue => issue.type === type).length;
+		});
+	}
+	return copy;
+}
+
+function matchesIssue(entry, issue) {
+	const selectorMatches = (!entry.selector || entry.selector === issue.selector);
+	const contextMatches = (!entry.context || String(issue.context).includes(entry.context));
+	return entry.rule === issue.code && selectorMatches && contextMatches;
+}
+
 function createStandardDescriptionMap(standards) {
 	const map = {};
 	standards.forEach(standard => {
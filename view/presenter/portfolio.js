@@ -0,0 +1,166 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const moment = require('moment');
+const presentScores = require('./score');
+
+const types = ['error', 'warning', 'notice'];
+
+// How many rules and regressions are listed, and how many days the trend covers
+const listLength = 10;
+const trendDays = 30;
+
+module.exports = presentPortfolio;
+
+/**
+ * Present an overview of every task: totals from the last result of each
+ * task, the most common rules, the tasks whose scores went down the most
+ * in the last week, the tasks which haven't been run for a while and a
+ * daily trend of the totals and scores.
+ * @param {Array} entries A presented `task` and its presented `results`
+ *        (latest first) for each task
+ * @param {object} options Portfolio options
+ * @param {object} options.scorer The app's scorer, see `score.js`
+ * @param {number} options.staleDays How many days without a run makes a task stale
+ * @param {Date} [options.now] The current time
+ * @returns {object} The portfolio
+ */
+function presentPortfolio(entries, options) {
+	const now = options.now || new Date();
+	entries.forEach(entry => {
+		entry.scores = presentScores(options.scorer, entry.results);
+	});
+	const tested = entries.filter(entry => entry.results.length);
+	return {
+		taskCount: entries.length,
+		untestedCount: entries.length - tested.length,
+		count: sumCounts(tested.map(entry => entry.results[0])),
+		score: averageOf(tested.map(entry => entry.results[0].score)),
+		topRules: getTopRules(tested),
+		regressions: getRegressions(tested, moment(now).subtract(7, 'days')),
+		staleTasks: getStaleTasks(entries, now, options.staleDays),
+		staleDays: options.staleDays,
+		trend: getTrend(tested, now)
+	};
+}
+
+// The rules which are broken most often by the last result of each task
+function getTopRules(entries) {
+	const rules = new Map();
+	entries.forEach(({task, results}) => {
+		(results[0].results || []).forEach(issue => {
+			if (!rules.has(issue.code)) {
+				rules.set(issue.code, {
+					code: issue.code,
+					href: `/rules/${encodeURIComponent(issue.code)}`,
+					type: issue.type,
+					message: issue.message,
+					count: 0,
+					tasks: new Set()
+				});
+			}
+			rules.get(issue.code).count += 1;
+			rules.get(issue.code).tasks.add(task.id);
+		});
+	});
+	return Array.from(rules.values())
+		.sort((ruleA, ruleB) => ruleB.count - ruleA.count)
+		.slice(0, listLength)
+		.map(({tasks, ...rule}) => ({
+			...rule,
+			taskCount: tasks.size
+		}));
+}
+
+// Compare each task's last result with its last result before the start
+// of the week, at the same viewport width
+function getRegressions(entries, since) {
+	return entries.map(({task, results}) => {
+		const latest = results[0];
+		const width = getViewportWidth(latest);
+		const before = results.find(result => {
+			return moment(result.date).isBefore(since) && getViewportWidth(result) === width;
+		});
+		if (!before || moment(latest.date).isBefore(since)) {
+			return null;
+		}
+		return {
+			task,
+			before,
+			latest,
+			drop: before.score - latest.score,
+			newErrors: latest.count.error - before.count.error
+		};
+	})
+		.filter(regression => regression && regression.drop > 0)
+		.sort((regressionA, regressionB) => regressionB.drop - regressionA.drop)
+		.slice(0, listLength);
+}
+
+// Tasks which have never been run are stale too
+function getStaleTasks(entries, now, staleDays) {
+	return entries.map(({task, results}) => ({
+		task,
+		lastRun: (results.length ? results[0].date : null),
+		days: (results.length ? moment(now).diff(results[0].date, 'days') : null)
+	}))
+		.filter(stale => stale.days === null || stale.days >= staleDays)
+		.sort((staleA, staleB) => getStaleness(staleB) - getStaleness(staleA));
+}
+
+function getStaleness(stale) {
+	return (stale.days === null ? Number.MAX_SAFE_INTEGER : stale.days);
+}
+
+// Add up the last result of each task at the end of each day, latest day first
+function getTrend(entries, now) {
+	const trend = [];
+	for (let day = 0; day < trendDays; day += 1) {
+		const end = moment(now).subtract(day, 'days').endOf('day');
+		const results = entries.map(({results: taskResults}) => {
+			return taskResults.find(result => !moment(result.date).isAfter(end));
+		}).filter(Boolean);
+		if (!results.length) {
+			break;
+		}
+		trend.push({
+			date: end.clone().startOf('day').toDate(),
+			count: sumCounts(results),
+			score: averageOf(results.map(result => result.score)),
+			averageScore: averageOf(results.map(result => result.averageScore))
+		});
+	}
+	return trend;
+}
+
+function sumCounts(results) {
+	const count = {};
+	types.forEach(type => {
+		count[type] = results.reduce((total, result) => total + (result.count[type] || 0), 0);
+	});
+	return count;
+}
+
+function averageOf(values) {
+	if (!values.length) {
+		return null;
+	}
+	return Math.round(values.reduce((total, value) => total + value, 0) / values.length);
+}
+
+function getViewportWidth(result) {
+	return (result.viewport ? result.viewport.width : null);
+}
@@ -0,0 +1,61 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const presentIgnoreRules = require('./ignore');
+const presentTask = require('./task');
+
+module.exports = presentProject;
+
+function presentProject(project, tasks) {
+
+	// Add additional info
+	project.href = `/projects/${project.id}`;
+	project.hrefEdit = `/projects/${project.id}/edit`;
+	project.hrefRun = `/projects/${project.id}/run`;
+	project.hrefDelete = `/projects/${project.id}/delete`;
+	project.hrefNewTask = `/new?project=${project.id}`;
+	project.hrefHistory = `/projects/${project.id}/history`;
+
+	// Enhance the ignored rules
+	project.ignore = presentIgnoreRules(project.ignore || []);
+
+	// Change headers to a string format
+	if (project.headers && typeof project.headers === 'object') {
+		project.headers = Object.keys(project.headers).map(header => {
+			return `${header}: ${project.headers[header]}`;
+		}).join('\n');
+	}
+
+	// Add up the last results of the project's tasks
+	if (tasks) {
+		project.tasks = tasks.map(presentTask);
+		project.count = {
+			error: 0,
+			warning: 0,
+			notice: 0
+		};
+		project.tasks.forEach(task => {
+			if (task.lastResult) {
+				project.count.error += task.lastResult.count.error;
+				project.count.warning += task.lastResult.count.warning;
+				project.count.notice += task.lastResult.count.notice;
+			}
+		});
+		project.untestedCount = project.tasks.filter(task => !task.lastResult).length;
+	}
+
+	return project;
+}
@@ -0,0 +1,53 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const groupBy = require('lodash.groupby');
+const keys = require('lodash.keys');
+
+module.exports = presentResultDiff;
+module.exports.groupByCode = groupByCode;
+
+function presentResultDiff(diff) {
+	const presented = {count: diff.count};
+	['error', 'warning', 'notice'].forEach(type => {
+		presented[`${type}s`] = {
+			new: groupByCode(diff[type].new),
+			fixed: groupByCode(diff[type].fixed),
+			unchanged: groupByCode(diff[type].unchanged)
+		};
+	});
+	return presented;
+}
+
+// Group issues by rule in the same way as the result presenter,
+// most frequent rules first
+function groupByCode(issues) {
+	const groupedByCode = groupBy(issues, 'code');
+	return keys(groupedByCode).map(code => ({
+		code,
+		message: groupedByCode[code][0].message,
+		count: groupedByCode[code].length,
+		items: groupedByCode[code].map(issue => ({
+			selector: issue.selector,
+			context: issue.context,
+			// Where the issue was found, if that varies
+			foundAt: issue.foundAt
+		}))
+	}))
+		.sort((currentItem, nextItem) => {
+			return nextItem.count - currentItem.count;
+		});
+}
@@ -17,22 +17,48 @@
 const groupBy = require('lodash.groupby');
 const keys = require('lodash.keys');
 const presentIgnoreRules = require('./ignore');
+const {applyIgnoredIssues} = presentIgnoreRules;
 const techs = require('../../data/techniques')();
+const {criteria} = require('../../data/catalogue')();
+const {getCriterionId} = require('../../data/catalogue');
+const axeRules = require('../../data/axe-rules')();
+const {getRunnerTitle} = require('../../data/runners');
 
 module.exports = presentResult;
+module.exports.getSolutions = getSolutions;
 
 function presentResult(result) {
 
-	// Add additional info
-	result.href = `/${result.task}/${result.id}`;
-	result.hrefCsv = `/${result.task}/${result.id}.csv`;
-	result.hrefJson = `/${result.task}/${result.id}.json`;
+	// Add additional info, including links to each of the downloads
+	const href = `/${result.task}/${result.id}`;
+	Object.assign(result, {
+		href,
+		hrefCsv: `${href}.csv`,
+		hrefJson: `${href}.json`,
+		hrefHtml: `${href}.html`,
+		hrefPdf: `${href}.pdf`,
+		hrefSarif: `${href}.sarif`,
+		hrefJunit: `${href}.junit.xml`
+	});
+
+	// Results of a run at several viewport widths link to a comparison
+	if (result.matrix) {
+		result.hrefMatrix = `/${result.task}/matrix/${result.matrix}`;
+		result.viewportTitle = `${result.viewport.width}px wide`;
+	}
 
 	// Parse date
 	result.date = new Date(result.date);
 
-	// Enhance the ignored rules
+	// Enhance the ignored rules, and hide ignored issues
 	result.ignore = presentIgnoreRules(result.ignore);
+	hideIgnoredIssues(result);
+
+	// Ignored issues have been hidden, so they aren't boxed on the screenshot
+	if (result.screenshot) {
+		result.hrefScreenshot = `/${result.task}/${result.id}/screenshot.png`;
+		result.screenshot.highlights = getHighlights(result);
+	}
 
 	// Split out message types
 	if (result.results) {
@@ -46,21 +72,12 @@ function presentResult(result) {
 				groupMessage.count = groupedByCode[group].length;
 				groupMessage.items = groupedByCode[group].map(plural => ({
 					selector: plural.selector,
-					context: plural.context
+					context: plural.context,
+					hrefIgnore: getIgnoreHref(result, plural)
 				}));
-				// Map standard to techniques
-				const data = groupMessage.code.split('.');
-				data.splice(0, 4);
-				const techniques = data.join('.').split(',').map(code => code.split('.')[0]);
-				groupMessage.solutions = techniques.reduce((prev, technique) => {
-					if (techs[technique] && techs[technique].title) {
-						prev.push({
-							title: techs[technique].title || null,
-							url: techs[technique].url || null
-						});
-					}
-					return prev;
-				}, []);
+				groupMessage.runnerTitle = getRunnerTitle(groupMessage.runner);
+				groupMessage.solutions = getSolutions(groupMessage);
+				groupMessage.hrefRule = `/rules/${encodeURIComponent(group)}`;
 				return groupMessage;
 			})
 				.sort((currentItem, nextItem) => {
@@ -71,3 +88,73 @@ function presentResult(result) {
 
 	return result;
 }
+
+// Issues which are hidden by an ignored issue are also left out of the
+// counts, which were made when the task was run. The counts are replaced
+// rather than changed, as callers may share them with other results
+function hideIgnoredIssues(result) {
+	result.ignoreIssues = applyIgnoredIssues(result);
+	result.ignoreCount = result.ignore.length + result.ignoreIssues.length;
+	if (result.ignoreIssues.some(entry => entry.hid)) {
+		const groupedByType = groupBy(result.results, 'type');
+		result.count = {...result.count};
+		['error', 'warning', 'notice'].forEach(type => {
+			result.count[type] = (groupedByType[type] || []).length;
+		});
+	}
+}
+
+// Link to the form for ignoring just this instance of an issue
+function getIgnoreHref(result, issue) {
+	const query = new URLSearchParams({
+		rule: issue.code,
+		selector: issue.selector
+	});
+	return `/${result.task}/ignore?${query}`;
+}
+
+// Position the boxes around each issue's element as percentages of the
+// screenshot, so that they stay in place when the image is scaled
+function getHighlights(result) {
+	const {width, height} = result.screenshot;
+	const percent = (value, total) => `${(value / total * 100).toFixed(3)}%`;
+	return (result.results || []).filter(issue => issue.box).map(issue => ({
+		type: issue.type,
+		code: issue.code,
+		selector: issue.selector,
+		left: percent(issue.box.left, width),
+		top: percent(issue.box.top, height),
+		width: percent(issue.box.width, width),
+		height: percent(issue.box.height, height)
+	}));
+}
+
+function getSolutions(issue) {
+	// Axe codes are rule IDs, which link straight to the rule's help page
+	if (issue.runner === 'axe') {
+		return (axeRules[issue.code] ? [axeRules[issue.code]] : []);
+	}
+	// Link to the success criterion, then map standard to techniques
+	const criterion = criteria[getCriterionId(issue.code)];
+	const solutions = (criterion ? [presentCriterion(criterion)] : []);
+	const data = issue.code.split('.');
+	data.splice(0, 4);
+	const techniques = data.join('.').split(',').map(code => code.split('.')[0]);
+	return techniques.reduce((prev, technique) => {
+		if (techs[technique] && techs[technique].title) {
+			prev.push({
+				title: techs[technique].title || null,
+				url: techs[technique].url || null
+			});
+		}
+		return prev;
+	}, solutions);
+}
+
+function presentCriterion(criterion) {
+	const status = (criterion.obsolete ? ', obsolete' : '');
+	return {
+		title: `Understanding ${criterion.title} (Level ${criterion.level}${status})`,
+		url: criterion.url
+	};
+}
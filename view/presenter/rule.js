@@ -0,0 +1,91 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {getSolutions} = require('./result');
+const {getRunnerTitle} = require('../../data/runners');
+
+// How many selectors are shown for each task
+const sampleLength = 5;
+
+module.exports = presentRuleOccurrences;
+
+/**
+ * Present every task whose last result breaks a rule, with samples of
+ * the selectors and contexts of its issues. Selectors which are found on
+ * more than one task's page are marked as `shared`, because they're
+ * likely to be a component which is used on every page, such as a header.
+ * @param {string} code The rule code
+ * @param {Array} entries A presented `task` and the presented last `result`
+ *        of each task which has been run
+ * @returns {object} The rule, with its `solutions` and its `occurrences`
+ *          on each task, and the `sharedSelectors` across tasks
+ */
+function presentRuleOccurrences(code, entries) {
+	const occurrences = entries.map(({task, result}) => ({
+		task,
+		result,
+		issues: (result.results || []).filter(issue => issue.code === code)
+	})).filter(occurrence => occurrence.issues.length);
+
+	const sharedSelectors = getSharedSelectors(occurrences);
+	occurrences.forEach(occurrence => {
+		occurrence.count = occurrence.issues.length;
+		occurrence.samples = occurrence.issues.slice(0, sampleLength).map(issue => ({
+			selector: issue.selector,
+			context: issue.context,
+			shared: sharedSelectors.some(shared => shared.selector === issue.selector)
+		}));
+		occurrence.moreCount = Math.max(0, occurrence.count - sampleLength);
+		delete occurrence.issues;
+	});
+	occurrences.sort((occurrenceA, occurrenceB) => occurrenceB.count - occurrenceA.count);
+
+	const example = (occurrences.length ? occurrences[0].result.results.find(issue => {
+		return issue.code === code;
+	}) : {code});
+	return {
+		code,
+		type: example.type,
+		message: example.message,
+		runnerTitle: getRunnerTitle(example.runner),
+		solutions: getSolutions(example),
+		occurrences,
+		taskCount: occurrences.length,
+		issueCount: occurrences.reduce((total, occurrence) => total + occurrence.count, 0),
+		sharedSelectors
+	};
+}
+
+// Selectors which break the rule on more than one task's page, most
+// widespread first
+function getSharedSelectors(occurrences) {
+	const tasksBySelector = new Map();
+	occurrences.forEach(({task, issues}) => {
+		issues.forEach(({selector}) => {
+			if (!tasksBySelector.has(selector)) {
+				tasksBySelector.set(selector, new Set());
+			}
+			tasksBySelector.get(selector).add(task.id);
+		});
+	});
+	return Array.from(tasksBySelector.entries())
+		.filter(([, tasks]) => tasks.size > 1)
+		.map(([selector, tasks]) => ({
+			selector,
+			taskCount: tasks.size
+		}))
+		.sort((sharedA, sharedB) => sharedB.taskCount - sharedA.taskCount);
+}
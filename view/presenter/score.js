@@ -0,0 +1,76 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {withoutIgnoredIssues} = require('./ignore');
+const {getDaysSince} = require('../../score');
+
+module.exports = presentScores;
+module.exports.updateRegression = updateRegression;
+
+/**
+ * Score a task's results, leaving out ignored issues in the same way as
+ * the result pages do. Each result is given its `score` and the rolling
+ * `averageScore`, and the summary describes how long it's been since the
+ * score last went down.
+ * @param {object} scorer The app's scorer, see `score.js`
+ * @param {Array} results The task's results, latest first
+ * @returns {(object|null)} The latest `score` and `average`, the
+ *          `regressionDate` and `daysSinceRegression`, and a
+ *          `regressionText` to display, or `null` if the task hasn't been run
+ */
+function presentScores(scorer, results) {
+	if (!results.length) {
+		return null;
+	}
+	const summary = scorer.summarise(results.map(result => withoutIgnoredIssues(result)));
+	results.forEach(result => {
+		const entry = summary.scores.get(result.id);
+		result.score = entry.score;
+		result.averageScore = entry.average;
+	});
+	return updateRegression({
+		score: summary.score,
+		average: summary.average,
+		regressionDate: summary.regressionDate
+	});
+}
+
+/**
+ * Count the days since the score last went down again, for scores which
+ * were presented earlier and kept.
+ * @param {object} scores Scores from `presentScores`
+ * @param {Date} [now] The date to count to
+ * @returns {object} A copy of the scores with their `daysSinceRegression`
+ *          and `regressionText` brought up to date
+ */
+function updateRegression(scores, now = new Date()) {
+	const days = getDaysSince(scores.regressionDate, now);
+	return {
+		...scores,
+		daysSinceRegression: days,
+		regressionText: describeRegression(days)
+	};
+}
+
+function describeRegression(days) {
+	if (days === null) {
+		return 'No regressions';
+	}
+	if (days === 0) {
+		return 'Regressed today';
+	}
+	return `${days} ${days === 1 ? 'day' : 'days'} since a regression`;
+}
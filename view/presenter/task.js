@@ -16,23 +16,39 @@
 
 const presentIgnoreRules = require('./ignore');
 const presentResult = require('./result');
+const {getRunnerTitle} = require('../../data/runners');
+const {getEmulationTitle} = require('../../data/devices');
+const {formatWidths} = require('./viewport-matrix');
 
 module.exports = presentTask;
 
 function presentTask(task) {
 
 	// Add additional info
-	task.href = `/${task.id}`;
-	task.hrefDelete = `/${task.id}/delete`;
-	task.hrefRun = `/${task.id}/run`;
-	task.hrefJson = `/${task.id}.json`;
-	task.hrefEdit = `/${task.id}/edit`;
-	task.hrefIgnore = `/${task.id}/ignore`;
-	task.hrefUnignore = `/${task.id}/unignore`;
+	const href = `/${task.id}`;
+	Object.assign(task, {
+		href,
+		hrefDelete: `${href}/delete`,
+		hrefRun: `${href}/run`,
+		hrefJson: `${href}.json`,
+		hrefEdit: `${href}/edit`,
+		hrefIgnore: `${href}/ignore`,
+		hrefUnignore: `${href}/unignore`,
+		hrefHistory: `${href}/history`,
+		hrefTriage: `${href}/triage`
+	});
 
 	// Enhance the ignored rules
 	task.ignore = presentIgnoreRules(task.ignore);
 
+	// Name the runners and describe the emulated device, if the task
+	// doesn't use Pa11y's defaults
+	Object.assign(task, {
+		runnerTitle: getRunnerTitle(task.runners),
+		deviceTitle: getEmulationTitle(task),
+		viewportsTitle: (task.viewports ? formatWidths(task.viewports) : '')
+	});
+
 	// Change headers to a string format
 	if (task.headers && typeof task.headers === 'object') {
 		task.headers = Object.keys(task.headers).map(header => {
@@ -0,0 +1,89 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {statuses} = require('../../triage');
+
+const statusLabels = {
+	open: 'Open',
+	'in-progress': 'In progress',
+	fixed: 'Fixed',
+	'wont-fix': 'Won\'t fix',
+	'false-positive': 'False positive'
+};
+
+// Bootstrap label classes for each status
+const statusClasses = {
+	open: 'danger',
+	'in-progress': 'warning',
+	fixed: 'success',
+	'wont-fix': 'default',
+	'false-positive': 'info'
+};
+
+module.exports = presentTriage;
+module.exports.presentTriageRecord = presentTriageRecord;
+module.exports.getStatusChoices = getStatusChoices;
+
+/**
+ * Add the triage record of each issue to a presented result, and a link
+ * to triage it.
+ * @param {object} result The result, presented by `presentResult`
+ * @param {Array} records The triage records of the result's task
+ * @returns {object} The result
+ */
+function presentTriage(result, records) {
+	const recordsByIssue = new Map(records.map(record => {
+		return [getKey(record.code, record.selector), presentTriageRecord(record)];
+	}));
+	['errors', 'warnings', 'notices'].forEach(type => {
+		(result[type] || []).forEach(group => {
+			group.items.forEach(item => {
+				item.triage = recordsByIssue.get(getKey(group.code, item.selector)) || null;
+				item.hrefTriage = getTriageHref(result.task, group.code, item.selector);
+			});
+		});
+	});
+	return result;
+}
+
+function presentTriageRecord(record) {
+	return {
+		...record,
+		statusLabel: statusLabels[record.status],
+		statusClass: statusClasses[record.status],
+		href: getTriageHref(record.task, record.code, record.selector)
+	};
+}
+
+function getStatusChoices(selected = 'open') {
+	return statuses.map(value => ({
+		value,
+		label: statusLabels[value],
+		selected: (value === selected)
+	}));
+}
+
+function getTriageHref(task, code, selector) {
+	const query = new URLSearchParams({
+		code,
+		selector
+	});
+	return `/${task}/triage/edit?${query}`;
+}
+
+function getKey(code, selector) {
+	return JSON.stringify([code, selector]);
+}
@@ -0,0 +1,60 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {groupByCode} = require('./result-diff');
+
+const types = ['error', 'warning', 'notice'];
+
+module.exports = presentViewportMatrix;
+module.exports.formatWidths = formatWidths;
+
+function presentViewportMatrix(comparison) {
+	const {widths} = comparison;
+	return {
+		widths,
+		widthsTitle: formatWidths(widths),
+		common: presentBuckets(comparison.common),
+		some: presentBuckets(comparison.some, issue => ({
+			...issue,
+			foundAt: `at ${formatWidths(issue.widths)}`
+		})),
+		unique: widths.map(width => ({
+			width,
+			...presentBuckets(comparison.unique[width])
+		}))
+	};
+}
+
+/**
+ * Describe a list of viewport widths, e.g. "320, 768 and 1280px".
+ * @param {Array} widths The widths
+ * @returns {string} The description
+ */
+function formatWidths(widths) {
+	const last = widths[widths.length - 1];
+	const rest = widths.slice(0, -1);
+	return `${rest.length ? `${rest.join(', ')} and ` : ''}${last}px`;
+}
+
+// Group each type of issue by rule, and count them
+function presentBuckets(buckets, transform = issue => issue) {
+	const presented = {count: {}};
+	types.forEach(type => {
+		presented[`${type}s`] = groupByCode(buckets[type].map(transform));
+		presented.count[type] = buckets[type].length;
+	});
+	return presented;
+}
@@ -0,0 +1,88 @@
+// This file is part of Pa11y Dashboard.
+//
+// Pa11y Dashboard is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Pa11y Dashboard is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Pa11y Dashboard.  If not, see <http://www.gnu.org/licenses/>.
+'use strict';
+
+const {getIssueKey, getIssues} = require('./result-diff');
+
+const types = ['error', 'warning', 'notice'];
+
+module.exports = compareViewports;
+
+/**
+ * Compare the results of a task which was run at several viewport widths.
+ * Issues are matched on their code, selector and context, in the same way
+ * as `result-diff.js`, and split into the issues found at every width, at
+ * only one width, and at some of the widths.
+ *
+ * @param {Array} results The results of one run, each with a `viewport`
+ * @returns {object} The `widths` in ascending order, and the `common`,
+ *          `some` and `unique` issues keyed by type, e.g. `common.error`.
+ *          `unique` is keyed by width first, e.g. `unique[320].error`, and
+ *          issues in `some` have the `widths` they were found at
+ */
+function compareViewports(results) {
+	const sorted = results.slice().sort((first, second) => getWidth(first) - getWidth(second));
+	const widths = sorted.map(getWidth);
+
+	// Each distinct issue, with the widths it was found at
+	const found = new Map();
+	sorted.forEach(result => {
+		getIssues(result).forEach(issue => {
+			const key = getIssueKey(issue);
+			if (!found.has(key)) {
+				found.set(key, {
+					issue,
+					widths: new Set()
+				});
+			}
+			found.get(key).widths.add(getWidth(result));
+		});
+	});
+
+	const comparison = {
+		widths,
+		common: createBuckets(),
+		some: createBuckets(),
+		unique: {}
+	};
+	widths.forEach(width => {
+		comparison.unique[width] = createBuckets();
+	});
+	found.forEach(({issue, widths: foundAt}) => {
+		if (foundAt.size === widths.length) {
+			comparison.common[issue.type].push(issue);
+		} else if (foundAt.size === 1) {
+			comparison.unique[Array.from(foundAt)[0]][issue.type].push(issue);
+		} else {
+			comparison.some[issue.type].push({
+				...issue,
+				widths: widths.filter(width => foundAt.has(width))
+			});
+		}
+	});
+	return comparison;
+}
+
+function createBuckets() {
+	const buckets = {};
+	types.forEach(type => {
+		buckets[type] = [];
+	});
+	return buckets;
+}
+
+function getWidth(result) {
+	return (result.viewport ? result.viewport.width : 0);
+}
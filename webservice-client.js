@@ -39,10 +39,14 @@ if (typeof fetch === 'function') {
  *
  * @param {string} baseUrl The base URL of a Pa11y Webservice instance. A
  * trailing slash is optional.
+ * @param {object} [options] Client options
+ * @param {string} [options.token] An API token, sent as a bearer token in
+ * the `Authorization` header of every request. This is needed to use
+ * another dashboard which has sign in turned on as the webservice.
  * @returns {object} An object exposing methods compatible with
  *                   `pa11y-webservice-client-node`.
  */
-function createClient(baseUrl) {
+function createClient(baseUrl, options = {}) {
     // Normalise the base URL to always include a trailing slash
     let normalised = baseUrl || '';
     if (normalised && !normalised.endsWith('/')) {
@@ -56,11 +60,19 @@ function createClient(baseUrl) {
      * status text.
      *
      * @param {string} url The full request URL
-     * @param {object} options Options passed directly to fetch
+     * @param {object} requestOptions Options passed to fetch, along with
+     *        the `Authorization` header if there's a token
      * @returns {Promise<any>} The parsed JSON response
      */
-    async function requestJson(url, options) {
-        const response = await fetchFunc(url, options);
+    async function requestJson(url, requestOptions) {
+        const headers = {...requestOptions.headers};
+        if (options.token) {
+            headers.Authorization = `Bearer ${options.token}`;
+        }
+        const response = await fetchFunc(url, {
+            ...requestOptions,
+            headers
+        });
         if (!response.ok) {
             const msg = `HTTP ${response.status} ${response.statusText}`;
             throw new Error(msg);
@@ -148,19 +160,47 @@ function createClient(baseUrl) {
             },
             /**
              * Trigger a task run. Performs a POST request to `/run`.
-             * @param {function} callback Callback invoked with `(err)`
+             * @param {function} callback Callback invoked with `(err, job)`.
+             *                            Pa11y Webservice doesn't report a job
+             *                            so `job` may be `null`
              */
             run: callback => {
                 (async () => {
                     try {
                         const runUrl = `${taskBase}/run`;
-                        await requestJson(runUrl, {method: 'POST'});
-                        callback(null);
+                        const data = await requestJson(runUrl, {method: 'POST'});
+                        callback(null, (data && typeof data === 'object') ? data : null);
                     } catch (err) {
                         callback(err);
                     }
                 })();
             },
+            /**
+             * Factory for a single run job of this task.
+             * @param {string} jobId The job identifier
+             * @returns {object} Methods for interacting with a single job
+             */
+            job: jobId => {
+                const jobUrl = `${taskBase}/runs/${encodeURIComponent(jobId)}`;
+                return {
+                    /**
+                     * Retrieve the status of a job. Performs a GET request to
+                     * `/runs/:jobId`, which Pa11y Webservice does not provide.
+                     * @param {object} opts Optional query parameters (unused)
+                     * @param {function} callback Callback invoked with `(err, job)`
+                     */
+                    get: (opts, callback) => {
+                        (async () => {
+                            try {
+                                const data = await requestJson(jobUrl, {method: 'GET'});
+                                callback(null, data);
+                            } catch (err) {
+                                callback(err);
+                            }
+                        })();
+                    }
+                };
+            },
             /**
              * List results for this task. Performs a GET request to
              * `/results`.
@@ -174,6 +214,16 @@ function createClient(baseUrl) {
                         if (opts && typeof opts.page !== 'undefined') {
                             params.append('page', String(opts.page));
                         }
+                        // The webservice only sends the last 30 days of
+                        // results unless it's given a date range
+                        ['from', 'to'].forEach(name => {
+                            if (opts && opts[name]) {
+                                params.append(name, opts[name]);
+                            }
+                        });
+                        if (opts && opts.full) {
+                            params.append('full', 'true');
+                        }
                         const url = params.toString() ? `${taskBase}/results?${params}` : `${taskBase}/results`;
                         const data = await requestJson(url, {method: 'GET'});
                         // The webservice returns an object with a `results` property